@@ -0,0 +1,224 @@
+"use strict";
+
+// CRX3 package reader. A CRX3 file is "Cr24", a little-endian version (3) and header length,
+// a protobuf CrxFileHeader, then a plain ZIP archive. The header carries RSA and/or ECDSA
+// proofs over the signed header data plus the archive; lib/zip.js reads the archive in place.
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const CRX_MAGIC = "Cr24";
+const CRX_PREAMBLE_SIZE = 12;
+const MAX_CRX_HEADER_SIZE = 1024 * 1024;
+const SIGNATURE_CONTEXT = Buffer.from("CRX3 SignedData\x00", "binary");
+
+// Field numbers from Chromium's crx3.proto.
+const HEADER_FIELD_RSA_PROOF = 2;
+const HEADER_FIELD_ECDSA_PROOF = 3;
+const HEADER_FIELD_SIGNED_DATA = 10000;
+const PROOF_FIELD_PUBLIC_KEY = 1;
+const PROOF_FIELD_SIGNATURE = 2;
+const SIGNED_DATA_FIELD_CRX_ID = 1;
+
+function readVarint(buffer, start) {
+  let value = 0;
+  let multiplier = 1;
+  let position = start;
+  while (position < buffer.length) {
+    const byte = buffer[position];
+    position += 1;
+    value += (byte & 0x7f) * multiplier;
+    if ((byte & 0x80) === 0) {
+      return { value, position };
+    }
+    multiplier *= 128;
+    if (multiplier > 2 ** 49) {
+      break;
+    }
+  }
+  throw new Error("Malformed CRX header (bad varint).");
+}
+
+// Returns the length-delimited fields of a protobuf message as [fieldNumber, Buffer] pairs.
+// Other wire types are skipped; CRX headers only use bytes fields.
+function readProtoFields(buffer) {
+  const fields = [];
+  let position = 0;
+  while (position < buffer.length) {
+    const key = readVarint(buffer, position);
+    position = key.position;
+    const fieldNumber = Math.floor(key.value / 8);
+    const wireType = key.value % 8;
+
+    if (wireType === 0) {
+      position = readVarint(buffer, position).position;
+    } else if (wireType === 1) {
+      position += 8;
+    } else if (wireType === 5) {
+      position += 4;
+    } else if (wireType === 2) {
+      const length = readVarint(buffer, position);
+      const end = length.position + length.value;
+      if (end > buffer.length) {
+        throw new Error("Malformed CRX header (field runs past the end).");
+      }
+      fields.push([fieldNumber, buffer.subarray(length.position, end)]);
+      position = end;
+    } else {
+      throw new Error(`Malformed CRX header (unsupported wire type ${wireType}).`);
+    }
+  }
+
+  if (position !== buffer.length) {
+    throw new Error("Malformed CRX header (truncated field).");
+  }
+  return fields;
+}
+
+function getField(fields, fieldNumber) {
+  const match = fields.find(([number]) => number === fieldNumber);
+  return match ? match[1] : null;
+}
+
+function readProof(buffer, algorithm) {
+  const fields = readProtoFields(buffer);
+  const publicKey = getField(fields, PROOF_FIELD_PUBLIC_KEY);
+  const signature = getField(fields, PROOF_FIELD_SIGNATURE);
+  if (!publicKey || !signature) {
+    throw new Error("Malformed CRX header (incomplete key proof).");
+  }
+  return { algorithm, publicKey, signature };
+}
+
+// Chromium extension IDs are the first 16 bytes of SHA-256(public key), written with a-p for 0-f.
+function getExtensionIdFromCrxId(crxId) {
+  return [...crxId.toString("hex")]
+    .map((digit) => String.fromCharCode(97 + parseInt(digit, 16)))
+    .join("");
+}
+
+function getExtensionIdFromPublicKey(publicKey) {
+  return getExtensionIdFromCrxId(crypto.createHash("sha256").update(publicKey).digest().subarray(0, 16));
+}
+
+function readCrxHeader(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    const preamble = Buffer.alloc(CRX_PREAMBLE_SIZE);
+    if (fs.readSync(fd, preamble, 0, CRX_PREAMBLE_SIZE, 0) !== CRX_PREAMBLE_SIZE) {
+      throw new Error("File is too short to be a CRX package.");
+    }
+    if (preamble.toString("binary", 0, 4) !== CRX_MAGIC) {
+      throw new Error("File is not a CRX package (missing Cr24 magic).");
+    }
+
+    const version = preamble.readUInt32LE(4);
+    if (version !== 3) {
+      throw new Error(`Unsupported CRX version ${version}; only CRX3 packages can be installed.`);
+    }
+
+    const headerSize = preamble.readUInt32LE(8);
+    if (headerSize > MAX_CRX_HEADER_SIZE || CRX_PREAMBLE_SIZE + headerSize > fileSize) {
+      throw new Error("Malformed CRX header (bad header size).");
+    }
+
+    const header = Buffer.alloc(headerSize);
+    fs.readSync(fd, header, 0, headerSize, CRX_PREAMBLE_SIZE);
+    const fields = readProtoFields(header);
+    const proofs = [
+      ...fields.filter(([number]) => number === HEADER_FIELD_RSA_PROOF).map(([, value]) => readProof(value, "rsa")),
+      ...fields.filter(([number]) => number === HEADER_FIELD_ECDSA_PROOF).map(([, value]) => readProof(value, "ecdsa"))
+    ];
+
+    const signedData = getField(fields, HEADER_FIELD_SIGNED_DATA);
+    const crxId = signedData ? getField(readProtoFields(signedData), SIGNED_DATA_FIELD_CRX_ID) : null;
+    if (!crxId || crxId.length !== 16) {
+      throw new Error("CRX header has no extension ID.");
+    }
+
+    return {
+      version,
+      archiveOffset: CRX_PREAMBLE_SIZE + headerSize,
+      proofs,
+      signedData,
+      extensionId: getExtensionIdFromCrxId(crxId)
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Verifies every proof in the header against the signed data and archive, and requires one
+// of them to come from the key the extension ID was derived from. Resolves with the ID and
+// that key (base64 SubjectPublicKeyInfo, the format of manifest.json's "key" field).
+async function verifyCrxFile(filePath) {
+  const header = readCrxHeader(filePath);
+  if (header.proofs.length === 0) {
+    throw new Error("CRX package is not signed.");
+  }
+
+  const developerProof = header.proofs.find(
+    (proof) => getExtensionIdFromPublicKey(proof.publicKey) === header.extensionId
+  );
+  if (!developerProof) {
+    throw new Error("CRX package is not signed by the key its extension ID belongs to.");
+  }
+
+  const signedDataLength = Buffer.alloc(4);
+  signedDataLength.writeUInt32LE(header.signedData.length, 0);
+  const verifiers = header.proofs.map(() => {
+    const verifier = crypto.createVerify("sha256");
+    verifier.update(SIGNATURE_CONTEXT);
+    verifier.update(signedDataLength);
+    verifier.update(header.signedData);
+    return verifier;
+  });
+
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(filePath, { start: header.archiveOffset })
+      .on("data", (chunk) => {
+        for (const verifier of verifiers) {
+          verifier.update(chunk);
+        }
+      })
+      .on("error", reject)
+      .on("end", resolve);
+  });
+
+  header.proofs.forEach((proof, index) => {
+    let valid = false;
+    try {
+      const key = crypto.createPublicKey({ key: proof.publicKey, format: "der", type: "spki" });
+      valid = verifiers[index].verify(key, proof.signature);
+    } catch (_) {
+      valid = false;
+    }
+    if (!valid) {
+      throw new Error(`CRX package has an invalid ${proof.algorithm.toUpperCase()} signature.`);
+    }
+  });
+
+  return {
+    extensionId: header.extensionId,
+    publicKey: developerProof.publicKey.toString("base64"),
+    archiveOffset: header.archiveOffset
+  };
+}
+
+function isCrxFile(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const magic = Buffer.alloc(4);
+    return fs.readSync(fd, magic, 0, 4, 0) === 4 && magic.toString("binary") === CRX_MAGIC;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = {
+  getExtensionIdFromPublicKey,
+  isCrxFile,
+  readCrxHeader,
+  verifyCrxFile
+};
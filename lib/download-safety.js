@@ -0,0 +1,94 @@
+"use strict";
+
+// Download safety checks: flags file types that run code when opened and hashes finished
+// downloads so they can be compared with a checksum published by the site.
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const EXECUTABLE_EXTENSIONS = new Set([
+  "app", "apk", "appimage", "application", "appx", "appxbundle", "bin", "com", "cpl", "deb",
+  "dll", "dmg", "exe", "gadget", "hta", "img", "iso", "jar", "lnk", "msi", "msix", "msixbundle",
+  "msp", "pif", "pkg", "reg", "rpm", "run", "scr", "sys", "vhd", "vhdx"
+]);
+
+const SCRIPT_EXTENSIONS = new Set([
+  "applescript", "bash", "bat", "cmd", "command", "desktop", "js", "jse", "msh", "pl", "ps1",
+  "psm1", "py", "pyw", "rb", "scpt", "sh", "vb", "vbe", "vbs", "ws", "wsf", "wsh", "zsh"
+]);
+
+const EXECUTABLE_MIME_TYPES = new Set([
+  "application/java-archive",
+  "application/vnd.android.package-archive",
+  "application/vnd.microsoft.portable-executable",
+  "application/x-apple-diskimage",
+  "application/x-executable",
+  "application/x-msdos-program",
+  "application/x-msdownload",
+  "application/x-msi"
+]);
+
+const SCRIPT_MIME_TYPES = new Set([
+  "application/x-bat",
+  "application/x-csh",
+  "application/x-sh",
+  "text/x-shellscript"
+]);
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+// Windows ignores trailing dots and spaces, so "setup.exe. " still runs as an .exe.
+function getFileExtension(filename) {
+  const name = String(filename || "").replace(/[.\s]+$/, "").toLowerCase();
+  const dot = name.lastIndexOf(".");
+  return dot > 0 ? name.slice(dot + 1) : "";
+}
+
+// Returns "executable", "script", or "" for files that are safe to open directly.
+function getDownloadDangerType(filename, mimeType) {
+  const extension = getFileExtension(filename);
+  const mime = String(mimeType || "").toLowerCase().split(";")[0].trim();
+  if (EXECUTABLE_EXTENSIONS.has(extension) || EXECUTABLE_MIME_TYPES.has(mime)) {
+    return "executable";
+  }
+  if (SCRIPT_EXTENSIONS.has(extension) || SCRIPT_MIME_TYPES.has(mime)) {
+    return "script";
+  }
+  return "";
+}
+
+// True when the file itself came over plain HTTP, judged by the last URL of the chain. Earlier
+// http:// hops are often Bastion's own HTTPS upgrade, which redirects before any request is
+// sent, so they say nothing about how the file was delivered.
+function isInsecureDownload(urlChain) {
+  const chain = Array.isArray(urlChain) ? urlChain : [];
+  return chain.length > 0 && /^http:/i.test(String(chain[chain.length - 1]));
+}
+
+// Accepts the forms checksums are usually published in: upper or lower case, an optional
+// "sha256:" prefix, and spaces between groups. Returns "" when the value is not a SHA-256.
+function normalizeSha256(value) {
+  const hex = String(value || "")
+    .trim()
+    .replace(/^sha-?256\s*[:=]?\s*/i, "")
+    .replace(/\s+/g, "")
+    .toLowerCase();
+  return SHA256_PATTERN.test(hex) ? hex : "";
+}
+
+function hashFileSha256(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+module.exports = {
+  getDownloadDangerType,
+  hashFileSha256,
+  isInsecureDownload,
+  normalizeSha256
+};
@@ -0,0 +1,416 @@
+"use strict";
+
+// Network filter engine for EasyList / Adblock Plus style rules.
+// Cosmetic (element hiding) rules and options that need more than a URL decision are skipped.
+
+const TYPE_OPTION_MAP = {
+  script: "script",
+  image: "image",
+  stylesheet: "stylesheet",
+  css: "stylesheet",
+  xmlhttprequest: "xhr",
+  xhr: "xhr",
+  subdocument: "subFrame",
+  frame: "subFrame",
+  ping: "ping",
+  beacon: "ping",
+  media: "media",
+  font: "font",
+  object: "object",
+  websocket: "webSocket",
+  other: "other",
+  document: "mainFrame",
+  doc: "mainFrame"
+};
+
+const ALL_TYPES = [...new Set(Object.values(TYPE_OPTION_MAP))];
+
+const REQUEST_TYPE_ALIASES = {
+  fetch: "xhr",
+  cspReport: "other"
+};
+
+function normalizeRequestType(resourceType) {
+  const value = String(resourceType || "other");
+  if (Object.prototype.hasOwnProperty.call(REQUEST_TYPE_ALIASES, value)) {
+    return REQUEST_TYPE_ALIASES[value];
+  }
+  return ALL_TYPES.includes(value) ? value : "other";
+}
+
+function isCosmeticRule(line) {
+  return /#[@?$%]?#|#@[$%?]#/.test(line);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.+?${}()|[\]\\/]/g, "\\$&");
+}
+
+function patternToRegExp(pattern, matchCase) {
+  let source = pattern;
+  let prefix = "";
+  let suffix = "";
+
+  if (source.startsWith("||")) {
+    prefix = "^[a-z][a-z0-9+.-]*:\\/\\/(?:[^\\/?#]*\\.)?";
+    source = source.slice(2);
+  } else if (source.startsWith("|")) {
+    prefix = "^";
+    source = source.slice(1);
+  }
+
+  if (source.endsWith("|")) {
+    suffix = "$";
+    source = source.slice(0, -1);
+  }
+
+  const body = escapeRegExp(source)
+    .replace(/\*+/g, ".*")
+    .replace(/\^/g, "(?:[^\\w\\-.%]|$)");
+
+  return new RegExp(`${prefix}${body}${suffix}`, matchCase ? "" : "i");
+}
+
+function pickIndexToken(pattern) {
+  const anchoredStart = pattern.startsWith("|");
+  const anchoredEnd = pattern.endsWith("|") || pattern.endsWith("^");
+  const source = pattern.replace(/^\|+/, "").replace(/\|$/, "").toLowerCase();
+  const matcher = /[a-z0-9%]+/g;
+  let best = "";
+  let match;
+
+  while ((match = matcher.exec(source)) !== null) {
+    const token = match[0];
+    const before = source[match.index - 1];
+    const after = source[match.index + token.length];
+    const startsClean = match.index === 0 ? anchoredStart : before !== "*";
+    const endsClean = after === undefined ? anchoredEnd : after !== "*";
+    if (!startsClean || !endsClean || token.length < 2) {
+      continue;
+    }
+    if (token.length > best.length) {
+      best = token;
+    }
+  }
+
+  return best;
+}
+
+function parseOptions(optionText, rule) {
+  for (const rawOption of optionText.split(",")) {
+    const option = rawOption.trim();
+    if (!option) {
+      continue;
+    }
+
+    const negated = option.startsWith("~");
+    const body = negated ? option.slice(1) : option;
+    const separatorIndex = body.indexOf("=");
+    const name = (separatorIndex >= 0 ? body.slice(0, separatorIndex) : body).toLowerCase();
+    const value = separatorIndex >= 0 ? body.slice(separatorIndex + 1) : "";
+
+    if (name === "third-party" || name === "3p") {
+      rule.thirdParty = !negated;
+      continue;
+    }
+
+    if (name === "first-party" || name === "1p") {
+      rule.thirdParty = negated;
+      continue;
+    }
+
+    if (name === "domain" || name === "from") {
+      for (const entry of value.split("|")) {
+        const domain = entry.trim().toLowerCase();
+        if (!domain) {
+          continue;
+        }
+        if (domain.startsWith("~")) {
+          rule.excludedDomains.push(domain.slice(1));
+        } else {
+          rule.includedDomains.push(domain);
+        }
+      }
+      continue;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(TYPE_OPTION_MAP, name)) {
+      const target = negated ? rule.excludedTypes : rule.includedTypes;
+      target.add(TYPE_OPTION_MAP[name]);
+      continue;
+    }
+
+    if (name === "important") {
+      rule.important = true;
+      continue;
+    }
+
+    if (name === "match-case") {
+      rule.matchCase = true;
+      continue;
+    }
+
+    if (name === "all") {
+      for (const type of ALL_TYPES) {
+        rule.includedTypes.add(type);
+      }
+      continue;
+    }
+
+    return false;
+  }
+
+  return true;
+}
+
+function parseFilterRule(rawLine, listId = "") {
+  let line = String(rawLine || "").trim();
+  if (!line || line.startsWith("!") || line.startsWith("[") || isCosmeticRule(line)) {
+    return null;
+  }
+
+  const rule = {
+    raw: line,
+    listId,
+    isException: false,
+    important: false,
+    matchCase: false,
+    kind: "pattern",
+    hostname: "",
+    token: "",
+    regex: null,
+    thirdParty: null,
+    includedTypes: new Set(),
+    excludedTypes: new Set(),
+    includedDomains: [],
+    excludedDomains: []
+  };
+
+  if (line.startsWith("@@")) {
+    rule.isException = true;
+    line = line.slice(2);
+  }
+
+  let pattern = line;
+  const isRegexRule = line.startsWith("/") && line.endsWith("/") && line.length > 2;
+  const optionIndex = isRegexRule ? -1 : line.lastIndexOf("$");
+  if (optionIndex >= 0) {
+    pattern = line.slice(0, optionIndex);
+    if (!parseOptions(line.slice(optionIndex + 1), rule)) {
+      return null;
+    }
+  }
+
+  const hasRestrictions =
+    rule.includedDomains.length > 0 || rule.includedTypes.size > 0 || rule.thirdParty !== null;
+
+  if (!pattern || pattern === "*" || pattern === "|" || pattern === "||") {
+    if (!hasRestrictions) {
+      return null;
+    }
+    rule.regex = /.*/;
+    return rule;
+  }
+
+  if (pattern.startsWith("/") && pattern.endsWith("/") && pattern.length > 2) {
+    try {
+      rule.regex = new RegExp(pattern.slice(1, -1), rule.matchCase ? "" : "i");
+    } catch (_) {
+      return null;
+    }
+    return rule;
+  }
+
+  const hostMatch = pattern.match(/^\|\|([a-z0-9.-]+)\^\|?$/i);
+  if (hostMatch) {
+    rule.kind = "host";
+    rule.hostname = hostMatch[1].toLowerCase();
+    return rule;
+  }
+
+  try {
+    rule.regex = patternToRegExp(pattern, rule.matchCase);
+  } catch (_) {
+    return null;
+  }
+  rule.token = pickIndexToken(pattern);
+  return rule;
+}
+
+function hostnameMatchesDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+function ruleMatchesContext(rule, context) {
+  if (rule.includedTypes.size > 0) {
+    if (!rule.includedTypes.has(context.type)) {
+      return false;
+    }
+  } else if (context.type === "mainFrame") {
+    return false;
+  }
+
+  if (rule.excludedTypes.has(context.type)) {
+    return false;
+  }
+
+  if (rule.thirdParty === true && !context.isThirdParty) {
+    return false;
+  }
+  if (rule.thirdParty === false && context.isThirdParty) {
+    return false;
+  }
+
+  if (rule.includedDomains.length > 0) {
+    if (!context.sourceHostname) {
+      return false;
+    }
+    if (!rule.includedDomains.some((domain) => hostnameMatchesDomain(context.sourceHostname, domain))) {
+      return false;
+    }
+  }
+
+  if (
+    rule.excludedDomains.length > 0 &&
+    context.sourceHostname &&
+    rule.excludedDomains.some((domain) => hostnameMatchesDomain(context.sourceHostname, domain))
+  ) {
+    return false;
+  }
+
+  if (rule.kind === "host") {
+    return true;
+  }
+
+  return rule.regex.test(context.url);
+}
+
+function createRuleIndex() {
+  return {
+    byHost: new Map(),
+    byToken: new Map(),
+    untokenized: []
+  };
+}
+
+function addToBucket(map, key, rule) {
+  const bucket = map.get(key);
+  if (bucket) {
+    bucket.push(rule);
+  } else {
+    map.set(key, [rule]);
+  }
+}
+
+function indexRule(index, rule) {
+  if (rule.kind === "host") {
+    addToBucket(index.byHost, rule.hostname, rule);
+  } else if (rule.token) {
+    addToBucket(index.byToken, rule.token, rule);
+  } else {
+    index.untokenized.push(rule);
+  }
+}
+
+function* candidateRules(index, context) {
+  const labels = context.hostname.split(".");
+  for (let start = 0; start < labels.length; start += 1) {
+    const bucket = index.byHost.get(labels.slice(start).join("."));
+    if (bucket) {
+      yield* bucket;
+    }
+  }
+
+  const seenTokens = new Set();
+  for (const token of context.tokens) {
+    if (seenTokens.has(token)) {
+      continue;
+    }
+    seenTokens.add(token);
+    const bucket = index.byToken.get(token);
+    if (bucket) {
+      yield* bucket;
+    }
+  }
+
+  yield* index.untokenized;
+}
+
+function findMatchingRule(index, context, importantOnly = false) {
+  for (const rule of candidateRules(index, context)) {
+    if (importantOnly && !rule.important) {
+      continue;
+    }
+    if (ruleMatchesContext(rule, context)) {
+      return rule;
+    }
+  }
+  return null;
+}
+
+function createFilterEngine() {
+  const blockIndex = createRuleIndex();
+  const exceptionIndex = createRuleIndex();
+  let ruleCount = 0;
+
+  function addList(listId, text) {
+    let added = 0;
+    for (const line of String(text || "").split(/\r?\n/)) {
+      const rule = parseFilterRule(line, listId);
+      if (!rule) {
+        continue;
+      }
+      indexRule(rule.isException ? exceptionIndex : blockIndex, rule);
+      added += 1;
+    }
+    ruleCount += added;
+    return added;
+  }
+
+  function match(request) {
+    const url = String((request && request.url) || "");
+    const hostname = String((request && request.hostname) || "").toLowerCase();
+    if (!url || !hostname) {
+      return null;
+    }
+
+    const context = {
+      url,
+      hostname,
+      tokens: url.toLowerCase().match(/[a-z0-9%]{2,}/g) || [],
+      type: normalizeRequestType(request.resourceType),
+      sourceHostname: String(request.sourceHostname || "").toLowerCase(),
+      isThirdParty: Boolean(request.isThirdParty)
+    };
+
+    const important = findMatchingRule(blockIndex, context, true);
+    if (important) {
+      return { blocked: true, rule: important.raw, listId: important.listId };
+    }
+
+    const blocking = findMatchingRule(blockIndex, context);
+    if (!blocking) {
+      return null;
+    }
+
+    const exception = findMatchingRule(exceptionIndex, context);
+    if (exception) {
+      return { blocked: false, rule: exception.raw, listId: exception.listId };
+    }
+
+    return { blocked: true, rule: blocking.raw, listId: blocking.listId };
+  }
+
+  return {
+    addList,
+    match,
+    get ruleCount() {
+      return ruleCount;
+    }
+  };
+}
+
+module.exports = {
+  createFilterEngine,
+  parseFilterRule
+};
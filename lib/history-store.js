@@ -0,0 +1,588 @@
+"use strict";
+
+// Browsing history store. Every URL has one record (title, visit counts, frecency) and every
+// visit is kept with its time and transition type. On disk the store is a snapshot plus an
+// append-only journal: a visit appends one journal line, and the journal is folded into a new
+// snapshot once it grows, so the whole history is not rewritten on every page load.
+// Text search runs on an in-memory word index over titles and URLs.
+
+const fs = require("fs");
+const path = require("path");
+
+const SNAPSHOT_FILE_NAME = "history-store.json";
+const JOURNAL_FILE_NAME = "history-journal.jsonl";
+const STORE_VERSION = 1;
+const DEFAULT_MAX_VISITS = 50000;
+const COMPACT_AFTER_JOURNAL_ENTRIES = 1000;
+const MAX_URL_LENGTH = 8192;
+const MAX_TITLE_LENGTH = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Frecency follows Firefox: the most recent visits are scored by age and by how the page was
+// reached, then the average is scaled up by the total visit count.
+const FRECENCY_SAMPLE_SIZE = 10;
+const FRECENCY_AGE_BUCKETS = [
+  [4 * DAY_MS, 100],
+  [14 * DAY_MS, 70],
+  [31 * DAY_MS, 50],
+  [90 * DAY_MS, 30],
+  [Infinity, 10]
+];
+const TRANSITION_WEIGHTS = {
+  typed: 2,
+  bookmark: 1.4,
+  link: 1,
+  generated: 1,
+  redirect: 0.25
+};
+const TRANSITIONS = Object.keys(TRANSITION_WEIGHTS);
+
+function normalizeTransition(value) {
+  const transition = String(value || "").toLowerCase();
+  return TRANSITIONS.includes(transition) ? transition : "link";
+}
+
+function tokenize(text) {
+  return String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// The address as people type it: no scheme and no leading "www.".
+function stripAddress(url) {
+  return String(url || "")
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//i, "")
+    .replace(/^www\./i, "")
+    .toLowerCase();
+}
+
+function computeFrecency(record, visits, now) {
+  if (visits.length === 0) {
+    return 0;
+  }
+
+  const sample = visits.slice(-FRECENCY_SAMPLE_SIZE);
+  let points = 0;
+  for (const visit of sample) {
+    const age = Math.max(0, now - visit.visitedAt);
+    const bucket = FRECENCY_AGE_BUCKETS.find(([limit]) => age <= limit);
+    points += bucket[1] * TRANSITION_WEIGHTS[visit.transition];
+  }
+  return Math.ceil((record.visitCount * points) / sample.length);
+}
+
+// Binary search for the first entry of a sorted array that is >= value.
+function lowerBound(sorted, value, getKey = (item) => item) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (getKey(sorted[middle]) < value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+function createHistoryStore(directory, options = {}) {
+  const snapshotPath = path.join(directory, SNAPSHOT_FILE_NAME);
+  const journalPath = path.join(directory, JOURNAL_FILE_NAME);
+  const maxVisits = Math.max(1, Number(options.maxVisits) || DEFAULT_MAX_VISITS);
+
+  // url -> { url, title, visitCount, typedCount, lastVisitAt, frecency }
+  const records = new Map();
+  // url -> visits of that URL, oldest first
+  const visitsByUrl = new Map();
+  // every visit, oldest first: { url, visitedAt, transition }
+  let visits = [];
+  // word -> Set of URLs whose title or URL contains it
+  const wordIndex = new Map();
+  let sortedWords = null;
+  // [stripped address, url] pairs sorted by address, for address bar prefix lookups
+  let sortedAddresses = null;
+  let journalEntries = 0;
+
+  function indexRecord(record, add) {
+    for (const word of new Set([...tokenize(record.title), ...tokenize(record.url)])) {
+      let urls = wordIndex.get(word);
+      if (add) {
+        if (!urls) {
+          urls = new Set();
+          wordIndex.set(word, urls);
+          sortedWords = null;
+        }
+        urls.add(record.url);
+      } else if (urls) {
+        urls.delete(record.url);
+        if (urls.size === 0) {
+          wordIndex.delete(word);
+          sortedWords = null;
+        }
+      }
+    }
+  }
+
+  function getOrCreateRecord(url) {
+    let record = records.get(url);
+    if (!record) {
+      record = { url, title: "", visitCount: 0, typedCount: 0, lastVisitAt: 0, frecency: 0 };
+      records.set(url, record);
+      visitsByUrl.set(url, []);
+      indexRecord(record, true);
+      sortedAddresses = null;
+    }
+    return record;
+  }
+
+  function setRecordTitle(record, title) {
+    if (!title || title === record.title) {
+      return;
+    }
+    indexRecord(record, false);
+    record.title = title;
+    indexRecord(record, true);
+  }
+
+  function insertVisit(visit) {
+    const record = getOrCreateRecord(visit.url);
+    const urlVisits = visitsByUrl.get(visit.url);
+    // Visits nearly always arrive in time order; the search only runs for clock changes.
+    if (visits.length === 0 || visits[visits.length - 1].visitedAt <= visit.visitedAt) {
+      visits.push(visit);
+    } else {
+      visits.splice(lowerBound(visits, visit.visitedAt + 1, (item) => item.visitedAt), 0, visit);
+    }
+    urlVisits.splice(lowerBound(urlVisits, visit.visitedAt + 1, (item) => item.visitedAt), 0, visit);
+
+    record.visitCount += 1;
+    if (visit.transition === "typed") {
+      record.typedCount += 1;
+    }
+    record.lastVisitAt = Math.max(record.lastVisitAt, visit.visitedAt);
+    record.frecency = computeFrecency(record, urlVisits, Date.now());
+    return record;
+  }
+
+  function removeRecord(url) {
+    const record = records.get(url);
+    if (!record) {
+      return false;
+    }
+    indexRecord(record, false);
+    records.delete(url);
+    visitsByUrl.delete(url);
+    visits = visits.filter((visit) => visit.url !== url);
+    sortedAddresses = null;
+    return true;
+  }
+
+  function resetMemory() {
+    records.clear();
+    visitsByUrl.clear();
+    wordIndex.clear();
+    visits = [];
+    sortedWords = null;
+    sortedAddresses = null;
+  }
+
+  function applyJournalEntry(entry) {
+    if (!entry || typeof entry !== "object") {
+      return;
+    }
+    if (entry.op === "visit" && typeof entry.url === "string") {
+      const record = insertVisit({
+        url: entry.url,
+        visitedAt: Number(entry.visitedAt) || 0,
+        transition: normalizeTransition(entry.transition)
+      });
+      setRecordTitle(record, String(entry.title || ""));
+    } else if (entry.op === "title" && records.has(entry.url)) {
+      setRecordTitle(records.get(entry.url), String(entry.title || ""));
+    } else if (entry.op === "delete") {
+      removeRecord(String(entry.url || ""));
+    }
+  }
+
+  function appendJournal(entry) {
+    try {
+      fs.mkdirSync(directory, { recursive: true });
+      fs.appendFileSync(journalPath, `${JSON.stringify(entry)}\n`, "utf8");
+      journalEntries += 1;
+    } catch (_) {
+      // Best-effort persistence; the entry is still in memory.
+    }
+    if (journalEntries >= COMPACT_AFTER_JOURNAL_ENTRIES) {
+      compact();
+    }
+  }
+
+  // Drops the oldest visits beyond the cap, along with URLs that have no visits left.
+  function pruneVisits() {
+    if (visits.length <= maxVisits) {
+      return;
+    }
+    const dropped = new Set(visits.slice(0, visits.length - maxVisits));
+    visits = visits.slice(visits.length - maxVisits);
+    for (const url of new Set([...dropped].map((visit) => visit.url))) {
+      const remaining = visitsByUrl.get(url).filter((visit) => !dropped.has(visit));
+      if (remaining.length === 0) {
+        removeRecord(url);
+      } else {
+        visitsByUrl.set(url, remaining);
+      }
+    }
+  }
+
+  // Snapshot layout: URL records in a table, visits as [url index, time, transition index].
+  function compact() {
+    pruneVisits();
+    const now = Date.now();
+    const urlList = [...records.values()];
+    const urlIndexes = new Map(urlList.map((record, index) => [record.url, index]));
+    const snapshot = {
+      version: STORE_VERSION,
+      transitions: TRANSITIONS,
+      urls: urlList.map((record) => {
+        record.frecency = computeFrecency(record, visitsByUrl.get(record.url), now);
+        return [record.url, record.title, record.visitCount, record.typedCount];
+      }),
+      visits: visits.map((visit) => [
+        urlIndexes.get(visit.url),
+        visit.visitedAt,
+        TRANSITIONS.indexOf(visit.transition)
+      ])
+    };
+
+    try {
+      fs.mkdirSync(directory, { recursive: true });
+      const tempPath = `${snapshotPath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(snapshot), "utf8");
+      fs.renameSync(tempPath, snapshotPath);
+      fs.writeFileSync(journalPath, "", "utf8");
+      journalEntries = 0;
+    } catch (_) {
+      // The journal still holds everything since the last snapshot.
+    }
+  }
+
+  function loadSnapshot() {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+    } catch (_) {
+      return;
+    }
+    if (!snapshot || snapshot.version !== STORE_VERSION || !Array.isArray(snapshot.urls)) {
+      return;
+    }
+
+    const transitions = Array.isArray(snapshot.transitions) ? snapshot.transitions : TRANSITIONS;
+    const urlList = snapshot.urls.map((row) => (Array.isArray(row) ? row : []));
+    for (const row of Array.isArray(snapshot.visits) ? snapshot.visits : []) {
+      const urlRow = Array.isArray(row) ? urlList[row[0]] : null;
+      if (!urlRow || typeof urlRow[0] !== "string") {
+        continue;
+      }
+      insertVisit({
+        url: urlRow[0],
+        visitedAt: Number(row[1]) || 0,
+        transition: normalizeTransition(transitions[row[2]])
+      });
+    }
+
+    // Counts include visits pruned from earlier snapshots, so they come from the URL table.
+    for (const [url, title, visitCount, typedCount] of urlList) {
+      const record = records.get(url);
+      if (record) {
+        setRecordTitle(record, String(title || ""));
+        record.visitCount = Math.max(record.visitCount, Number(visitCount) || 0);
+        record.typedCount = Math.max(record.typedCount, Number(typedCount) || 0);
+      }
+    }
+  }
+
+  function loadJournal() {
+    let text = "";
+    try {
+      text = fs.readFileSync(journalPath, "utf8");
+    } catch (_) {
+      return;
+    }
+    for (const line of text.split("\n")) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        applyJournalEntry(JSON.parse(line));
+        journalEntries += 1;
+      } catch (_) {
+        // A crash mid-write can leave a partial last line.
+      }
+    }
+  }
+
+  function load() {
+    resetMemory();
+    journalEntries = 0;
+    loadSnapshot();
+    loadJournal();
+    const now = Date.now();
+    for (const record of records.values()) {
+      record.frecency = computeFrecency(record, visitsByUrl.get(record.url), now);
+    }
+  }
+
+  function sanitizeUrl(value) {
+    const url = String(value || "").trim();
+    return url && url.length <= MAX_URL_LENGTH ? url : "";
+  }
+
+  function sanitizeTitle(value) {
+    return String(value || "").trim().slice(0, MAX_TITLE_LENGTH);
+  }
+
+  function addVisit(input) {
+    const url = sanitizeUrl(input && input.url);
+    if (!url) {
+      return null;
+    }
+    const entry = {
+      op: "visit",
+      url,
+      title: sanitizeTitle(input.title),
+      visitedAt: Number(input.visitedAt) || Date.now(),
+      transition: normalizeTransition(input.transition)
+    };
+    applyJournalEntry(entry);
+    appendJournal(entry);
+    return toPublicRecord(records.get(url));
+  }
+
+  function setTitle(rawUrl, rawTitle) {
+    const url = sanitizeUrl(rawUrl);
+    const title = sanitizeTitle(rawTitle);
+    const record = records.get(url);
+    if (!record || !title || record.title === title) {
+      return false;
+    }
+    const entry = { op: "title", url, title };
+    applyJournalEntry(entry);
+    appendJournal(entry);
+    return true;
+  }
+
+  function deleteUrl(rawUrl) {
+    const url = sanitizeUrl(rawUrl);
+    if (!records.has(url)) {
+      return false;
+    }
+    applyJournalEntry({ op: "delete", url });
+    // Rewrite the files right away so the address is gone from disk, not just masked by the journal.
+    compact();
+    return true;
+  }
+
+  function clear() {
+    resetMemory();
+    compact();
+  }
+
+  function toPublicRecord(record) {
+    return record
+      ? {
+          url: record.url,
+          title: record.title,
+          visitCount: record.visitCount,
+          typedCount: record.typedCount,
+          lastVisitAt: record.lastVisitAt,
+          frecency: record.frecency
+        }
+      : null;
+  }
+
+  // URLs whose words start with every word of the query, or null for an empty query.
+  function findMatchingUrls(text) {
+    const queryWords = [...new Set(tokenize(text))];
+    if (queryWords.length === 0) {
+      return null;
+    }
+
+    if (!sortedWords) {
+      sortedWords = [...wordIndex.keys()].sort();
+    }
+
+    let matches = null;
+    for (const queryWord of queryWords) {
+      const urls = new Set();
+      for (let index = lowerBound(sortedWords, queryWord); index < sortedWords.length; index += 1) {
+        const word = sortedWords[index];
+        if (!word.startsWith(queryWord)) {
+          break;
+        }
+        for (const url of wordIndex.get(word)) {
+          if (!matches || matches.has(url)) {
+            urls.add(url);
+          }
+        }
+      }
+      matches = urls;
+      if (matches.size === 0) {
+        break;
+      }
+    }
+    return matches;
+  }
+
+  // Visits newest first, filtered by text and by an inclusive [from, to] time range.
+  function searchVisits(query = {}) {
+    const matches = findMatchingUrls(query.text);
+    const from = Number(query.from) || 0;
+    const to = Number(query.to) || Infinity;
+    const offset = Math.max(0, Number(query.offset) || 0);
+    const limit = Math.max(1, Number(query.limit) || 100);
+
+    const items = [];
+    let total = 0;
+    for (let index = lowerBound(visits, to + 1, (visit) => visit.visitedAt) - 1; index >= 0; index -= 1) {
+      const visit = visits[index];
+      if (visit.visitedAt < from) {
+        break;
+      }
+      if (matches && !matches.has(visit.url)) {
+        continue;
+      }
+      if (total >= offset && items.length < limit) {
+        const record = records.get(visit.url);
+        items.push({
+          url: visit.url,
+          title: record.title,
+          visitedAt: visit.visitedAt,
+          transition: visit.transition,
+          visitCount: record.visitCount,
+          frecency: record.frecency
+        });
+      }
+      total += 1;
+    }
+    return { total, items };
+  }
+
+  // One entry per URL, best frecency first.
+  function searchUrls(query = {}) {
+    const matches = findMatchingUrls(query.text);
+    const from = Number(query.from) || 0;
+    const to = Number(query.to) || Infinity;
+    const offset = Math.max(0, Number(query.offset) || 0);
+    const limit = Math.max(1, Number(query.limit) || 100);
+    const now = Date.now();
+
+    const candidates = [];
+    for (const url of matches || records.keys()) {
+      const record = records.get(url);
+      const inRange = !query.from && !query.to
+        ? true
+        : visitsByUrl.get(url).some((visit) => visit.visitedAt >= from && visit.visitedAt <= to);
+      if (inRange) {
+        record.frecency = computeFrecency(record, visitsByUrl.get(url), now);
+        candidates.push(record);
+      }
+    }
+
+    candidates.sort((left, right) => right.frecency - left.frecency || right.lastVisitAt - left.lastVisitAt);
+    return {
+      total: candidates.length,
+      items: candidates.slice(offset, offset + limit).map(toPublicRecord)
+    };
+  }
+
+  function findAddressPrefixMatches(typedAddress) {
+    if (!sortedAddresses) {
+      sortedAddresses = [...records.keys()]
+        .map((url) => [stripAddress(url), url])
+        .sort((left, right) => (left[0] < right[0] ? -1 : left[0] > right[0] ? 1 : 0));
+    }
+
+    const urls = [];
+    for (
+      let index = lowerBound(sortedAddresses, typedAddress, (entry) => entry[0]);
+      index < sortedAddresses.length && sortedAddresses[index][0].startsWith(typedAddress);
+      index += 1
+    ) {
+      urls.push(sortedAddresses[index][1]);
+    }
+    return urls;
+  }
+
+  // Address bar suggestions. Pages whose address starts with the typed text rank ahead of
+  // word matches with the same frecency. The best address match also gives the inline
+  // completion: just the host while the text is still inside it, the full address after that.
+  function suggest(rawText, rawLimit) {
+    const text = String(rawText || "").trim().toLowerCase();
+    const limit = Math.max(1, Number(rawLimit) || 6);
+    if (!text) {
+      return { items: [], inlineCompletion: "" };
+    }
+
+    const now = Date.now();
+    const typedAddress = stripAddress(text);
+    const prefixUrls = new Set(typedAddress ? findAddressPrefixMatches(typedAddress) : []);
+    const scores = new Map();
+    for (const url of prefixUrls) {
+      const record = records.get(url);
+      record.frecency = computeFrecency(record, visitsByUrl.get(url), now);
+      scores.set(url, record.frecency * 2);
+    }
+    for (const url of findMatchingUrls(text) || []) {
+      if (!scores.has(url)) {
+        const record = records.get(url);
+        record.frecency = computeFrecency(record, visitsByUrl.get(url), now);
+        scores.set(url, record.frecency);
+      }
+    }
+
+    const ranked = [...scores.entries()]
+      .sort((left, right) => right[1] - left[1])
+      .slice(0, limit)
+      .map(([url]) => toPublicRecord(records.get(url)));
+
+    let inlineCompletion = "";
+    const canComplete = typedAddress === text && !/\s/.test(text);
+    const best = canComplete ? ranked.find((record) => prefixUrls.has(record.url)) : null;
+    if (best) {
+      const address = stripAddress(best.url);
+      const slash = address.indexOf("/");
+      const host = slash === -1 ? address : address.slice(0, slash + 1);
+      inlineCompletion = !text.includes("/") && host.startsWith(text) ? host : address;
+    }
+
+    return { items: ranked, inlineCompletion };
+  }
+
+  function getRecentVisits(limit) {
+    return searchVisits({ limit }).items;
+  }
+
+  return {
+    addVisit,
+    clear,
+    compact,
+    deleteUrl,
+    getRecentVisits,
+    load,
+    searchUrls,
+    searchVisits,
+    setTitle,
+    suggest,
+    get urlCount() {
+      return records.size;
+    },
+    get visitCount() {
+      return visits.length;
+    }
+  };
+}
+
+module.exports = {
+  TRANSITIONS,
+  createHistoryStore
+};
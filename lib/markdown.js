@@ -0,0 +1,210 @@
+"use strict";
+
+// Minimal Markdown renderer for GitHub release notes shown on about:whatsnew.
+// Everything is HTML-escaped first and only a fixed set of tags is emitted, so raw HTML in
+// the notes shows up as text. Images become plain links: local pages never load remote content.
+
+const SAFE_LINK_PATTERN = /^(https?:|mailto:)/i;
+// Link destinations may contain balanced parentheses, as in Wikipedia's "Foo_(bar)", nested up
+// to two levels deep. An unbalanced ")" still ends the link, as in CommonMark.
+const LINK_PARENS = String.raw`\((?:[^()\s<>]|\([^()\s<>]*\))*\)`;
+const LINK_DESTINATION = String.raw`(?:[^()\s<>]|${LINK_PARENS})+`;
+const INLINE_PATTERN = new RegExp(
+  String.raw`\`([^\`]+)\`|(!?)\[([^\]]+)\]\(\s*<?(${LINK_DESTINATION})>?(?:\s+"[^"]*")?\s*\)|(https?:\/\/[^\s<]*[^\s<.,:;"')\]])`,
+  "g"
+);
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s{0,3}>\s?(.*)$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Runs on already-escaped text, which cannot contain "<", so the inserted tags stay balanced.
+function renderEmphasis(escaped) {
+  return escaped
+    .replace(/\*\*(?=\S)(.+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^\w])__(?=\S)(.+?)__(?!\w)/g, "$1<strong>$2</strong>")
+    .replace(/~~(?=\S)(.+?)~~/g, "<del>$1</del>")
+    .replace(/(^|[^\w*])\*(?=\S)(.+?)\*(?![\w*])/g, "$1<em>$2</em>")
+    .replace(/(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, "$1<em>$2</em>");
+}
+
+function renderLink(url, labelHtml) {
+  if (!SAFE_LINK_PATTERN.test(url)) {
+    return labelHtml;
+  }
+  return `<a href="${escapeHtml(url)}">${labelHtml}</a>`;
+}
+
+function renderInline(text) {
+  let html = "";
+  let lastIndex = 0;
+  INLINE_PATTERN.lastIndex = 0;
+
+  let match;
+  while ((match = INLINE_PATTERN.exec(text)) !== null) {
+    html += renderEmphasis(escapeHtml(text.slice(lastIndex, match.index)));
+    lastIndex = INLINE_PATTERN.lastIndex;
+
+    const [, code, bang, label, url, bareUrl] = match;
+    if (code !== undefined) {
+      html += `<code>${escapeHtml(code)}</code>`;
+    } else if (label !== undefined) {
+      const labelHtml = bang ? `${escapeHtml(label)} (image)` : renderEmphasis(escapeHtml(label));
+      html += renderLink(url, labelHtml);
+    } else {
+      // Bare URLs never end in ")", but one that closes a "(" inside the URL belongs to it.
+      let url = bareUrl;
+      while (text[lastIndex] === ")" && url.split("(").length > url.split(")").length) {
+        url += ")";
+        lastIndex += 1;
+      }
+      INLINE_PATTERN.lastIndex = lastIndex;
+      html += renderLink(url, escapeHtml(url));
+    }
+  }
+
+  return html + renderEmphasis(escapeHtml(text.slice(lastIndex)));
+}
+
+function getIndentWidth(whitespace) {
+  return whitespace.replace(/\t/g, "    ").length;
+}
+
+function renderListItems(items, start) {
+  const baseIndent = items[start].indent;
+  const ordered = items[start].ordered;
+  const tag = ordered ? "ol" : "ul";
+  let html = `<${tag}>`;
+  let index = start;
+
+  while (index < items.length && items[index].indent >= baseIndent) {
+    if (items[index].indent === baseIndent && items[index].ordered !== ordered) {
+      // Switching between bullets and numbers starts a new list.
+      break;
+    }
+    let inner = renderInline(items[index].text);
+    index += 1;
+    while (index < items.length && items[index].indent > baseIndent) {
+      const nested = renderListItems(items, index);
+      inner += nested.html;
+      index = nested.next;
+    }
+    html += `<li>${inner}</li>`;
+  }
+
+  return { html: `${html}</${tag}>`, next: index };
+}
+
+function renderMarkdown(source) {
+  const lines = String(source || "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${paragraph.map(renderInline).join("<br />")}</p>`);
+      paragraph = [];
+    }
+  };
+
+  let index = 0;
+  while (index < lines.length) {
+    const line = lines[index];
+
+    const fence = FENCE_PATTERN.exec(line);
+    if (fence) {
+      flushParagraph();
+      const code = [];
+      index += 1;
+      while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      index += 1;
+      blocks.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      index += 1;
+      continue;
+    }
+
+    const heading = HEADING_PATTERN.exec(line);
+    if (heading) {
+      flushParagraph();
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      index += 1;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      flushParagraph();
+      blocks.push("<hr />");
+      index += 1;
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      flushParagraph();
+      const quoted = [];
+      while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+        quoted.push(QUOTE_PATTERN.exec(lines[index])[1]);
+        index += 1;
+      }
+      blocks.push(`<blockquote>${renderMarkdown(quoted.join("\n"))}</blockquote>`);
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(line)) {
+      flushParagraph();
+      const items = [];
+      while (index < lines.length) {
+        const item = LIST_ITEM_PATTERN.exec(lines[index]);
+        if (item) {
+          items.push({
+            indent: getIndentWidth(item[1]),
+            ordered: /^\d/.test(item[2]),
+            text: item[3]
+          });
+        } else if (lines[index].trim() && /^\s/.test(lines[index])) {
+          // Indented continuation line of the previous item.
+          items[items.length - 1].text += ` ${lines[index].trim()}`;
+        } else {
+          break;
+        }
+        index += 1;
+      }
+
+      let itemIndex = 0;
+      while (itemIndex < items.length) {
+        const list = renderListItems(items, itemIndex);
+        blocks.push(list.html);
+        itemIndex = list.next;
+      }
+      continue;
+    }
+
+    paragraph.push(line.trim());
+    index += 1;
+  }
+
+  flushParagraph();
+  return blocks.join("\n");
+}
+
+module.exports = {
+  renderMarkdown
+};
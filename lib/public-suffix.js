@@ -0,0 +1,139 @@
+"use strict";
+
+// Public Suffix List matcher (https://publicsuffix.org/list/).
+// Rules are stored in punycode so they compare directly against URL hostnames.
+
+const net = require("net");
+const { domainToASCII } = require("url");
+
+function stripHostBrackets(hostname) {
+  const value = String(hostname || "");
+  return value.startsWith("[") && value.endsWith("]") ? value.slice(1, -1) : value;
+}
+
+function isIpAddress(hostname) {
+  return net.isIP(stripHostBrackets(hostname)) !== 0;
+}
+
+function normalizeHostname(hostname) {
+  const value = String(hostname || "").trim().toLowerCase().replace(/\.+$/, "");
+  if (!value) {
+    return "";
+  }
+
+  if (isIpAddress(value)) {
+    return stripHostBrackets(value);
+  }
+
+  if (/^[a-z0-9._-]+$/.test(value)) {
+    return value;
+  }
+
+  return domainToASCII(value) || "";
+}
+
+function normalizeRuleLabels(rule) {
+  return rule.split(".").map((label) => {
+    if (label === "*" || /^[a-z0-9_-]+$/.test(label)) {
+      return label;
+    }
+    return domainToASCII(label) || label;
+  }).join(".");
+}
+
+function parsePublicSuffixList(text) {
+  const rules = new Set();
+  const wildcards = new Set();
+  const exceptions = new Set();
+
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.trim().split(/\s/)[0].toLowerCase();
+    if (!line || line.startsWith("//")) {
+      continue;
+    }
+
+    if (line.startsWith("!")) {
+      exceptions.add(normalizeRuleLabels(line.slice(1)));
+    } else if (line.startsWith("*.")) {
+      wildcards.add(normalizeRuleLabels(line.slice(2)));
+    } else {
+      rules.add(normalizeRuleLabels(line));
+    }
+  }
+
+  return { rules, wildcards, exceptions };
+}
+
+function createPublicSuffixList(text) {
+  const { rules, wildcards, exceptions } = parsePublicSuffixList(text);
+
+  // Returns the number of trailing labels that make up the public suffix.
+  function getSuffixLength(labels) {
+    let length = 1;
+
+    for (let start = labels.length - 1; start >= 0; start -= 1) {
+      const candidate = labels.slice(start).join(".");
+      const candidateLength = labels.length - start;
+
+      if (exceptions.has(candidate)) {
+        return candidateLength - 1;
+      }
+
+      if (rules.has(candidate) && candidateLength > length) {
+        length = candidateLength;
+      }
+
+      if (start > 0 && wildcards.has(candidate) && candidateLength + 1 > length) {
+        const wildcardCandidate = labels.slice(start - 1).join(".");
+        if (!exceptions.has(wildcardCandidate)) {
+          length = candidateLength + 1;
+        }
+      }
+    }
+
+    return length;
+  }
+
+  function getPublicSuffix(hostname) {
+    const host = normalizeHostname(hostname);
+    if (!host || isIpAddress(host)) {
+      return "";
+    }
+
+    const labels = host.split(".");
+    return labels.slice(-getSuffixLength(labels)).join(".");
+  }
+
+  function getRegistrableDomain(hostname) {
+    const host = normalizeHostname(hostname);
+    if (!host) {
+      return "";
+    }
+
+    if (isIpAddress(host)) {
+      return host;
+    }
+
+    const labels = host.split(".");
+    const suffixLength = getSuffixLength(labels);
+    if (labels.length <= suffixLength) {
+      return "";
+    }
+
+    return labels.slice(-(suffixLength + 1)).join(".");
+  }
+
+  return {
+    getPublicSuffix,
+    getRegistrableDomain,
+    get ruleCount() {
+      return rules.size + wildcards.size + exceptions.size;
+    }
+  };
+}
+
+module.exports = {
+  createPublicSuffixList,
+  isIpAddress,
+  normalizeHostname
+};
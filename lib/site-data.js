@@ -0,0 +1,153 @@
+"use strict";
+
+// Best-effort scan of a Chromium session storage folder to find which origins hold
+// localStorage, IndexedDB and Cache Storage data. Electron exposes no API that lists
+// these per origin, so the scan reads folder names and raw LevelDB / index files.
+
+const fs = require("fs");
+const path = require("path");
+
+const MAX_SCANNED_FILE_BYTES = 32 * 1024 * 1024;
+const ORIGIN_PATTERN = /https?:\/\/[a-z0-9.-]+(?::\d{1,5})?/gi;
+
+function getDirectorySize(target) {
+  let total = 0;
+  let entries;
+  try {
+    entries = fs.readdirSync(target, { withFileTypes: true });
+  } catch (_) {
+    return 0;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(target, entry.name);
+    if (entry.isDirectory()) {
+      total += getDirectorySize(fullPath);
+      continue;
+    }
+    try {
+      total += fs.statSync(fullPath).size;
+    } catch (_) {
+      // File vanished while scanning.
+    }
+  }
+  return total;
+}
+
+function listDirectory(target) {
+  try {
+    return fs.readdirSync(target, { withFileTypes: true });
+  } catch (_) {
+    return [];
+  }
+}
+
+function readOriginsFromFile(filePath, prefix = "") {
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch (_) {
+    return [];
+  }
+  if (!stat.isFile() || stat.size > MAX_SCANNED_FILE_BYTES) {
+    return [];
+  }
+
+  const text = fs.readFileSync(filePath).toString("latin1");
+  const origins = new Set();
+  if (prefix) {
+    let index = text.indexOf(prefix);
+    while (index >= 0) {
+      const match = text.slice(index + prefix.length, index + prefix.length + 300).match(/^https?:\/\/[a-z0-9.-]+(?::\d{1,5})?/i);
+      if (match) {
+        origins.add(match[0].toLowerCase());
+      }
+      index = text.indexOf(prefix, index + prefix.length);
+    }
+    return [...origins];
+  }
+
+  for (const match of text.match(ORIGIN_PATTERN) || []) {
+    origins.add(match.toLowerCase());
+  }
+  return [...origins];
+}
+
+function getOriginEntry(result, origin) {
+  if (!result.has(origin)) {
+    result.set(origin, {
+      origin,
+      localStorage: false,
+      indexedDBBytes: 0,
+      cacheStorageBytes: 0
+    });
+  }
+  return result.get(origin);
+}
+
+function scanLocalStorage(storagePath, result) {
+  const dir = path.join(storagePath, "Local Storage", "leveldb");
+  for (const entry of listDirectory(dir)) {
+    if (!entry.isFile() || !/\.(log|ldb)$/i.test(entry.name)) {
+      continue;
+    }
+    // Chromium keeps one "META:<origin>" record per origin with stored items.
+    for (const origin of readOriginsFromFile(path.join(dir, entry.name), "META:")) {
+      getOriginEntry(result, origin).localStorage = true;
+    }
+  }
+}
+
+function scanIndexedDB(storagePath, result) {
+  const dir = path.join(storagePath, "IndexedDB");
+  for (const entry of listDirectory(dir)) {
+    const match = entry.name.match(/^(https?)_(.+)_(\d+)\.indexeddb\.(leveldb|blob)$/i);
+    if (!match || !entry.isDirectory()) {
+      continue;
+    }
+    const port = match[3] === "0" ? "" : `:${match[3]}`;
+    const origin = `${match[1].toLowerCase()}://${match[2].toLowerCase()}${port}`;
+    getOriginEntry(result, origin).indexedDBBytes += getDirectorySize(path.join(dir, entry.name));
+  }
+}
+
+function scanCacheStorageDir(dir, result) {
+  for (const entry of listDirectory(dir)) {
+    if (!entry.isDirectory()) {
+      continue;
+    }
+    const cacheDir = path.join(dir, entry.name);
+    const [origin] = readOriginsFromFile(path.join(cacheDir, "index.txt"));
+    if (origin) {
+      getOriginEntry(result, origin).cacheStorageBytes += getDirectorySize(cacheDir);
+    }
+  }
+}
+
+function scanCacheStorage(storagePath, result) {
+  scanCacheStorageDir(path.join(storagePath, "Service Worker", "CacheStorage"), result);
+
+  // Newer Chromium builds move Cache Storage into per-bucket WebStorage folders.
+  const bucketsDir = path.join(storagePath, "WebStorage");
+  for (const entry of listDirectory(bucketsDir)) {
+    if (entry.isDirectory()) {
+      scanCacheStorageDir(path.join(bucketsDir, entry.name, "CacheStorage"), result);
+    }
+  }
+}
+
+function scanSessionStorage(storagePath) {
+  const result = new Map();
+  if (!storagePath) {
+    return [];
+  }
+
+  scanLocalStorage(storagePath, result);
+  scanIndexedDB(storagePath, result);
+  scanCacheStorage(storagePath, result);
+  return [...result.values()];
+}
+
+module.exports = {
+  scanSessionStorage
+};
@@ -0,0 +1,183 @@
+"use strict";
+
+// Signed update manifests for GitHub release update.zip packages.
+// The manifest lists every packaged file with its size and SHA-256 hash and carries an
+// Ed25519 signature over the canonical JSON of everything except the signature itself.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_FILE_NAME = "update-manifest.json";
+const SIGNATURE_ALGORITHM = "ed25519";
+
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(",")}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+function getSignedPayload(manifest) {
+  const { signature: _signature, ...unsigned } = manifest || {};
+  return Buffer.from(canonicalize(unsigned), "utf8");
+}
+
+function toPublicKey(publicKey) {
+  if (publicKey instanceof crypto.KeyObject && publicKey.type === "public") {
+    return publicKey;
+  }
+  return crypto.createPublicKey(publicKey);
+}
+
+function getPublicKeyId(publicKey) {
+  const key = toPublicKey(publicKey);
+  const der = key.export({ type: "spki", format: "der" });
+  return crypto.createHash("sha256").update(der).digest("hex").slice(0, 16);
+}
+
+function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  const fd = fs.openSync(filePath, "r");
+  const buffer = Buffer.alloc(1024 * 1024);
+  try {
+    let bytesRead = 0;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      hash.update(buffer.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest("hex");
+}
+
+function describeFile(rootDir, name) {
+  const filePath = path.join(rootDir, name);
+  return {
+    name,
+    size: fs.statSync(filePath).size,
+    sha256: hashFile(filePath)
+  };
+}
+
+function signManifest(manifest, privateKey) {
+  const key = crypto.createPrivateKey(privateKey);
+  if (key.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+    throw new Error(`Update signing key must be ${SIGNATURE_ALGORITHM}, got ${key.asymmetricKeyType}.`);
+  }
+
+  const { signature: _signature, ...unsigned } = manifest;
+  return {
+    ...unsigned,
+    signature: {
+      algorithm: SIGNATURE_ALGORITHM,
+      keyId: getPublicKeyId(crypto.createPublicKey(key)),
+      value: crypto.sign(null, getSignedPayload(unsigned), key).toString("base64")
+    }
+  };
+}
+
+function verifyManifestSignature(manifest, publicKey) {
+  const signature = manifest && manifest.signature;
+  if (!signature || typeof signature.value !== "string" || !signature.value) {
+    throw new Error("Update manifest is not signed.");
+  }
+
+  if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+    throw new Error(`Unsupported update signature algorithm: ${signature.algorithm || "none"}.`);
+  }
+
+  const key = toPublicKey(publicKey);
+  const keyId = getPublicKeyId(key);
+  if (signature.keyId && signature.keyId !== keyId) {
+    throw new Error(`Update manifest was signed with an unknown key (${signature.keyId}).`);
+  }
+
+  const valid = crypto.verify(null, getSignedPayload(manifest), key, Buffer.from(signature.value, "base64"));
+  if (!valid) {
+    throw new Error("Update manifest signature is invalid.");
+  }
+}
+
+function isSafeRelativeName(name) {
+  if (typeof name !== "string" || !name || path.isAbsolute(name) || /^[a-z]:/i.test(name)) {
+    return false;
+  }
+  return !name.split(/[\\/]+/).some((part) => part === ".." || part === "");
+}
+
+// Checks the signature first, then that the extracted files are exactly the signed ones.
+// Throws on the first problem; returns the verified manifest and absolute file paths.
+function verifyUpdatePackage(rootDir, extractedFiles, publicKey) {
+  const manifestPath = path.join(rootDir, MANIFEST_FILE_NAME);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`${MANIFEST_FILE_NAME} is missing from update.zip.`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  } catch (_) {
+    throw new Error(`${MANIFEST_FILE_NAME} is not valid JSON.`);
+  }
+
+  verifyManifestSignature(manifest, publicKey);
+
+  if (!Array.isArray(manifest.files) || manifest.files.length === 0) {
+    throw new Error("Update manifest lists no files.");
+  }
+
+  const verifiedPaths = new Set();
+  for (const entry of manifest.files) {
+    const name = entry && entry.name;
+    if (!isSafeRelativeName(name) || !/^[a-f0-9]{64}$/.test(String(entry.sha256 || ""))) {
+      throw new Error(`Update manifest has an invalid file entry: ${String(name || "(unnamed)")}.`);
+    }
+
+    const filePath = path.resolve(rootDir, name);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Signed file is missing from update.zip: ${name}.`);
+    }
+
+    const stats = fs.statSync(filePath);
+    if (!stats.isFile() || stats.size !== entry.size) {
+      throw new Error(`Size mismatch for ${name}.`);
+    }
+
+    if (hashFile(filePath) !== entry.sha256) {
+      throw new Error(`SHA-256 mismatch for ${name}.`);
+    }
+
+    verifiedPaths.add(filePath);
+  }
+
+  for (const filePath of extractedFiles) {
+    const resolved = path.resolve(filePath);
+    if (resolved !== path.resolve(manifestPath) && !verifiedPaths.has(resolved)) {
+      throw new Error(`Unsigned file in update.zip: ${path.relative(rootDir, resolved)}.`);
+    }
+  }
+
+  return {
+    manifest,
+    files: [...verifiedPaths]
+  };
+}
+
+module.exports = {
+  MANIFEST_FILE_NAME,
+  describeFile,
+  getPublicKeyId,
+  hashFile,
+  signManifest,
+  verifyManifestSignature,
+  verifyUpdatePackage
+};
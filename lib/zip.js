@@ -0,0 +1,504 @@
+"use strict";
+
+// Minimal ZIP reader and writer (stored + deflate, zip64) built on Node's zlib.
+// Extraction rejects entries that would land outside the destination folder.
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { pipeline } = require("stream/promises");
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIR_SIGNATURE = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIR_SIGNATURE = 0x06064b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EXTRA_ID = 0x0001;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+const UINT16_MAX = 0xffff;
+const UINT32_MAX = 0xffffffff;
+const END_OF_CENTRAL_DIR_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const DEFAULT_MAX_TOTAL_BYTES = 4 * 1024 * 1024 * 1024;
+const DEFAULT_MAX_ENTRIES = 100000;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let index = 0; index < 256; index += 1) {
+    let value = index;
+    for (let bit = 0; bit < 8; bit += 1) {
+      value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+    }
+    table[index] = value >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer, previous = 0) {
+  let crc = (previous ^ UINT32_MAX) >>> 0;
+  for (let index = 0; index < buffer.length; index += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ UINT32_MAX) >>> 0;
+}
+
+function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  if (bytesRead !== length) {
+    throw new Error("Unexpected end of ZIP file.");
+  }
+  return buffer;
+}
+
+function readUInt64(buffer, offset) {
+  const value = buffer.readBigUInt64LE(offset);
+  if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new Error("ZIP entry is too large.");
+  }
+  return Number(value);
+}
+
+function findEndOfCentralDirectory(fd, fileSize) {
+  const searchSize = Math.min(fileSize, END_OF_CENTRAL_DIR_SIZE + MAX_COMMENT_SIZE);
+  const tail = readAt(fd, fileSize - searchSize, searchSize);
+
+  for (let offset = searchSize - END_OF_CENTRAL_DIR_SIZE; offset >= 0; offset -= 1) {
+    if (tail.readUInt32LE(offset) === END_OF_CENTRAL_DIR_SIGNATURE) {
+      return { buffer: tail.subarray(offset), position: fileSize - searchSize + offset };
+    }
+  }
+
+  throw new Error("Not a ZIP file (end of central directory not found).");
+}
+
+function readCentralDirectoryLocation(fd, fileSize) {
+  const eocd = findEndOfCentralDirectory(fd, fileSize);
+  let entryCount = eocd.buffer.readUInt16LE(10);
+  let size = eocd.buffer.readUInt32LE(12);
+  let offset = eocd.buffer.readUInt32LE(16);
+  let recordPosition = eocd.position;
+
+  const needsZip64 = entryCount === UINT16_MAX || size === UINT32_MAX || offset === UINT32_MAX;
+  if (needsZip64 && eocd.position >= 20) {
+    const locator = readAt(fd, eocd.position - 20, 20);
+    if (locator.readUInt32LE(0) === ZIP64_LOCATOR_SIGNATURE) {
+      const zip64Position = readUInt64(locator, 8);
+      const record = readAt(fd, zip64Position, 56);
+      if (record.readUInt32LE(0) !== ZIP64_END_OF_CENTRAL_DIR_SIGNATURE) {
+        throw new Error("Invalid zip64 end of central directory record.");
+      }
+      entryCount = readUInt64(record, 32);
+      size = readUInt64(record, 40);
+      offset = readUInt64(record, 48);
+      recordPosition = zip64Position;
+    }
+  }
+
+  // Offsets are relative to the start of the archive, which may sit behind a prefix (CRX, SFX stubs).
+  const baseOffset = recordPosition - size - offset;
+  if (baseOffset < 0) {
+    throw new Error("Invalid ZIP central directory offset.");
+  }
+
+  return { entryCount, size, offset: offset + baseOffset, baseOffset };
+}
+
+function parseZip64Extra(extra, entry) {
+  let cursor = 0;
+  while (cursor + 4 <= extra.length) {
+    const id = extra.readUInt16LE(cursor);
+    const length = extra.readUInt16LE(cursor + 2);
+    const data = extra.subarray(cursor + 4, cursor + 4 + length);
+    cursor += 4 + length;
+    if (id !== ZIP64_EXTRA_ID) {
+      continue;
+    }
+
+    let field = 0;
+    if (entry.uncompressedSize === UINT32_MAX && field + 8 <= data.length) {
+      entry.uncompressedSize = readUInt64(data, field);
+      field += 8;
+    }
+    if (entry.compressedSize === UINT32_MAX && field + 8 <= data.length) {
+      entry.compressedSize = readUInt64(data, field);
+      field += 8;
+    }
+    if (entry.localHeaderOffset === UINT32_MAX && field + 8 <= data.length) {
+      entry.localHeaderOffset = readUInt64(data, field);
+    }
+    return;
+  }
+}
+
+function readEntries(fd, fileSize) {
+  const location = readCentralDirectoryLocation(fd, fileSize);
+  const directory = readAt(fd, location.offset, location.size);
+  const entries = [];
+  let cursor = 0;
+
+  for (let index = 0; index < location.entryCount; index += 1) {
+    if (cursor + 46 > directory.length || directory.readUInt32LE(cursor) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error("Corrupt ZIP central directory.");
+    }
+
+    const madeBy = directory.readUInt16LE(cursor + 4);
+    const flags = directory.readUInt16LE(cursor + 8);
+    const nameLength = directory.readUInt16LE(cursor + 28);
+    const extraLength = directory.readUInt16LE(cursor + 30);
+    const commentLength = directory.readUInt16LE(cursor + 32);
+    const nameBuffer = directory.subarray(cursor + 46, cursor + 46 + nameLength);
+    const entry = {
+      name: nameBuffer.toString(flags & FLAG_UTF8 ? "utf8" : "latin1"),
+      flags,
+      method: directory.readUInt16LE(cursor + 10),
+      crc32: directory.readUInt32LE(cursor + 16),
+      compressedSize: directory.readUInt32LE(cursor + 20),
+      uncompressedSize: directory.readUInt32LE(cursor + 24),
+      externalAttributes: directory.readUInt32LE(cursor + 38),
+      localHeaderOffset: directory.readUInt32LE(cursor + 42)
+    };
+
+    parseZip64Extra(directory.subarray(cursor + 46 + nameLength, cursor + 46 + nameLength + extraLength), entry);
+    entry.localHeaderOffset += location.baseOffset;
+    entry.isDirectory = entry.name.endsWith("/") || entry.name.endsWith("\\");
+    entry.isSymlink = ((entry.externalAttributes >>> 16) & 0o170000) === 0o120000;
+    // Unix permission bits, only present when the archive was written on a Unix-like system.
+    entry.mode = madeBy >>> 8 === 3 ? (entry.externalAttributes >>> 16) & 0o755 : 0;
+    entries.push(entry);
+
+    cursor += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function listZipEntries(zipPath) {
+  const fd = fs.openSync(zipPath, "r");
+  try {
+    return readEntries(fd, fs.fstatSync(fd).size).map((entry) => ({
+      name: entry.name,
+      isDirectory: entry.isDirectory,
+      compressedSize: entry.compressedSize,
+      uncompressedSize: entry.uncompressedSize
+    }));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Maps an entry name to a path inside destinationDir, or throws when it would escape it.
+function resolveEntryPath(destinationDir, entryName) {
+  const normalized = entryName.replace(/\\/g, "/");
+  const parts = normalized.split("/").filter((part) => part && part !== ".");
+  if (
+    normalized.startsWith("/") ||
+    /^[a-z]:/i.test(normalized) ||
+    parts.some((part) => part === ".." || part.includes("\0"))
+  ) {
+    throw new Error(`Unsafe path in ZIP entry: ${entryName}`);
+  }
+
+  const root = path.resolve(destinationDir);
+  const target = path.resolve(root, ...parts);
+  if (target !== root && !target.startsWith(`${root}${path.sep}`)) {
+    throw new Error(`Unsafe path in ZIP entry: ${entryName}`);
+  }
+  return target;
+}
+
+function getEntryDataOffset(fd, entry) {
+  const header = readAt(fd, entry.localHeaderOffset, 30);
+  if (header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Corrupt local header for ZIP entry: ${entry.name}`);
+  }
+  return entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+}
+
+async function extractEntry(zipPath, fd, entry, targetPath, budget) {
+  if (entry.flags & FLAG_ENCRYPTED) {
+    throw new Error(`Encrypted ZIP entries are not supported: ${entry.name}`);
+  }
+  if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATE) {
+    throw new Error(`Unsupported compression method ${entry.method} for ZIP entry: ${entry.name}`);
+  }
+
+  const dataOffset = getEntryDataOffset(fd, entry);
+  fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+
+  let crc = 0;
+  let written = 0;
+  const stages = [
+    entry.compressedSize > 0
+      ? fs.createReadStream(zipPath, { start: dataOffset, end: dataOffset + entry.compressedSize - 1 })
+      : [Buffer.alloc(0)]
+  ];
+  if (entry.method === METHOD_DEFLATE) {
+    stages.push(zlib.createInflateRaw());
+  }
+  stages.push(async function* checkOutput(source) {
+    for await (const chunk of source) {
+      written += chunk.length;
+      budget.remaining -= chunk.length;
+      if (written > entry.uncompressedSize || budget.remaining < 0) {
+        throw new Error(`ZIP entry is larger than declared: ${entry.name}`);
+      }
+      crc = crc32(chunk, crc);
+      yield chunk;
+    }
+  });
+  stages.push(fs.createWriteStream(targetPath));
+
+  await pipeline(...stages);
+
+  if (written !== entry.uncompressedSize || crc !== entry.crc32) {
+    throw new Error(`CRC or size mismatch for ZIP entry: ${entry.name}`);
+  }
+}
+
+async function extractZip(zipPath, destinationDir, options = {}) {
+  const maxEntries = Number(options.maxEntries) || DEFAULT_MAX_ENTRIES;
+  const budget = { remaining: Number(options.maxTotalBytes) || DEFAULT_MAX_TOTAL_BYTES };
+  const fd = fs.openSync(zipPath, "r");
+  const extracted = [];
+
+  try {
+    const entries = readEntries(fd, fs.fstatSync(fd).size);
+    if (entries.length > maxEntries) {
+      throw new Error(`ZIP archive has too many entries (${entries.length}).`);
+    }
+
+    // Validate every path before writing anything.
+    const targets = entries.map((entry) => resolveEntryPath(destinationDir, entry.name));
+    fs.mkdirSync(destinationDir, { recursive: true });
+
+    for (let index = 0; index < entries.length; index += 1) {
+      const entry = entries[index];
+      const targetPath = targets[index];
+      if (entry.isSymlink) {
+        throw new Error(`Symbolic links are not supported in ZIP entries: ${entry.name}`);
+      }
+      if (entry.isDirectory) {
+        fs.mkdirSync(targetPath, { recursive: true });
+        continue;
+      }
+
+      await extractEntry(zipPath, fd, entry, targetPath, budget);
+      if (entry.mode) {
+        fs.chmodSync(targetPath, entry.mode);
+      }
+      extracted.push(targetPath);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return extracted;
+}
+
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function buildLocalHeader(entry, useZip64) {
+  const name = Buffer.from(entry.name, "utf8");
+  const extra = useZip64 ? Buffer.alloc(20) : Buffer.alloc(0);
+  if (useZip64) {
+    extra.writeUInt16LE(ZIP64_EXTRA_ID, 0);
+    extra.writeUInt16LE(16, 2);
+    extra.writeBigUInt64LE(BigInt(entry.uncompressedSize), 4);
+    extra.writeBigUInt64LE(BigInt(entry.compressedSize), 12);
+  }
+
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+  header.writeUInt16LE(useZip64 ? 45 : 20, 4);
+  header.writeUInt16LE(FLAG_UTF8, 6);
+  header.writeUInt16LE(entry.method, 8);
+  header.writeUInt16LE(entry.dosTime, 10);
+  header.writeUInt16LE(entry.dosDate, 12);
+  header.writeUInt32LE(entry.crc32, 14);
+  header.writeUInt32LE(useZip64 ? UINT32_MAX : entry.compressedSize, 18);
+  header.writeUInt32LE(useZip64 ? UINT32_MAX : entry.uncompressedSize, 22);
+  header.writeUInt16LE(name.length, 26);
+  header.writeUInt16LE(extra.length, 28);
+  return Buffer.concat([header, name, extra]);
+}
+
+function buildCentralHeader(entry) {
+  const name = Buffer.from(entry.name, "utf8");
+  const zip64Fields = [];
+  if (entry.uncompressedSize >= UINT32_MAX) {
+    zip64Fields.push(entry.uncompressedSize);
+  }
+  if (entry.compressedSize >= UINT32_MAX) {
+    zip64Fields.push(entry.compressedSize);
+  }
+  if (entry.localHeaderOffset >= UINT32_MAX) {
+    zip64Fields.push(entry.localHeaderOffset);
+  }
+
+  const extra = zip64Fields.length > 0 ? Buffer.alloc(4 + zip64Fields.length * 8) : Buffer.alloc(0);
+  if (zip64Fields.length > 0) {
+    extra.writeUInt16LE(ZIP64_EXTRA_ID, 0);
+    extra.writeUInt16LE(zip64Fields.length * 8, 2);
+    zip64Fields.forEach((value, index) => extra.writeBigUInt64LE(BigInt(value), 4 + index * 8));
+  }
+
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+  header.writeUInt16LE((3 << 8) | 45, 4);
+  header.writeUInt16LE(zip64Fields.length > 0 ? 45 : 20, 6);
+  header.writeUInt16LE(FLAG_UTF8, 8);
+  header.writeUInt16LE(entry.method, 10);
+  header.writeUInt16LE(entry.dosTime, 12);
+  header.writeUInt16LE(entry.dosDate, 14);
+  header.writeUInt32LE(entry.crc32, 16);
+  header.writeUInt32LE(Math.min(entry.compressedSize, UINT32_MAX), 20);
+  header.writeUInt32LE(Math.min(entry.uncompressedSize, UINT32_MAX), 24);
+  header.writeUInt16LE(name.length, 28);
+  header.writeUInt16LE(extra.length, 30);
+  header.writeUInt32LE(((entry.isDirectory ? 0o040755 : 0o100000 | (entry.mode & 0o755)) << 16) >>> 0, 38);
+  header.writeUInt32LE(Math.min(entry.localHeaderOffset, UINT32_MAX), 42);
+  return Buffer.concat([header, name, extra]);
+}
+
+function buildEndOfCentralDirectory(entryCount, directoryOffset, directorySize) {
+  const records = [];
+  const needsZip64 =
+    entryCount >= UINT16_MAX || directoryOffset >= UINT32_MAX || directorySize >= UINT32_MAX;
+
+  if (needsZip64) {
+    const zip64Record = Buffer.alloc(56);
+    zip64Record.writeUInt32LE(ZIP64_END_OF_CENTRAL_DIR_SIGNATURE, 0);
+    zip64Record.writeBigUInt64LE(44n, 4);
+    zip64Record.writeUInt16LE((3 << 8) | 45, 12);
+    zip64Record.writeUInt16LE(45, 14);
+    zip64Record.writeBigUInt64LE(BigInt(entryCount), 24);
+    zip64Record.writeBigUInt64LE(BigInt(entryCount), 32);
+    zip64Record.writeBigUInt64LE(BigInt(directorySize), 40);
+    zip64Record.writeBigUInt64LE(BigInt(directoryOffset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(ZIP64_LOCATOR_SIGNATURE, 0);
+    locator.writeBigUInt64LE(BigInt(directoryOffset + directorySize), 8);
+    locator.writeUInt32LE(1, 16);
+    records.push(zip64Record, locator);
+  }
+
+  const eocd = Buffer.alloc(END_OF_CENTRAL_DIR_SIZE);
+  eocd.writeUInt32LE(END_OF_CENTRAL_DIR_SIGNATURE, 0);
+  eocd.writeUInt16LE(Math.min(entryCount, UINT16_MAX), 8);
+  eocd.writeUInt16LE(Math.min(entryCount, UINT16_MAX), 10);
+  eocd.writeUInt32LE(Math.min(directorySize, UINT32_MAX), 12);
+  eocd.writeUInt32LE(Math.min(directoryOffset, UINT32_MAX), 16);
+  records.push(eocd);
+  return Buffer.concat(records);
+}
+
+// Streams one file through deflate straight into the archive, then patches its local header.
+async function writeFileEntry(fd, entry, sourcePath, position) {
+  // Reserve zip64 sizes when deflate output could cross 4 GiB.
+  const useZip64 = entry.uncompressedSize >= UINT32_MAX - 64 * 1024 * 1024;
+  const headerLength = buildLocalHeader(entry, useZip64).length;
+  let cursor = position + headerLength;
+  let crc = 0;
+
+  await pipeline(
+    fs.createReadStream(sourcePath),
+    async function* checksum(source) {
+      for await (const chunk of source) {
+        crc = crc32(chunk, crc);
+        yield chunk;
+      }
+    },
+    zlib.createDeflateRaw({ level: 9 }),
+    async function write(source) {
+      for await (const chunk of source) {
+        fs.writeSync(fd, chunk, 0, chunk.length, cursor);
+        cursor += chunk.length;
+      }
+    }
+  );
+
+  entry.crc32 = crc;
+  entry.compressedSize = cursor - position - headerLength;
+  fs.writeSync(fd, buildLocalHeader(entry, useZip64), 0, headerLength, position);
+  return cursor;
+}
+
+// Writes a ZIP archive. `files` is a list of { name, path } where name is the in-archive path.
+async function createZip(outputPath, files) {
+  const entries = [];
+  const seenNames = new Set();
+  for (const file of files) {
+    const name = String((file && file.name) || "").replace(/\\/g, "/").replace(/^\/+/, "");
+    resolveEntryPath(path.dirname(outputPath), name);
+    if (!name || seenNames.has(name)) {
+      throw new Error(`Invalid or duplicate ZIP entry name: ${name || "(empty)"}`);
+    }
+    seenNames.add(name);
+
+    const stats = fs.statSync(file.path);
+    const { time, date } = toDosDateTime(stats.mtime);
+    entries.push({
+      name: stats.isDirectory() && !name.endsWith("/") ? `${name}/` : name,
+      sourcePath: file.path,
+      isDirectory: stats.isDirectory(),
+      mode: stats.mode & 0o111 ? 0o755 : 0o644,
+      method: stats.isDirectory() ? METHOD_STORED : METHOD_DEFLATE,
+      dosTime: time,
+      dosDate: date,
+      crc32: 0,
+      compressedSize: 0,
+      uncompressedSize: stats.isDirectory() ? 0 : stats.size,
+      localHeaderOffset: 0
+    });
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  const tempPath = `${outputPath}.tmp`;
+  const fd = fs.openSync(tempPath, "w");
+  try {
+    let position = 0;
+    for (const entry of entries) {
+      entry.localHeaderOffset = position;
+      if (entry.isDirectory) {
+        const header = buildLocalHeader(entry, false);
+        fs.writeSync(fd, header, 0, header.length, position);
+        position += header.length;
+        continue;
+      }
+      position = await writeFileEntry(fd, entry, entry.sourcePath, position);
+    }
+
+    const directory = Buffer.concat(entries.map(buildCentralHeader));
+    fs.writeSync(fd, directory, 0, directory.length, position);
+    const trailer = buildEndOfCentralDirectory(entries.length, position, directory.length);
+    fs.writeSync(fd, trailer, 0, trailer.length, position + directory.length);
+  } catch (error) {
+    fs.closeSync(fd);
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+
+  fs.closeSync(fd);
+  fs.renameSync(tempPath, outputPath);
+  return { filePath: outputPath, entryCount: entries.length };
+}
+
+module.exports = {
+  createZip,
+  crc32,
+  extractZip,
+  listZipEntries
+};
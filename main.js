@@ -3,12 +3,24 @@
 const { app, BrowserWindow, dialog, ipcMain, session, shell } = require("electron");
 const fs = require("fs");
 const path = require("path");
-const { Readable } = require("stream");
+const { Readable, Transform } = require("stream");
 const { pipeline } = require("stream/promises");
-const { execFile, spawn } = require("child_process");
-const { promisify } = require("util");
-
-const execFileAsync = promisify(execFile);
+const { spawn } = require("child_process");
+const { fileURLToPath } = require("url");
+const { createFilterEngine } = require("./lib/filter-engine");
+const { createPublicSuffixList, isIpAddress, normalizeHostname } = require("./lib/public-suffix");
+const { scanSessionStorage } = require("./lib/site-data");
+const { isCrxFile, verifyCrxFile } = require("./lib/crx");
+const {
+  getDownloadDangerType,
+  hashFileSha256,
+  isInsecureDownload,
+  normalizeSha256
+} = require("./lib/download-safety");
+const { createHistoryStore } = require("./lib/history-store");
+const { renderMarkdown } = require("./lib/markdown");
+const { verifyUpdatePackage } = require("./lib/update-manifest");
+const { extractZip } = require("./lib/zip");
 
 let autoUpdater = null;
 try {
@@ -17,25 +29,66 @@ try {
   autoUpdater = null;
 }
 
-let mainWindow = null;
+// BrowserWindow id -> { window, isPrivate, startup }
+const browserWindows = new Map();
+// BrowserWindow id -> { tabs, activeIndex } for windows that take part in session restore
+const windowSessions = new Map();
+let restoredWindowSessions = [];
+let lastFocusedWindowId = 0;
+let isAppQuitting = false;
 let updateMiniWindow = null;
 let loadedExtensions = [];
 let downloadItems = [];
-let browsingHistory = [];
-let ublockOriginMetadata = null;
+// Download record id -> { item, samples } for downloads Chromium still holds a DownloadItem for
+const liveDownloads = new Map();
+// Save path -> record id for session.createInterruptedDownload calls waiting on will-download
+const pendingDownloadResumes = new Map();
+// URL -> record id for retried downloads waiting on will-download
+const pendingDownloadRetries = new Map();
+let downloadConfig = null;
+let historyStore = null;
+// Managed extension id -> install metadata (one store file per extension)
+const managedExtensionMetadata = new Map();
+// Managed extension id -> latest status line for the update mini window
+const managedExtensionStatus = new Map();
+let managedExtensionRegistry = [];
+// Extension catalog key -> message from the last failed load
+const extensionLoadErrors = new Map();
+let disabledExtensionKeys = new Set();
 
 const EXTENSIONS_DIR = path.join(__dirname, "extensions");
+const TAB_SESSION_PARTITION = "persist:bastion";
+// No "persist:" prefix, so Chromium keeps this partition in memory only.
+const PRIVATE_SESSION_PARTITION = "bastion-private";
 const START_URL = path.join(__dirname, "src", "index.html");
 const GITHUB_RELEASES_API_URL = "https://api.github.com/repos/Zombiegoblin4/Bastion-Browser/releases";
 const GITHUB_RELEASES_TAGS_PAGE_URL = "https://github.com/Zombiegoblin4/Bastion-Browser/releases/tags";
 const GITHUB_UPDATE_ASSET_NAME = "update.zip";
+const GITHUB_LINUX_UPDATE_ASSET_NAME = "update-linux.zip";
 const UBLOCK_RELEASES_API_URL = "https://api.github.com/repos/gorhill/uBlock/releases";
 const UBLOCK_RELEASES_PAGE_URL = "https://github.com/gorhill/uBlock/releases";
-const UBLOCK_ASSET_HINTS = [
-  "ublock0.chromium.zip",
-  "ublock0.chromium.mv3.zip",
-  "ublock0.chromium-mv3.zip"
+const BUILTIN_FILTER_LIST_ID = "bastion-trackers";
+// Entries in managed-extensions.json with the same id override fields of these.
+const BUILTIN_MANAGED_EXTENSIONS = [
+  {
+    id: "ublock-origin",
+    name: "uBlock Origin",
+    github: "gorhill/uBlock",
+    releasesApiURL: process.env.BASTION_UBLOCK_RELEASES_API_URL || UBLOCK_RELEASES_API_URL,
+    releasesPageURL: process.env.BASTION_UBLOCK_RELEASES_PAGE_URL || UBLOCK_RELEASES_PAGE_URL,
+    assetPatterns: [
+      "^ublock0\\.chromium\\.zip$",
+      "^ublock0\\.chromium[.-]mv3\\.zip$",
+      "ublock0\\.chromium",
+      "chromium[^/]*\\.zip$"
+    ]
+  }
 ];
+const MAX_MANAGED_EXTENSIONS = 16;
+const MANAGED_EXTENSION_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+const GITHUB_REPO_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+// Before the managed extension registry, uBlock Origin metadata lived in userData/ublock-origin.json.
+const LEGACY_UBLOCK_STORE_FILE = "ublock-origin.json";
 
 const TRACKER_HOST_RULES = [
   "doubleclick.net",
@@ -91,16 +144,53 @@ const FINGERPRINTING_PERMISSIONS = new Set([
   "speaker-selection"
 ]);
 
-const ALLOWED_PERMISSIONS = new Set([
+const AUTO_GRANTED_PERMISSIONS = new Set([
   "fullscreen",
+  "clipboard-sanitized-write"
+]);
+
+const PROMPTABLE_PERMISSIONS = new Set([
   "notifications",
+  "media",
   "clipboard-read",
-  "media"
+  "geolocation",
+  "display-capture",
+  "midi",
+  "midiSysex",
+  "pointerLock",
+  "idle-detection",
+  "window-management",
+  "speaker-selection"
 ]);
 
+const PERMISSION_DECISIONS = new Set(["allow", "block"]);
+
+const MAX_PRIVACY_LOG_ENTRIES = 2000;
+const MAX_RESTORED_WINDOWS = 8;
+const MAX_RETAINED_BUILDS = 3;
+const RETAINED_BUILD_KINDS = new Set(["package", "appimage", "directory"]);
+// A launch counts as failed until the browser has stayed up this long.
+const BOOT_CONFIRM_DELAY_MS = 20000;
+const BOOT_FAILURE_THRESHOLD = 3;
+const MAX_SESSION_TABS_PER_WINDOW = 30;
+const UPDATE_DOWNLOAD_MAX_ATTEMPTS = 4;
+// Waits 2s, 4s, then 8s between attempts.
+const UPDATE_DOWNLOAD_RETRY_BASE_MS = 2000;
+const UPDATE_DOWNLOAD_PROGRESS_INTERVAL_MS = 500;
+const MAX_UPDATE_DOWNLOAD_LIMIT_KBPS = 1000000;
+const MAX_RELEASE_NOTES_LENGTH = 50000;
+const MAX_DOWNLOAD_RECORDS = 300;
+// Recent visits sent to windows for about:history; older ones are reached through search.
+const HISTORY_LIST_LIMIT = 500;
+const MAX_HISTORY_SEARCH_RESULTS = 500;
+const MAX_HISTORY_SUGGESTIONS = 12;
+// Download speed is averaged over the received-bytes samples from this window.
+const DOWNLOAD_SPEED_WINDOW_MS = 4000;
+
 const DEFAULT_PRIVACY_CONFIG = {
   blockTrackers: true,
   upgradeHttps: true,
+  httpsOnlyStrict: false,
   sendDoNotTrack: true,
   sendGlobalPrivacyControl: true,
   blockThirdPartyCookies: true,
@@ -109,23 +199,79 @@ const DEFAULT_PRIVACY_CONFIG = {
   clearDataOnExit: false
 };
 
+const DOWNLOAD_CONFLICT_ACTIONS = new Set(["rename", "overwrite", "ask"]);
+const DOWNLOAD_RULE_TYPES = new Set(["mime", "extension", "site"]);
+const MAX_DOWNLOAD_RULES = 50;
+
+const DEFAULT_DOWNLOAD_CONFIG = {
+  // Empty means the system Downloads folder.
+  directory: "",
+  alwaysAsk: false,
+  conflictAction: "rename",
+  rules: []
+};
+
+const SITE_PRIVACY_KEYS = [
+  "blockTrackers",
+  "upgradeHttps",
+  "sendDoNotTrack",
+  "sendGlobalPrivacyControl",
+  "blockThirdPartyCookies",
+  "stripThirdPartyReferer",
+  "blockFingerprintingPermissions"
+];
+
+// Channels are ordered: each one also receives the releases of the channels before it.
+const UPDATE_CHANNELS = {
+  stable: { rank: 0, label: "Stable", electronChannel: "latest" },
+  beta: { rank: 1, label: "Beta", electronChannel: "beta" },
+  nightly: { rank: 2, label: "Nightly", electronChannel: "alpha" }
+};
+const BETA_PRERELEASE_PATTERN = /^(beta|rc|pre|preview)/i;
+
 const DEFAULT_UPDATE_CONFIG = {
   autoCheck: true,
   autoDownload: true,
-  allowPrerelease: false,
+  channel: "stable",
   feedURL: "",
   useGithubReleaseZip: true,
   autoApplyGithubZip: true,
-  autoUpdateUblockOrigin: true
+  autoRollback: true,
+  autoUpdateManagedExtensions: true,
+  // 0 means no cap.
+  downloadLimitKbps: 0
 };
 
 let privacyConfig = { ...DEFAULT_PRIVACY_CONFIG };
 let updateConfig = { ...DEFAULT_UPDATE_CONFIG };
 let privacyStats = createEmptyPrivacyStats();
+let sitePrivacyOverrides = {};
+let privacyLogSequence = 0;
+let publicSuffixList = null;
+let permissionDecisions = {};
+// Decisions made in private windows: origin -> { permission: "allow" | "block" }, never written
+// to disk and dropped when the last private window closes.
+let privatePermissionDecisions = {};
+let bootState = sanitizeBootState(null);
+let httpsOnlyExceptions = {};
+let siteDataAllowlist = [];
+let exitDataCleared = false;
+const httpsOnlyTabAllowances = new Map();
+const httpsUpgradedNavigations = new Map();
+let permissionPromptSequence = 0;
+const pendingPermissionPrompts = new Map();
+const oneTimePermissionGrants = new Map();
+// webContents IDs of private tabs, so their privacy log entries can be purged with the session.
+const privateWebContentsIds = new Set();
+let publicSuffixListSource = "bundled";
+const tabPrivacyActivity = new Map();
+const privacyLog = createRingBuffer(MAX_PRIVACY_LOG_ENTRIES);
+let filterLists = [createBuiltinFilterListEntry()];
+let filterEngine = createFilterEngine();
 let updateStatus = createInitialUpdateStatus();
 let githubUpdateMetadata = createInitialGitHubUpdateMetadata();
 
-let privacyNetworkConfigured = false;
+const browsingSessions = new Map();
 let updaterConfigured = false;
 let updaterEventsBound = false;
 let updateCheckTimer = null;
@@ -138,6 +284,44 @@ const updateMiniStatus = {
   chromium: ""
 };
 
+function createRingBuffer(capacity) {
+  const items = new Array(capacity);
+  let start = 0;
+  let size = 0;
+
+  return {
+    push(item) {
+      if (size < capacity) {
+        items[(start + size) % capacity] = item;
+        size += 1;
+        return;
+      }
+      items[start] = item;
+      start = (start + 1) % capacity;
+    },
+    toArray() {
+      const result = [];
+      for (let index = 0; index < size; index += 1) {
+        result.push(items[(start + index) % capacity]);
+      }
+      return result;
+    },
+    clear() {
+      items.fill(undefined);
+      start = 0;
+      size = 0;
+    },
+    removeWhere(predicate) {
+      const kept = this.toArray().filter((item) => !predicate(item));
+      this.clear();
+      kept.forEach((item) => this.push(item));
+    },
+    get size() {
+      return size;
+    }
+  };
+}
+
 function createEmptyPrivacyStats() {
   return {
     blockedRequests: 0,
@@ -149,6 +333,18 @@ function createEmptyPrivacyStats() {
   };
 }
 
+function createEmptyTabPrivacyActivity(siteKey) {
+  return {
+    siteKey,
+    blockedRequests: 0,
+    upgradedToHttps: 0,
+    strippedCookieHeaders: 0,
+    strippedRefererHeaders: 0,
+    blockedPermissions: 0,
+    blockedHosts: {}
+  };
+}
+
 function createInitialUpdateStatus() {
   return {
     status: "idle",
@@ -176,20 +372,29 @@ function createInitialGitHubUpdateMetadata() {
     assetName: GITHUB_UPDATE_ASSET_NAME,
     releasePage: "",
     lastAppliedTag: "",
-    appliedAt: 0
+    appliedAt: 0,
+    skippedVersion: "",
+    retainedBuilds: [],
+    pendingReleaseNotes: null,
+    appliedReleaseNotes: null,
+    whatsNewShownTag: ""
   };
 }
 
-function createInitialUblockOriginMetadata() {
+function createBuiltinFilterListEntry() {
   return {
-    lastTag: "",
-    extensionPath: "",
-    checkedAt: 0,
-    updatedAt: 0,
-    releasePage: UBLOCK_RELEASES_PAGE_URL
+    id: BUILTIN_FILTER_LIST_ID,
+    name: "Bastion tracker list",
+    fileName: "",
+    enabled: true,
+    builtIn: true,
+    ruleCount: 0,
+    addedAt: 0,
+    error: ""
   };
 }
 
+
 function readJsonFile(filePath, fallbackValue) {
   try {
     if (!fs.existsSync(filePath)) {
@@ -224,18 +429,51 @@ function getUserExtensionStorePath() {
   return path.join(app.getPath("userData"), "extension-paths.json");
 }
 
+function getExtensionStateStorePath() {
+  return path.join(app.getPath("userData"), "extension-state.json");
+}
+
 function getDownloadsStorePath() {
   return path.join(app.getPath("userData"), "downloads.json");
 }
 
-function getHistoryStorePath() {
+// history.json is the flat list used before the indexed store; it is imported once.
+function getLegacyHistoryStorePath() {
   return path.join(app.getPath("userData"), "history.json");
 }
 
+function getHistoryStoreDir() {
+  return path.join(app.getPath("userData"), "history");
+}
+
+function getDownloadConfigStorePath() {
+  return path.join(app.getPath("userData"), "downloads-config.json");
+}
+
 function getPrivacyStorePath() {
   return path.join(app.getPath("userData"), "privacy.json");
 }
 
+function getWindowSessionStorePath() {
+  return path.join(app.getPath("userData"), "session.json");
+}
+
+function getSiteDataAllowlistStorePath() {
+  return path.join(app.getPath("userData"), "site-data-allowlist.json");
+}
+
+function getHttpsExceptionStorePath() {
+  return path.join(app.getPath("userData"), "https-exceptions.json");
+}
+
+function getPermissionStorePath() {
+  return path.join(app.getPath("userData"), "permissions.json");
+}
+
+function getSitePrivacyStorePath() {
+  return path.join(app.getPath("userData"), "privacy-sites.json");
+}
+
 function getUpdateStorePath() {
   return path.join(app.getPath("userData"), "updates.json");
 }
@@ -248,16 +486,40 @@ function getGitHubUpdateDownloadDir() {
   return path.join(app.getPath("userData"), "updates");
 }
 
-function getUblockStorePath() {
-  return path.join(app.getPath("userData"), "ublock-origin.json");
+function getRetainedBuildsDir() {
+  return path.join(app.getPath("userData"), "update-retained");
+}
+
+function getBootStateStorePath() {
+  return path.join(app.getPath("userData"), "boot-state.json");
+}
+
+function getFilterListStorePath() {
+  return path.join(app.getPath("userData"), "filter-lists.json");
+}
+
+function getFilterListsDir() {
+  return path.join(app.getPath("userData"), "filter-lists");
+}
+
+function getManagedExtensionRegistryPath() {
+  return path.join(app.getPath("userData"), "managed-extensions.json");
 }
 
-function getUblockPackagesDir() {
-  return path.join(app.getPath("userData"), "updates", "ublock-origin");
+function getManagedExtensionStorePath(id) {
+  return path.join(app.getPath("userData"), "managed-extensions", `${id}.json`);
 }
 
-function getUblockInstallRootDir() {
-  return path.join(app.getPath("userData"), "extensions", "ublock-origin");
+function getManagedExtensionPackagesDir(id) {
+  return path.join(app.getPath("userData"), "updates", id);
+}
+
+function getManagedExtensionInstallRootDir(id) {
+  return path.join(app.getPath("userData"), "extensions", id);
+}
+
+function getCrxInstallRootDir() {
+  return path.join(app.getPath("userData"), "crx-extensions");
 }
 
 function sanitizePrivacyConfig(payload) {
@@ -265,6 +527,7 @@ function sanitizePrivacyConfig(payload) {
   return {
     blockTrackers: sanitizeBoolean(raw.blockTrackers, DEFAULT_PRIVACY_CONFIG.blockTrackers),
     upgradeHttps: sanitizeBoolean(raw.upgradeHttps, DEFAULT_PRIVACY_CONFIG.upgradeHttps),
+    httpsOnlyStrict: sanitizeBoolean(raw.httpsOnlyStrict, DEFAULT_PRIVACY_CONFIG.httpsOnlyStrict),
     sendDoNotTrack: sanitizeBoolean(raw.sendDoNotTrack, DEFAULT_PRIVACY_CONFIG.sendDoNotTrack),
     sendGlobalPrivacyControl: sanitizeBoolean(
       raw.sendGlobalPrivacyControl,
@@ -286,12 +549,100 @@ function sanitizePrivacyConfig(payload) {
   };
 }
 
+function sanitizeSitePrivacyOverride(payload) {
+  const raw = payload && typeof payload === "object" ? payload : {};
+  const override = {};
+  for (const key of SITE_PRIVACY_KEYS) {
+    if (typeof raw[key] === "boolean") {
+      override[key] = raw[key];
+    }
+  }
+  return override;
+}
+
+function sanitizeSitePrivacyOverrides(payload) {
+  const raw = payload && typeof payload.sites === "object" && payload.sites ? payload.sites : {};
+  const sites = {};
+  for (const [siteKey, value] of Object.entries(raw)) {
+    const normalizedKey = String(siteKey || "").trim().toLowerCase();
+    const override = sanitizeSitePrivacyOverride(value);
+    if (normalizedKey && Object.keys(override).length > 0) {
+      sites[normalizedKey] = override;
+    }
+  }
+  return sites;
+}
+
+function sanitizePermissionDecisions(payload) {
+  const raw = payload && typeof payload.origins === "object" && payload.origins ? payload.origins : {};
+  const origins = {};
+  for (const [rawOrigin, value] of Object.entries(raw)) {
+    const origin = getPermissionOrigin(rawOrigin);
+    if (!origin || !value || typeof value !== "object") {
+      continue;
+    }
+
+    const decisions = {};
+    for (const [permission, decision] of Object.entries(value)) {
+      if (PROMPTABLE_PERMISSIONS.has(permission) && PERMISSION_DECISIONS.has(decision)) {
+        decisions[permission] = decision;
+      }
+    }
+    if (Object.keys(decisions).length > 0) {
+      origins[origin] = decisions;
+    }
+  }
+  return origins;
+}
+
+function sanitizeWindowSession(payload) {
+  const raw = payload && typeof payload === "object" ? payload : {};
+  const tabs = Array.isArray(raw.tabs)
+    ? raw.tabs
+        .map((tab) => (typeof tab === "string" ? tab : tab && tab.url))
+        .filter((url) => typeof url === "string" && url.trim())
+        .slice(0, MAX_SESSION_TABS_PER_WINDOW)
+        .map((url) => ({ url }))
+    : [];
+
+  if (tabs.length === 0) {
+    return null;
+  }
+
+  const activeIndex = Number.isInteger(raw.activeIndex) ? raw.activeIndex : 0;
+  return {
+    tabs,
+    activeIndex: Math.max(0, Math.min(tabs.length - 1, activeIndex))
+  };
+}
+
+function sanitizeSiteDataAllowlist(payload) {
+  const raw = payload && Array.isArray(payload.sites) ? payload.sites : [];
+  const sites = raw.map((item) => getSiteKey(sanitizeString(item, ""))).filter(Boolean);
+  return [...new Set(sites)].sort();
+}
+
+function sanitizeHttpsOnlyExceptions(payload) {
+  const raw = payload && typeof payload.hosts === "object" && payload.hosts ? payload.hosts : {};
+  const hosts = {};
+  for (const [rawHost, addedAt] of Object.entries(raw)) {
+    const host = normalizeHostname(rawHost);
+    if (host) {
+      hosts[host] = Number(addedAt || Date.now());
+    }
+  }
+  return hosts;
+}
+
 function sanitizeUpdateConfig(payload) {
   const raw = payload && typeof payload === "object" ? payload : {};
   return {
     autoCheck: sanitizeBoolean(raw.autoCheck, DEFAULT_UPDATE_CONFIG.autoCheck),
     autoDownload: sanitizeBoolean(raw.autoDownload, DEFAULT_UPDATE_CONFIG.autoDownload),
-    allowPrerelease: sanitizeBoolean(raw.allowPrerelease, DEFAULT_UPDATE_CONFIG.allowPrerelease),
+    // Older configs only had allowPrerelease; treat that as the beta channel.
+    channel: Object.prototype.hasOwnProperty.call(UPDATE_CHANNELS, raw.channel)
+      ? raw.channel
+      : raw.allowPrerelease === true ? "beta" : DEFAULT_UPDATE_CONFIG.channel,
     feedURL: sanitizeString(raw.feedURL, DEFAULT_UPDATE_CONFIG.feedURL).trim(),
     useGithubReleaseZip: sanitizeBoolean(
       raw.useGithubReleaseZip,
@@ -301,13 +652,60 @@ function sanitizeUpdateConfig(payload) {
       raw.autoApplyGithubZip,
       DEFAULT_UPDATE_CONFIG.autoApplyGithubZip
     ),
-    autoUpdateUblockOrigin: sanitizeBoolean(
-      raw.autoUpdateUblockOrigin,
-      DEFAULT_UPDATE_CONFIG.autoUpdateUblockOrigin
+    autoRollback: sanitizeBoolean(raw.autoRollback, DEFAULT_UPDATE_CONFIG.autoRollback),
+    autoUpdateManagedExtensions: sanitizeBoolean(
+      raw.autoUpdateManagedExtensions,
+      sanitizeBoolean(raw.autoUpdateUblockOrigin, DEFAULT_UPDATE_CONFIG.autoUpdateManagedExtensions)
+    ),
+    downloadLimitKbps: Math.min(
+      MAX_UPDATE_DOWNLOAD_LIMIT_KBPS,
+      Math.max(0, Math.floor(Number(raw.downloadLimitKbps) || 0))
     )
   };
 }
 
+function sanitizeRetainedBuild(payload) {
+  const raw = payload && typeof payload === "object" ? payload : {};
+  const version = sanitizeString(raw.version, "").trim();
+  const filePath = sanitizeString(raw.filePath, "").trim();
+  if (!version || !filePath || !RETAINED_BUILD_KINDS.has(raw.kind)) {
+    return null;
+  }
+
+  return {
+    version,
+    kind: raw.kind,
+    filePath,
+    retainedAt: Number(raw.retainedAt || 0)
+  };
+}
+
+function sanitizeBootState(payload) {
+  const raw = payload && typeof payload === "object" ? payload : {};
+  return {
+    version: sanitizeString(raw.version, ""),
+    pendingBoots: Math.max(0, Math.floor(Number(raw.pendingBoots) || 0)),
+    lastKnownGoodVersion: sanitizeString(raw.lastKnownGoodVersion, ""),
+    confirmedAt: Number(raw.confirmedAt || 0)
+  };
+}
+
+function sanitizeReleaseNotes(payload) {
+  const raw = payload && typeof payload === "object" ? payload : null;
+  const tag = raw ? sanitizeString(raw.tag, "").trim() : "";
+  if (!tag) {
+    return null;
+  }
+
+  return {
+    tag,
+    name: sanitizeString(raw.name, ""),
+    body: sanitizeString(raw.body, "").slice(0, MAX_RELEASE_NOTES_LENGTH),
+    publishedAt: Number(raw.publishedAt || 0),
+    releasePage: sanitizeString(raw.releasePage, "")
+  };
+}
+
 function sanitizeGitHubUpdateMetadata(payload) {
   const raw = payload && typeof payload === "object" ? payload : {};
   return {
@@ -318,21 +716,129 @@ function sanitizeGitHubUpdateMetadata(payload) {
     assetName: sanitizeString(raw.assetName, GITHUB_UPDATE_ASSET_NAME),
     releasePage: sanitizeString(raw.releasePage, ""),
     lastAppliedTag: sanitizeString(raw.lastAppliedTag, ""),
-    appliedAt: Number(raw.appliedAt || 0)
+    appliedAt: Number(raw.appliedAt || 0),
+    skippedVersion: sanitizeString(raw.skippedVersion, ""),
+    retainedBuilds: Array.isArray(raw.retainedBuilds)
+      ? raw.retainedBuilds.map(sanitizeRetainedBuild).filter(Boolean).slice(0, MAX_RETAINED_BUILDS)
+      : [],
+    pendingReleaseNotes: sanitizeReleaseNotes(raw.pendingReleaseNotes),
+    appliedReleaseNotes: sanitizeReleaseNotes(raw.appliedReleaseNotes),
+    // Metadata from before about:whatsnew existed counts as already shown.
+    whatsNewShownTag: sanitizeString(raw.whatsNewShownTag, sanitizeString(raw.lastAppliedTag, ""))
+  };
+}
+
+function sanitizeHttpURL(value) {
+  const url = sanitizeString(value, "").trim();
+  return /^https?:\/\//i.test(url) ? url : "";
+}
+
+function sanitizeManagedExtensionEntry(payload) {
+  const raw = payload && typeof payload === "object" ? payload : {};
+  const id = sanitizeString(raw.id, "").trim().toLowerCase();
+  const github = sanitizeString(raw.github, "").trim();
+  const url = sanitizeHttpURL(raw.url);
+  if (!MANAGED_EXTENSION_ID_PATTERN.test(id) || (!GITHUB_REPO_PATTERN.test(github) && !url)) {
+    return null;
+  }
+
+  const patterns = Array.isArray(raw.assetPatterns) ? raw.assetPatterns : [raw.assetPattern];
+  const assetPatterns = patterns
+    .map((pattern) => sanitizeString(pattern, "").trim())
+    .filter((pattern) => {
+      try {
+        return Boolean(pattern) && Boolean(new RegExp(pattern, "i"));
+      } catch (_) {
+        return false;
+      }
+    });
+
+  const isGitHub = GITHUB_REPO_PATTERN.test(github);
+  return {
+    id,
+    name: sanitizeString(raw.name, "").trim() || id,
+    github: isGitHub ? github : "",
+    url: isGitHub ? "" : url,
+    assetPatterns,
+    includePrerelease: sanitizeBoolean(raw.includePrerelease, false),
+    enabled: sanitizeBoolean(raw.enabled, true),
+    releasesApiURL: isGitHub ? sanitizeHttpURL(raw.releasesApiURL) : "",
+    releasesPageURL: isGitHub ? sanitizeHttpURL(raw.releasesPageURL) : ""
   };
 }
 
-function sanitizeUblockOriginMetadata(payload) {
+function sanitizeManagedExtensionRegistry(payload) {
+  const raw = payload && typeof payload === "object" ? payload : {};
+  const userEntries = Array.isArray(raw.extensions) ? raw.extensions : [];
+  const registry = BUILTIN_MANAGED_EXTENSIONS.map(sanitizeManagedExtensionEntry);
+
+  for (const userEntry of userEntries) {
+    const id = sanitizeString(userEntry && userEntry.id, "").trim().toLowerCase();
+    const builtinIndex = BUILTIN_MANAGED_EXTENSIONS.findIndex((item) => item.id === id);
+    if (builtinIndex >= 0) {
+      registry[builtinIndex] =
+        sanitizeManagedExtensionEntry({ ...BUILTIN_MANAGED_EXTENSIONS[builtinIndex], ...userEntry }) ||
+        registry[builtinIndex];
+      continue;
+    }
+
+    const entry = sanitizeManagedExtensionEntry(userEntry);
+    if (entry && !registry.some((item) => item.id === entry.id)) {
+      registry.push(entry);
+    }
+  }
+
+  return registry.slice(0, MAX_MANAGED_EXTENSIONS);
+}
+
+function sanitizeManagedExtensionMetadata(payload) {
   const raw = payload && typeof payload === "object" ? payload : {};
   return {
     lastTag: sanitizeString(raw.lastTag, ""),
+    version: sanitizeString(raw.version, ""),
     extensionPath: sanitizeString(raw.extensionPath, ""),
+    fingerprint: sanitizeString(raw.fingerprint, ""),
     checkedAt: Number(raw.checkedAt || 0),
     updatedAt: Number(raw.updatedAt || 0),
-    releasePage: sanitizeString(raw.releasePage, UBLOCK_RELEASES_PAGE_URL) || UBLOCK_RELEASES_PAGE_URL
+    releasePage: sanitizeString(raw.releasePage, "")
+  };
+}
+
+function sanitizeFilterListEntry(entry) {
+  const raw = entry && typeof entry === "object" ? entry : {};
+  return {
+    id: sanitizeString(raw.id, "").trim(),
+    name: sanitizeString(raw.name, "").trim() || sanitizeString(raw.fileName, "Filter list"),
+    fileName: path.basename(sanitizeString(raw.fileName, "").trim()),
+    enabled: sanitizeBoolean(raw.enabled, true),
+    builtIn: raw.id === BUILTIN_FILTER_LIST_ID,
+    ruleCount: Number(raw.ruleCount || 0),
+    addedAt: Number(raw.addedAt || 0),
+    error: sanitizeString(raw.error, "")
   };
 }
 
+function sanitizeFilterLists(payload) {
+  const items = payload && Array.isArray(payload.lists) ? payload.lists : [];
+  const lists = [];
+  const seenIds = new Set();
+
+  for (const item of items) {
+    const entry = sanitizeFilterListEntry(item);
+    if (!entry.id || seenIds.has(entry.id) || (!entry.builtIn && !entry.fileName)) {
+      continue;
+    }
+    seenIds.add(entry.id);
+    lists.push(entry);
+  }
+
+  if (!seenIds.has(BUILTIN_FILTER_LIST_ID)) {
+    lists.unshift(createBuiltinFilterListEntry());
+  }
+
+  return lists;
+}
+
 function getSavedUserExtensionPaths() {
   const storePath = getUserExtensionStorePath();
   const payload = readJsonFile(storePath, { paths: [] });
@@ -374,7 +880,64 @@ function sanitizeDownloadRecord(record) {
     totalBytes: Number(record.totalBytes || 0),
     savePath: String(record.savePath || ""),
     startedAt: Number(record.startedAt || Date.now()),
-    endedAt: Number(record.endedAt || 0) || null
+    endedAt: Number(record.endedAt || 0) || null,
+    partition: String(record.partition || TAB_SESSION_PARTITION),
+    paused: Boolean(record.paused),
+    mimeType: String(record.mimeType || ""),
+    urlChain: Array.isArray(record.urlChain) ? record.urlChain.map(String).filter(Boolean) : [],
+    eTag: String(record.eTag || ""),
+    lastModified: String(record.lastModified || ""),
+    startTime: Number(record.startTime || 0),
+    danger: String(record.danger || ""),
+    insecure: Boolean(record.insecure),
+    quarantined: Boolean(record.quarantined),
+    quarantinePath: String(record.quarantinePath || ""),
+    sha256: normalizeSha256(record.sha256),
+    expectedSha256: normalizeSha256(record.expectedSha256)
+  };
+}
+
+// Rule folders are absolute paths or subfolders of the download directory; relative
+// folders may not climb out of it.
+function sanitizeDownloadRuleFolder(value) {
+  const folder = sanitizeString(value).trim();
+  if (!folder || path.isAbsolute(folder)) {
+    return folder;
+  }
+  const normalized = path.normalize(folder);
+  return normalized.startsWith("..") ? "" : normalized;
+}
+
+function sanitizeDownloadRule(rule) {
+  const raw = rule && typeof rule === "object" ? rule : {};
+  const type = String(raw.type || "").toLowerCase();
+  const pattern = sanitizeString(raw.pattern).trim().toLowerCase().slice(0, 200);
+  const folder = sanitizeDownloadRuleFolder(raw.folder);
+  if (!DOWNLOAD_RULE_TYPES.has(type) || !pattern || !folder) {
+    return null;
+  }
+
+  return {
+    id: sanitizeString(raw.id) || `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    type,
+    pattern,
+    folder
+  };
+}
+
+function sanitizeDownloadConfig(payload) {
+  const raw = payload && typeof payload === "object" ? payload : {};
+  const directory = sanitizeString(raw.directory).trim();
+  const conflictAction = String(raw.conflictAction || "").toLowerCase();
+  return {
+    directory: directory && path.isAbsolute(directory) ? directory : "",
+    alwaysAsk: sanitizeBoolean(raw.alwaysAsk, DEFAULT_DOWNLOAD_CONFIG.alwaysAsk),
+    conflictAction: DOWNLOAD_CONFLICT_ACTIONS.has(conflictAction)
+      ? conflictAction
+      : DEFAULT_DOWNLOAD_CONFIG.conflictAction,
+    rules: Array.isArray(raw.rules)
+      ? raw.rules.map(sanitizeDownloadRule).filter(Boolean).slice(0, MAX_DOWNLOAD_RULES)
+      : []
   };
 }
 
@@ -382,22 +945,96 @@ function sanitizeHistoryEntry(entry) {
   return {
     url: String(entry.url || ""),
     title: String(entry.title || ""),
-    visitedAt: Number(entry.visitedAt || Date.now())
+    visitedAt: Number(entry.visitedAt || Date.now()),
+    transition: String(entry.transition || "link")
+  };
+}
+
+function sanitizeHistoryQuery(query) {
+  const raw = query && typeof query === "object" ? query : {};
+  return {
+    text: sanitizeString(raw.text).slice(0, 500),
+    from: Math.max(0, Number(raw.from) || 0),
+    to: Math.max(0, Number(raw.to) || 0),
+    offset: Math.max(0, Math.floor(Number(raw.offset) || 0)),
+    limit: Math.min(MAX_HISTORY_SEARCH_RESULTS, Math.max(1, Math.floor(Number(raw.limit) || 100))),
+    groupBy: raw.groupBy === "url" ? "url" : "visit"
   };
 }
 
+function isPrivateDownload(record) {
+  return record.partition === PRIVATE_SESSION_PARTITION;
+}
+
+// Private downloads live in the same list, but only in memory.
 function persistDownloads() {
-  writeJsonFile(getDownloadsStorePath(), { items: downloadItems.map(sanitizeDownloadRecord) });
+  writeJsonFile(getDownloadsStorePath(), {
+    items: downloadItems.filter((item) => !isPrivateDownload(item)).map(sanitizeDownloadRecord)
+  });
+}
+
+// Normal windows never see private downloads; private windows see both.
+function getDownloadItemsForWindow(isPrivate) {
+  return isPrivate ? downloadItems : downloadItems.filter((item) => !isPrivateDownload(item));
+}
+
+function loadHistoryStore() {
+  historyStore = createHistoryStore(getHistoryStoreDir());
+  historyStore.load();
+
+  const legacyPath = getLegacyHistoryStorePath();
+  if (!fs.existsSync(legacyPath)) {
+    return;
+  }
+  if (historyStore.urlCount === 0) {
+    const legacy = readJsonFile(legacyPath, { items: [] });
+    const entries = Array.isArray(legacy.items) ? legacy.items.map(sanitizeHistoryEntry) : [];
+    // The old list is newest first.
+    for (const entry of entries.reverse()) {
+      historyStore.addVisit(entry);
+    }
+    historyStore.compact();
+  }
+  fs.rmSync(legacyPath, { force: true });
+}
+
+function clearHistory() {
+  historyStore.clear();
+  sendHistoryUpdates();
 }
 
-function persistHistory() {
-  writeJsonFile(getHistoryStorePath(), { items: browsingHistory.map(sanitizeHistoryEntry) });
+function persistDownloadConfig() {
+  writeJsonFile(getDownloadConfigStorePath(), downloadConfig);
 }
 
 function persistPrivacyConfig() {
   writeJsonFile(getPrivacyStorePath(), privacyConfig);
 }
 
+function persistSitePrivacyOverrides() {
+  writeJsonFile(getSitePrivacyStorePath(), { sites: sitePrivacyOverrides });
+}
+
+function persistBootState() {
+  writeJsonFile(getBootStateStorePath(), bootState);
+}
+
+function persistWindowSessions() {
+  writeJsonFile(getWindowSessionStorePath(), { windows: [...windowSessions.values()] });
+}
+
+function persistSiteDataAllowlist() {
+  writeJsonFile(getSiteDataAllowlistStorePath(), { sites: siteDataAllowlist });
+}
+
+function persistHttpsOnlyExceptions() {
+  writeJsonFile(getHttpsExceptionStorePath(), { hosts: httpsOnlyExceptions });
+}
+
+function persistPermissionDecisions() {
+  writeJsonFile(getPermissionStorePath(), { origins: permissionDecisions });
+}
+
 function persistUpdateConfig() {
   writeJsonFile(getUpdateStorePath(), updateConfig);
 }
@@ -406,94 +1043,207 @@ function persistGitHubUpdateMetadata() {
   writeJsonFile(getGitHubUpdateMetaStorePath(), githubUpdateMetadata);
 }
 
-function persistUblockOriginMetadata() {
-  writeJsonFile(getUblockStorePath(), ublockOriginMetadata);
+function persistFilterLists() {
+  writeJsonFile(getFilterListStorePath(), { lists: filterLists });
+}
+
+function persistExtensionState() {
+  writeJsonFile(getExtensionStateStorePath(), { disabled: [...disabledExtensionKeys] });
+}
+
+function persistManagedExtensionMetadata(id) {
+  writeJsonFile(getManagedExtensionStorePath(id), getManagedExtensionMetadata(id));
+}
+
+function loadManagedExtensionState() {
+  managedExtensionRegistry = sanitizeManagedExtensionRegistry(
+    readJsonFile(getManagedExtensionRegistryPath(), { extensions: [] })
+  );
+
+  managedExtensionMetadata.clear();
+  for (const entry of managedExtensionRegistry) {
+    let storePath = getManagedExtensionStorePath(entry.id);
+    if (entry.id === "ublock-origin" && !fs.existsSync(storePath)) {
+      storePath = path.join(app.getPath("userData"), LEGACY_UBLOCK_STORE_FILE);
+    }
+    managedExtensionMetadata.set(entry.id, sanitizeManagedExtensionMetadata(readJsonFile(storePath, null)));
+  }
 }
 
 function loadPersistedState() {
   const downloadsPayload = readJsonFile(getDownloadsStorePath(), { items: [] });
-  const historyPayload = readJsonFile(getHistoryStorePath(), { items: [] });
+  const downloadConfigPayload = readJsonFile(getDownloadConfigStorePath(), DEFAULT_DOWNLOAD_CONFIG);
   const privacyPayload = readJsonFile(getPrivacyStorePath(), DEFAULT_PRIVACY_CONFIG);
+  const sitePrivacyPayload = readJsonFile(getSitePrivacyStorePath(), { sites: {} });
   const updatePayload = readJsonFile(getUpdateStorePath(), DEFAULT_UPDATE_CONFIG);
   const githubUpdatePayload = readJsonFile(
     getGitHubUpdateMetaStorePath(),
     createInitialGitHubUpdateMetadata()
   );
-  const ublockPayload = readJsonFile(getUblockStorePath(), createInitialUblockOriginMetadata());
+  const filterListPayload = readJsonFile(getFilterListStorePath(), { lists: [] });
+  const permissionPayload = readJsonFile(getPermissionStorePath(), { origins: {} });
+  const httpsExceptionPayload = readJsonFile(getHttpsExceptionStorePath(), { hosts: {} });
+  const siteDataAllowlistPayload = readJsonFile(getSiteDataAllowlistStorePath(), { sites: [] });
+  const windowSessionPayload = readJsonFile(getWindowSessionStorePath(), { windows: [] });
+  const bootStatePayload = readJsonFile(getBootStateStorePath(), {});
+  const extensionStatePayload = readJsonFile(getExtensionStateStorePath(), { disabled: [] });
 
   downloadItems = Array.isArray(downloadsPayload.items)
-    ? downloadsPayload.items.map(sanitizeDownloadRecord).slice(0, 300)
+    ? downloadsPayload.items.map(sanitizeDownloadRecord).slice(0, MAX_DOWNLOAD_RECORDS)
     : [];
+  downloadConfig = sanitizeDownloadConfig(downloadConfigPayload);
+  for (const record of downloadItems) {
+    // Anything still running when the app last closed was cut off and can be resumed.
+    if (record.state === "progressing") {
+      record.state = "interrupted";
+      record.paused = false;
+    }
+  }
 
-  browsingHistory = Array.isArray(historyPayload.items)
-    ? historyPayload.items.map(sanitizeHistoryEntry).slice(0, 2000)
-    : [];
+  loadHistoryStore();
 
   privacyConfig = sanitizePrivacyConfig(privacyPayload);
+  sitePrivacyOverrides = sanitizeSitePrivacyOverrides(sitePrivacyPayload);
   updateConfig = sanitizeUpdateConfig(updatePayload);
   githubUpdateMetadata = sanitizeGitHubUpdateMetadata(githubUpdatePayload);
-  ublockOriginMetadata = sanitizeUblockOriginMetadata(ublockPayload);
+  loadManagedExtensionState();
+  disabledExtensionKeys = new Set(
+    Array.isArray(extensionStatePayload.disabled)
+      ? extensionStatePayload.disabled.filter((item) => typeof item === "string" && item.trim())
+      : []
+  );
+  filterLists = sanitizeFilterLists(filterListPayload);
+  permissionDecisions = sanitizePermissionDecisions(permissionPayload);
+  httpsOnlyExceptions = sanitizeHttpsOnlyExceptions(httpsExceptionPayload);
+  siteDataAllowlist = sanitizeSiteDataAllowlist(siteDataAllowlistPayload);
+  bootState = sanitizeBootState(bootStatePayload);
+  restoredWindowSessions = Array.isArray(windowSessionPayload.windows)
+    ? windowSessionPayload.windows.map(sanitizeWindowSession).filter(Boolean).slice(0, MAX_RESTORED_WINDOWS)
+    : [];
 }
 
-function getWindow() {
-  const focused = BrowserWindow.getFocusedWindow();
-  if (focused && focused !== updateMiniWindow) {
-    return focused;
-  }
-  return mainWindow;
+function getTabSession() {
+  return registerBrowsingSession(TAB_SESSION_PARTITION);
 }
 
-function sendWindowState() {
-  if (!mainWindow || mainWindow.isDestroyed()) {
-    return;
+function getBrowsingSessions() {
+  return [...browsingSessions.values()].map((entry) => entry.session);
+}
+
+function registerBrowsingSession(partition) {
+  const key = partition || "default";
+  const existing = browsingSessions.get(key);
+  if (existing) {
+    return existing.session;
   }
 
-  mainWindow.webContents.send("window:state", {
-    isMaximized: mainWindow.isMaximized(),
-    isFullscreen: mainWindow.isFullScreen()
-  });
-}
+  const ses = partition ? session.fromPartition(partition) : session.defaultSession;
+  browsingSessions.set(key, { partition: key, session: ses });
 
-function sendDownloadUpdates() {
-  if (!mainWindow || mainWindow.isDestroyed()) {
-    return;
+  // Tabs render in their own partition, so each session needs the full privacy wiring.
+  configurePrivacyNetworkLayer(ses);
+  configurePermissions(ses, { isPrivate: key === PRIVATE_SESSION_PARTITION });
+  wireDownloads(ses, { partition: key });
+
+  for (const extension of loadedExtensions) {
+    loadExtensionIntoSession(ses, extension.path).catch(() => {
+      // Extension stays available in the sessions that accepted it.
+    });
   }
-  mainWindow.webContents.send("downloads:updated", downloadItems);
+
+  return ses;
 }
 
-function sendHistoryUpdates() {
-  if (!mainWindow || mainWindow.isDestroyed()) {
-    return;
-  }
-  mainWindow.webContents.send("history:updated", browsingHistory);
+function getBrowserWindows() {
+  return [...browserWindows.values()]
+    .map((entry) => entry.window)
+    .filter((win) => win && !win.isDestroyed());
 }
 
-function sendUpdateStatus() {
-  if (!mainWindow || mainWindow.isDestroyed()) {
-    return;
+function getWindow() {
+  const focused = BrowserWindow.getFocusedWindow();
+  if (focused && browserWindows.has(focused.id)) {
+    return focused;
+  }
+
+  const lastFocused = browserWindows.get(lastFocusedWindowId);
+  if (lastFocused && !lastFocused.window.isDestroyed()) {
+    return lastFocused.window;
   }
-  mainWindow.webContents.send("updates:status", updateStatus);
+
+  return getBrowserWindows()[0] || null;
 }
 
-function sendUpdateConfig() {
-  if (!mainWindow || mainWindow.isDestroyed()) {
-    return;
+function getWindowEntryForContents(contents) {
+  for (const entry of browserWindows.values()) {
+    if (!entry.window.isDestroyed() && entry.window.webContents === contents) {
+      return entry;
+    }
   }
-  mainWindow.webContents.send("updates:config", updateConfig);
+  return null;
 }
 
-function sendPrivacyConfig() {
-  if (!mainWindow || mainWindow.isDestroyed()) {
-    return;
+function broadcastToWindows(channel, payload) {
+  for (const win of getBrowserWindows()) {
+    win.webContents.send(channel, payload);
   }
-  mainWindow.webContents.send("privacy:config", privacyConfig);
 }
 
-function sendPrivacyStats() {
-  if (!mainWindow || mainWindow.isDestroyed()) {
-    return;
+function sendWindowState() {
+  for (const win of getBrowserWindows()) {
+    win.webContents.send("window:state", {
+      isMaximized: win.isMaximized(),
+      isFullscreen: win.isFullScreen()
+    });
+  }
+}
+
+function sendDownloadUpdates() {
+  for (const entry of browserWindows.values()) {
+    if (entry.window && !entry.window.isDestroyed()) {
+      entry.window.webContents.send("downloads:updated", getDownloadItemsForWindow(entry.isPrivate));
+    }
   }
-  mainWindow.webContents.send("privacy:stats", privacyStats);
+}
+
+function sendHistoryUpdates() {
+  broadcastToWindows("history:updated", historyStore.getRecentVisits(HISTORY_LIST_LIMIT));
+}
+
+function sendUpdateStatus() {
+  broadcastToWindows("updates:status", updateStatus);
+}
+
+function sendUpdateConfig() {
+  broadcastToWindows("updates:config", updateConfig);
+}
+
+function sendDownloadConfig() {
+  broadcastToWindows("downloads:config", downloadConfig);
+}
+
+function sendPrivacyConfig() {
+  broadcastToWindows("privacy:config", privacyConfig);
+}
+
+function sendSitePrivacyOverrides() {
+  broadcastToWindows("privacy:sites", sitePrivacyOverrides);
+}
+
+function sendHttpsOnlyExceptions() {
+  broadcastToWindows("privacy:https-exceptions", httpsOnlyExceptions);
+}
+
+function sendPermissionDecisions() {
+  broadcastToWindows("permissions:updated", permissionDecisions);
+}
+
+function sendPrivacyStats() {
+  broadcastToWindows("privacy:stats", privacyStats);
+}
+
+function sendFilterLists() {
+  broadcastToWindows("privacy:filter-lists", getFilterListSnapshot());
 }
 
 function queuePrivacyStatsBroadcast() {
@@ -507,11 +1257,54 @@ function queuePrivacyStatsBroadcast() {
   }, 220);
 }
 
-function incrementPrivacyStat(key) {
+function getTabPrivacyActivity(webContentsId, siteKey = "") {
+  const id = Number(webContentsId || 0);
+  if (!id) {
+    return null;
+  }
+
+  let activity = tabPrivacyActivity.get(id);
+  if (!activity) {
+    activity = createEmptyTabPrivacyActivity(siteKey);
+    tabPrivacyActivity.set(id, activity);
+  }
+  return activity;
+}
+
+function resetTabPrivacyActivity(webContentsId, siteKey) {
+  const id = Number(webContentsId || 0);
+  if (id) {
+    tabPrivacyActivity.set(id, createEmptyTabPrivacyActivity(siteKey));
+  }
+}
+
+function incrementPrivacyStat(key, context = {}) {
   if (!Object.prototype.hasOwnProperty.call(privacyStats, key) || typeof privacyStats[key] !== "number") {
     return;
   }
   privacyStats[key] += 1;
+
+  privacyLog.push({
+    id: ++privacyLogSequence,
+    at: Date.now(),
+    kind: key,
+    url: sanitizeString(context.url, ""),
+    resourceType: sanitizeString(context.resourceType, "other"),
+    rule: sanitizeString(context.rule, ""),
+    listId: sanitizeString(context.listId, ""),
+    siteKey: sanitizeString(context.siteKey, ""),
+    webContentsId: Number(context.webContentsId || 0)
+  });
+
+  const activity = getTabPrivacyActivity(context.webContentsId);
+  if (activity && typeof activity[key] === "number") {
+    activity[key] += 1;
+    const host = key === "blockedRequests" ? getHostnameFromUrl(context.url) : "";
+    if (host) {
+      activity.blockedHosts[host] = (activity.blockedHosts[host] || 0) + 1;
+    }
+  }
+
   queuePrivacyStatsBroadcast();
 }
 
@@ -521,7 +1314,8 @@ function getUpdateMiniSnapshot() {
     app: sanitizeString(updateMiniStatus.app, "Waiting..."),
     extensions: sanitizeString(updateMiniStatus.extensions, "Waiting..."),
     chromium: sanitizeString(updateMiniStatus.chromium, "Waiting..."),
-    pendingTasks: startupUpdateTasksPending
+    pendingTasks: startupUpdateTasksPending,
+    hasReleaseNotes: hasReleaseNotes()
   };
 }
 
@@ -597,10 +1391,23 @@ function buildUpdateMiniHtml(snapshot) {
       text-overflow: ellipsis;
       white-space: nowrap;
     }
+    .footer {
+      display: flex;
+      justify-content: space-between;
+      gap: 8px;
+    }
+    .value .line {
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
     .pending {
       font-size: 11px;
       color: var(--ok);
     }
+    .notes {
+      font-size: 11px;
+      color: var(--text);
+    }
   </style>
 </head>
 <body>
@@ -612,7 +1419,10 @@ function buildUpdateMiniHtml(snapshot) {
       <div class="row"><div class="label">Chromium</div><div id="chromium" class="value"></div></div>
       <div class="row"><div class="label">Extensions</div><div id="extensions" class="value"></div></div>
     </div>
-    <div id="pending" class="pending"></div>
+    <div class="footer">
+      <div id="pending" class="pending"></div>
+      <a id="notes" class="notes" href="bastion://whatsnew" hidden>Release notes</a>
+    </div>
   </div>
   <script>
     const initial = ${initialPayload};
@@ -635,9 +1445,16 @@ function buildUpdateMiniHtml(snapshot) {
       document.getElementById("version").textContent = "Version " + version;
       document.getElementById("app").textContent = appText;
       document.getElementById("chromium").textContent = chromiumText;
-      document.getElementById("extensions").textContent = extensionsText;
+      const extensionsEl = document.getElementById("extensions");
+      extensionsEl.replaceChildren(...extensionsText.split("\n").map((text) => {
+        const line = document.createElement("div");
+        line.className = "line";
+        line.textContent = text;
+        return line;
+      }));
       document.getElementById("pending").textContent =
         pendingTasks > 0 ? "Working... " + pendingTasks + " task(s) remaining." : "Startup checks complete.";
+      document.getElementById("notes").hidden = !data.hasReleaseNotes;
     }
 
     window.__setBastionUpdateMiniStatus = render;
@@ -652,13 +1469,16 @@ function createUpdateMiniWindow() {
     return updateMiniWindow;
   }
 
+  // One extra status line per managed extension beyond the first.
+  const extensionLines = Math.min(6, Math.max(1, managedExtensionRegistry.filter((entry) => entry.enabled).length));
+  const height = 236 + (extensionLines - 1) * 18;
   updateMiniWindow = new BrowserWindow({
     width: 430,
-    height: 236,
+    height,
     minWidth: 430,
-    minHeight: 236,
+    minHeight: height,
     maxWidth: 430,
-    maxHeight: 236,
+    maxHeight: height,
     resizable: false,
     minimizable: false,
     maximizable: false,
@@ -695,6 +1515,16 @@ function createUpdateMiniWindow() {
     pushUpdateMiniWindowState();
   });
 
+  // The only link in the mini window opens release notes in a browser tab.
+  updateMiniWindow.webContents.on("will-navigate", (event, url) => {
+    event.preventDefault();
+    const target = getWindow();
+    if (url === "bastion://whatsnew" && target && !target.isDestroyed()) {
+      target.webContents.send("navigation:new-tab", "about:whatsnew");
+      target.focus();
+    }
+  });
+
   updateMiniWindow.on("closed", () => {
     updateMiniWindow = null;
     if (updateMiniCloseTimer) {
@@ -821,6 +1651,10 @@ function pushRuntimeStateToRenderer() {
   sendUpdateConfig();
   sendPrivacyConfig();
   sendPrivacyStats();
+  sendFilterLists();
+  sendSitePrivacyOverrides();
+  sendPermissionDecisions();
+  sendHttpsOnlyExceptions();
 }
 
 function getExtensionByPath(extensionPath) {
@@ -828,6 +1662,29 @@ function getExtensionByPath(extensionPath) {
   return loadedExtensions.find((item) => path.resolve(item.path) === normalized) || null;
 }
 
+async function loadExtensionIntoSession(ses, extensionPath) {
+  const alreadyLoaded = ses
+    .getAllExtensions()
+    .find((item) => path.resolve(item.path) === path.resolve(extensionPath));
+  if (alreadyLoaded) {
+    return alreadyLoaded;
+  }
+
+  return ses.loadExtension(extensionPath, {
+    allowFileAccess: true
+  });
+}
+
+function unloadExtensionFromSessions(extensionId) {
+  for (const ses of getBrowsingSessions()) {
+    try {
+      ses.removeExtension(extensionId);
+    } catch (_) {
+      // Best-effort unload.
+    }
+  }
+}
+
 async function loadExtension(extensionPath, source = "User") {
   const existing = getExtensionByPath(extensionPath);
   if (existing) {
@@ -835,9 +1692,14 @@ async function loadExtension(extensionPath, source = "User") {
   }
 
   try {
-    const extension = await session.defaultSession.loadExtension(extensionPath, {
-      allowFileAccess: true
-    });
+    let extension = null;
+    for (const ses of getBrowsingSessions()) {
+      extension = await loadExtensionIntoSession(ses, extensionPath);
+    }
+
+    if (!extension) {
+      throw new Error("No browsing session is available to load the extension into.");
+    }
 
     const detail = {
       id: extension.id,
@@ -866,9 +1728,9 @@ async function loadExtension(extensionPath, source = "User") {
   }
 }
 
-async function loadBundledExtensions() {
-  loadedExtensions = [];
-
+// Every extension Bastion knows about, loaded or not. Keys are the resolved folder path, except
+// for managed extensions, whose folder changes with each version: they use "managed:<id>".
+function collectExtensionCandidates() {
   const candidates = [];
 
   if (fs.existsSync(EXTENSIONS_DIR)) {
@@ -877,255 +1739,1395 @@ async function loadBundledExtensions() {
       .filter((entry) => entry.isDirectory())
       .map((entry) => path.join(EXTENSIONS_DIR, entry.name))
       .filter((dirPath) => fs.existsSync(path.join(dirPath, "manifest.json")))
-      .map((item) => ({ path: item, source: "Bundled" }));
+      .map((item) => ({ key: path.resolve(item), path: item, source: "Bundled", removable: false }));
     candidates.push(...bundled);
   }
 
   const userPaths = getSavedUserExtensionPaths().map((item) => ({
+    key: path.resolve(item),
     path: item,
-    source: "User"
+    source: "User",
+    removable: true
   }));
   candidates.push(...userPaths);
 
-  const managedUblockPath = sanitizeString(
-    ublockOriginMetadata && ublockOriginMetadata.extensionPath,
-    ""
-  ).trim();
-  if (managedUblockPath && fs.existsSync(path.join(managedUblockPath, "manifest.json"))) {
-    candidates.push({
-      path: managedUblockPath,
-      source: "Managed (uBlock Origin)"
-    });
+  for (const entry of managedExtensionRegistry) {
+    const managedPath = sanitizeString(getManagedExtensionMetadata(entry.id).extensionPath, "").trim();
+    if (entry.enabled && hasValidExtensionManifest(managedPath)) {
+      candidates.push({
+        key: getManagedExtensionKey(entry),
+        path: managedPath,
+        source: getManagedExtensionSourceLabel(entry),
+        removable: false
+      });
+    }
   }
 
   const seenPaths = new Set();
-  for (const candidate of candidates) {
+  return candidates.filter((candidate) => {
     const resolvedPath = path.resolve(candidate.path);
     if (seenPaths.has(resolvedPath)) {
-      continue;
+      return false;
     }
     seenPaths.add(resolvedPath);
+    return true;
+  });
+}
+
+function findExtensionCandidate(key) {
+  const value = sanitizeString(key, "");
+  return collectExtensionCandidates().find((candidate) => candidate.key === value) || null;
+}
+
+function recordExtensionLoadResult(key, result) {
+  if (result && result.ok) {
+    extensionLoadErrors.delete(key);
+  } else {
+    extensionLoadErrors.set(key, (result && result.error) || "Unknown extension load error");
+  }
+  return result;
+}
+
+async function loadExtensionCandidate(candidate) {
+  return recordExtensionLoadResult(candidate.key, await loadExtension(candidate.path, candidate.source));
+}
+
+function unloadExtensionCandidate(candidate) {
+  const loaded = getExtensionByPath(candidate.path);
+  if (!loaded) {
+    return;
+  }
+  unloadExtensionFromSessions(loaded.id);
+  loadedExtensions = loadedExtensions.filter((item) => item !== loaded);
+}
 
-    const result = await loadExtension(candidate.path, candidate.source);
-    if (!result.ok && candidate.source === "User") {
-      removeUserExtensionPath(candidate.path);
+async function loadBundledExtensions() {
+  loadedExtensions = [];
+
+  for (const candidate of collectExtensionCandidates()) {
+    if (!disabledExtensionKeys.has(candidate.key)) {
+      await loadExtensionCandidate(candidate);
     }
   }
 }
 
-function createWindow() {
-  mainWindow = new BrowserWindow({
+function readExtensionManifest(extensionPath) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(extensionPath, "manifest.json"), "utf8"));
+    return manifest && typeof manifest === "object" ? manifest : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function getExtensionCatalog() {
+  return collectExtensionCandidates().map((candidate) => {
+    const manifest = readExtensionManifest(candidate.path);
+    const loaded = getExtensionByPath(candidate.path);
+    const listOf = (value) => (Array.isArray(value) ? value.map((item) => String(item)) : []);
+    return {
+      key: candidate.key,
+      id: loaded ? loaded.id : "",
+      name: (loaded && loaded.name) || sanitizeString(manifest.name, "") || path.basename(candidate.path),
+      version: (loaded && loaded.version) || sanitizeString(manifest.version, "unknown"),
+      description: sanitizeString(manifest.description, ""),
+      manifestVersion: Number(manifest.manifest_version || 0),
+      permissions: listOf(manifest.permissions),
+      hostPermissions: listOf(manifest.host_permissions),
+      source: candidate.source,
+      path: candidate.path,
+      enabled: !disabledExtensionKeys.has(candidate.key),
+      loaded: Boolean(loaded),
+      error: extensionLoadErrors.get(candidate.key) || "",
+      removable: candidate.removable
+    };
+  });
+}
+
+async function setExtensionEnabled(key, enabled) {
+  const candidate = findExtensionCandidate(key);
+  if (!candidate) {
+    return { ok: false, error: "Extension not found." };
+  }
+
+  let result = { ok: true };
+  if (enabled) {
+    disabledExtensionKeys.delete(candidate.key);
+    result = await loadExtensionCandidate(candidate);
+  } else {
+    disabledExtensionKeys.add(candidate.key);
+    unloadExtensionCandidate(candidate);
+    extensionLoadErrors.delete(candidate.key);
+  }
+
+  persistExtensionState();
+  broadcastToWindows("extensions:updated", loadedExtensions);
+  return result;
+}
+
+// Only user-added extensions can be removed; bundled and managed ones can only be disabled.
+// Folders Bastion extracted itself (.crx installs) are deleted, other folders are left alone.
+async function removeExtension(key) {
+  const candidate = findExtensionCandidate(key);
+  if (!candidate) {
+    return { ok: false, error: "Extension not found." };
+  }
+  if (!candidate.removable) {
+    return { ok: false, error: `${candidate.source} extensions can be disabled but not removed.` };
+  }
+
+  unloadExtensionCandidate(candidate);
+  removeUserExtensionPath(candidate.path);
+  disabledExtensionKeys.delete(candidate.key);
+  extensionLoadErrors.delete(candidate.key);
+  persistExtensionState();
+
+  const resolvedPath = path.resolve(candidate.path);
+  if (resolvedPath.startsWith(`${path.resolve(getCrxInstallRootDir())}${path.sep}`)) {
+    fs.rmSync(resolvedPath, { recursive: true, force: true });
+  }
+
+  broadcastToWindows("extensions:updated", loadedExtensions);
+  return { ok: true };
+}
+
+async function reloadExtensionFromDisk(key) {
+  const candidate = findExtensionCandidate(key);
+  if (!candidate) {
+    return { ok: false, error: "Extension not found." };
+  }
+  if (disabledExtensionKeys.has(candidate.key)) {
+    return { ok: false, error: "Enable the extension before reloading it." };
+  }
+
+  unloadExtensionCandidate(candidate);
+  const result = await loadExtensionCandidate(candidate);
+  broadcastToWindows("extensions:updated", loadedExtensions);
+  return result;
+}
+
+async function openExtensionFolder(key) {
+  const candidate = findExtensionCandidate(key);
+  if (!candidate) {
+    return { ok: false, error: "Extension not found." };
+  }
+
+  const error = await shell.openPath(candidate.path);
+  return error ? { ok: false, error } : { ok: true };
+}
+
+function createBrowserWindow(options = {}) {
+  const isPrivate = Boolean(options.isPrivate);
+  if (isPrivate) {
+    registerBrowsingSession(PRIVATE_SESSION_PARTITION);
+  }
+
+  const partition = isPrivate ? PRIVATE_SESSION_PARTITION : TAB_SESSION_PARTITION;
+  const win = new BrowserWindow({
     width: 1480,
     height: 940,
     minWidth: 980,
     minHeight: 640,
     show: false,
-    backgroundColor: "#050a11",
+    backgroundColor: isPrivate ? "#0c0714" : "#050a11",
     autoHideMenuBar: true,
     frame: false,
-    title: "Bastion Browser",
+    title: isPrivate ? "Bastion Private Browsing" : "Bastion Browser",
     webPreferences: {
       preload: path.join(__dirname, "preload.js"),
       contextIsolation: true,
       nodeIntegration: false,
       sandbox: false,
       webviewTag: true,
-      spellcheck: true
+      spellcheck: true,
+      additionalArguments: [
+        `--bastion-partition=${partition}`,
+        ...(isPrivate ? ["--bastion-private-window"] : [])
+      ]
     }
   });
 
-  mainWindow.loadFile(START_URL);
+  win.loadFile(START_URL);
 
-  mainWindow.once("ready-to-show", () => {
-    mainWindow.show();
-    pushRuntimeStateToRenderer();
-  });
-
-  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send("navigation:new-tab", url);
+  win.webContents.setWindowOpenHandler(({ url }) => {
+    if (!win.isDestroyed()) {
+      win.webContents.send("navigation:new-tab", url);
     }
     return { action: "deny" };
   });
 
-  mainWindow.webContents.on("enter-html-full-screen", () => {
-    if (mainWindow && !mainWindow.isFullScreen()) {
-      mainWindow.setFullScreen(true);
+  win.webContents.on("enter-html-full-screen", () => {
+    if (!win.isDestroyed() && !win.isFullScreen()) {
+      win.setFullScreen(true);
     }
     sendWindowState();
   });
 
-  mainWindow.webContents.on("leave-html-full-screen", () => {
-    if (mainWindow && mainWindow.isFullScreen()) {
-      mainWindow.setFullScreen(false);
+  win.webContents.on("leave-html-full-screen", () => {
+    if (!win.isDestroyed() && win.isFullScreen()) {
+      win.setFullScreen(false);
     }
     sendWindowState();
   });
 
-  mainWindow.on("maximize", sendWindowState);
-  mainWindow.on("unmaximize", sendWindowState);
-  mainWindow.on("enter-full-screen", sendWindowState);
-  mainWindow.on("leave-full-screen", sendWindowState);
-
-  mainWindow.on("closed", () => {
-    mainWindow = null;
-    if (updateMiniWindow && !updateMiniWindow.isDestroyed()) {
-      updateMiniWindow.close();
+  win.on("maximize", sendWindowState);
+  win.on("unmaximize", sendWindowState);
+  win.on("enter-full-screen", sendWindowState);
+  win.on("leave-full-screen", sendWindowState);
+
+  const windowId = win.id;
+  browserWindows.set(windowId, {
+    window: win,
+    isPrivate,
+    startup: {
+      urls: Array.isArray(options.urls) ? options.urls.filter((url) => typeof url === "string") : [],
+      session: options.session || null
     }
   });
-}
+  lastFocusedWindowId = windowId;
 
-function createDownloadRecord(item) {
-  return {
-    id: `dl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
-    filename: item.getFilename(),
-    url: item.getURL(),
-    state: "progressing",
-    receivedBytes: item.getReceivedBytes(),
-    totalBytes: item.getTotalBytes(),
-    savePath: item.getSavePath() || "",
-    startedAt: Date.now(),
-    endedAt: null
-  };
-}
+  win.on("focus", () => {
+    lastFocusedWindowId = windowId;
+  });
 
-function getDownloadById(id) {
-  return downloadItems.find((item) => item.id === id) || null;
-}
+  win.once("ready-to-show", () => {
+    win.show();
+    pushRuntimeStateToRenderer();
+  });
 
-function wireDownloads() {
-  session.defaultSession.on("will-download", (_event, item) => {
-    const record = createDownloadRecord(item);
-    downloadItems.unshift(record);
-    downloadItems = downloadItems.slice(0, 300);
-    persistDownloads();
-    sendDownloadUpdates();
+  win.on("closed", () => {
+    browserWindows.delete(windowId);
+    handleBrowserWindowClosed(windowId, isPrivate);
+  });
 
-    item.on("updated", (_innerEvent, state) => {
-      record.state = state === "interrupted" ? "interrupted" : "progressing";
-      record.receivedBytes = item.getReceivedBytes();
-      record.totalBytes = item.getTotalBytes();
-      if (item.getSavePath()) {
-        record.savePath = item.getSavePath();
-      }
-      persistDownloads();
-      sendDownloadUpdates();
-    });
+  return win;
+}
 
-    item.once("done", (_innerEvent, state) => {
-      record.state = state;
-      record.receivedBytes = item.getReceivedBytes();
-      record.totalBytes = item.getTotalBytes();
-      record.endedAt = Date.now();
-      if (item.getSavePath()) {
-        record.savePath = item.getSavePath();
-      }
+function handleBrowserWindowClosed(windowId, isPrivate) {
+  const remaining = [...browserWindows.values()];
+  if (remaining.length === 0 && updateMiniWindow && !updateMiniWindow.isDestroyed()) {
+    updateMiniWindow.close();
+  }
 
-      persistDownloads();
-      sendDownloadUpdates();
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send("downloads:done", record);
-      }
-    });
-  });
-}
+  if (isPrivate) {
+    if (!remaining.some((entry) => entry.isPrivate)) {
+      clearPrivateSessionData();
+    }
+    return;
+  }
 
-function toUrlObject(input) {
-  try {
-    return new URL(String(input || ""));
-  } catch (_) {
-    return null;
+  // Closing one of several windows discards its tabs; the last window (or an app quit) keeps them for restore.
+  const hasOtherNormalWindows = remaining.some((entry) => !entry.isPrivate);
+  if (!isAppQuitting && hasOtherNormalWindows && windowSessions.delete(windowId)) {
+    persistWindowSessions();
   }
 }
 
-function getHostnameFromUrl(input) {
-  const parsed = toUrlObject(input);
-  return parsed ? parsed.hostname.toLowerCase() : "";
+function createPrivateWindow(urls = []) {
+  return createBrowserWindow({ isPrivate: true, urls });
 }
 
-function getSiteKey(hostname) {
-  const value = String(hostname || "").toLowerCase();
-  if (!value) {
-    return "";
+function clearPrivateSessionData() {
+  const entry = browsingSessions.get(PRIVATE_SESSION_PARTITION);
+  if (!entry) {
+    return;
   }
 
-  if (LOOPBACK_HOSTS.has(value) || value.endsWith(".localhost")) {
-    return value;
-  }
+  // The partition lives in memory until the app exits, so wipe it once no private window uses it.
+  entry.session.clearStorageData().catch(() => {});
+  entry.session.clearCache().catch(() => {});
+  entry.session.clearAuthCache().catch(() => {});
+  privatePermissionDecisions = {};
 
-  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(value)) {
-    return value;
+  // The request log and per-tab counts hold full URLs, which must not outlive the private session.
+  privacyLog.removeWhere((item) => privateWebContentsIds.has(item.webContentsId));
+  for (const id of privateWebContentsIds) {
+    tabPrivacyActivity.delete(id);
   }
+  privateWebContentsIds.clear();
 
-  const parts = value.split(".").filter(Boolean);
-  if (parts.length <= 2) {
-    return value;
+  // Private downloads end with the session: running ones are cancelled, quarantined files go.
+  const privateDownloads = downloadItems.filter(isPrivateDownload);
+  if (privateDownloads.length > 0) {
+    for (const record of privateDownloads) {
+      const live = liveDownloads.get(record.id);
+      if (live) {
+        liveDownloads.delete(record.id);
+        live.item.cancel();
+      }
+      removeDownloadQuarantine(record);
+    }
+    downloadItems = downloadItems.filter((item) => !isPrivateDownload(item));
+    sendDownloadUpdates();
   }
+}
 
-  return parts.slice(-2).join(".");
+function isPrivateWindowContents(contents) {
+  const entry = getWindowEntryForContents(contents);
+  return Boolean(entry && entry.isPrivate);
 }
 
-function isThirdPartyRequest(requestUrl, initiatorUrl) {
-  const requestHost = getHostnameFromUrl(requestUrl);
-  const initiatorHost = getHostnameFromUrl(initiatorUrl);
+function createWindow(options = {}) {
+  return createBrowserWindow({ urls: options.urls, session: options.session });
+}
 
-  if (!requestHost || !initiatorHost) {
-    return false;
+function createStartupWindows() {
+  if (restoredWindowSessions.length === 0) {
+    createWindow();
+    return;
   }
 
-  return getSiteKey(requestHost) !== getSiteKey(initiatorHost);
+  for (const saved of restoredWindowSessions) {
+    createWindow({ session: saved });
+  }
+  restoredWindowSessions = [];
 }
 
-function matchesTrackerHost(hostname) {
-  const value = String(hostname || "").toLowerCase();
-  if (!value) {
-    return false;
+function takeWindowStartup(contents) {
+  const entry = getWindowEntryForContents(contents);
+  if (!entry) {
+    return { isPrivate: false, urls: [], session: null };
   }
 
-  return TRACKER_HOST_RULES.some((rule) => value === rule || value.endsWith(`.${rule}`));
+  const startup = entry.startup || { urls: [], session: null };
+  entry.startup = null;
+  return {
+    isPrivate: entry.isPrivate,
+    urls: startup.urls,
+    session: startup.session,
+    showWhatsNew: !entry.isPrivate && takeWhatsNewPending()
+  };
 }
 
-function shouldBlockTrackerRequest(details) {
-  if (!privacyConfig.blockTrackers) {
-    return false;
+function saveWindowSession(contents, payload) {
+  const entry = getWindowEntryForContents(contents);
+  if (!entry || entry.isPrivate) {
+    return { ok: false, error: "This window does not take part in session restore." };
   }
 
-  const resourceType = String(details.resourceType || "");
-  if (!TRACKER_RESOURCE_TYPES.has(resourceType)) {
-    return false;
+  const windowId = entry.window.id;
+  if (payload === null) {
+    windowSessions.delete(windowId);
+  } else {
+    const sanitized = sanitizeWindowSession(payload);
+    if (sanitized) {
+      windowSessions.set(windowId, sanitized);
+    } else {
+      windowSessions.delete(windowId);
+    }
   }
 
-  const host = getHostnameFromUrl(details.url);
-  if (!host || !matchesTrackerHost(host)) {
-    return false;
-  }
+  persistWindowSessions();
+  return { ok: true };
+}
 
-  const initiator = typeof details.initiator === "string" ? details.initiator : "";
-  if (!initiator) {
-    return resourceType !== "mainFrame";
-  }
+function clearWindowSessions() {
+  windowSessions.clear();
+  persistWindowSessions();
+  return { ok: true };
+}
+
+function createDownloadRecord(item, partition) {
+  return {
+    id: `dl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    filename: item.getFilename(),
+    url: item.getURL(),
+    state: "progressing",
+    receivedBytes: item.getReceivedBytes(),
+    totalBytes: item.getTotalBytes(),
+    savePath: item.getSavePath() || "",
+    startedAt: Date.now(),
+    endedAt: null,
+    partition,
+    paused: false,
+    mimeType: "",
+    urlChain: [],
+    eTag: "",
+    lastModified: "",
+    startTime: 0,
+    bytesPerSecond: 0,
+    etaSeconds: null,
+    danger: "",
+    insecure: false,
+    quarantined: false,
+    quarantinePath: "",
+    sha256: "",
+    expectedSha256: ""
+  };
+}
 
-  return isThirdPartyRequest(details.url, initiator);
+function getDownloadById(id) {
+  return downloadItems.find((item) => item.id === id) || null;
 }
 
-function shouldUpgradeToHttps(rawUrl) {
-  const parsed = toUrlObject(rawUrl);
-  if (!parsed || parsed.protocol !== "http:") {
-    return false;
-  }
+function getDownloadSession(record) {
+  const entry = browsingSessions.get(record.partition);
+  return entry ? entry.session : getTabSession();
+}
 
-  const host = parsed.hostname.toLowerCase();
-  if (!host || LOOPBACK_HOSTS.has(host) || host.endsWith(".localhost")) {
-    return false;
+// Keeps the samples from the last few seconds and returns bytes per second across them.
+function sampleDownloadSpeed(live, receivedBytes) {
+  const now = Date.now();
+  live.samples.push({ time: now, bytes: receivedBytes });
+  while (live.samples.length > 2 && now - live.samples[0].time > DOWNLOAD_SPEED_WINDOW_MS) {
+    live.samples.shift();
   }
 
-  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host)) {
+  const first = live.samples[0];
+  const elapsedSeconds = (now - first.time) / 1000;
+  return elapsedSeconds > 0 ? Math.max(0, (receivedBytes - first.bytes) / elapsedSeconds) : 0;
+}
+
+function syncDownloadRecord(record, item, live) {
+  record.filename = item.getFilename() || record.filename;
+  record.receivedBytes = item.getReceivedBytes();
+  record.totalBytes = item.getTotalBytes();
+  if (item.getSavePath()) {
+    record.savePath = item.getSavePath();
+  }
+  record.mimeType = item.getMimeType() || record.mimeType;
+  record.urlChain = item.getURLChain();
+  record.eTag = item.getETag() || "";
+  record.lastModified = item.getLastModifiedTime() || "";
+  record.startTime = item.getStartTime() || record.startTime;
+  record.paused = Boolean(live) && item.isPaused();
+  record.danger = getDownloadDangerType(record.filename, record.mimeType);
+  record.insecure = isInsecureDownload(record.urlChain);
+
+  if (!live || record.paused || item.getState() !== "progressing") {
+    if (live) {
+      // A paused download restarts its speed average from scratch.
+      live.samples = [];
+    }
+    record.bytesPerSecond = 0;
+    record.etaSeconds = null;
+    return;
+  }
+
+  record.bytesPerSecond = Math.round(sampleDownloadSpeed(live, record.receivedBytes));
+  record.etaSeconds = record.totalBytes > 0 && record.bytesPerSecond > 0
+    ? Math.ceil((record.totalBytes - record.receivedBytes) / record.bytesPerSecond)
+    : null;
+}
+
+function getDownloadDirectory() {
+  return downloadConfig.directory || app.getPath("downloads");
+}
+
+function matchesDownloadRule(rule, details) {
+  if (rule.type === "mime") {
+    return rule.pattern.endsWith("/*")
+      ? details.mimeType.startsWith(rule.pattern.slice(0, -1))
+      : details.mimeType === rule.pattern;
+  }
+  if (rule.type === "extension") {
+    return rule.pattern
+      .split(/[\s,]+/)
+      .map((value) => value.replace(/^\./, ""))
+      .includes(details.extension);
+  }
+  return details.hosts.some((host) => host === rule.pattern || host.endsWith(`.${rule.pattern}`));
+}
+
+// Rules run in order and the first match picks the folder. Site rules look at both the
+// download URL and the page that started it, since files are often served from a CDN.
+function resolveDownloadRuleDirectory(item, contents) {
+  const filename = item.getFilename() || "";
+  const pageUrl = contents && !contents.isDestroyed() ? contents.getURL() : "";
+  const details = {
+    mimeType: String(item.getMimeType() || "").toLowerCase(),
+    extension: path.extname(filename).slice(1).toLowerCase(),
+    hosts: [getHostnameFromUrl(item.getURL()), getHostnameFromUrl(pageUrl)].filter(Boolean)
+  };
+
+  const baseDirectory = getDownloadDirectory();
+  const rule = downloadConfig.rules.find((entry) => matchesDownloadRule(entry, details));
+  if (!rule) {
+    return baseDirectory;
+  }
+  return path.isAbsolute(rule.folder) ? rule.folder : path.join(baseDirectory, rule.folder);
+}
+
+// A path is taken when a file exists there or another running download is writing to it.
+function isDownloadPathTaken(targetPath) {
+  return (
+    fs.existsSync(targetPath) ||
+    downloadItems.some((record) => liveDownloads.has(record.id) && record.savePath === targetPath)
+  );
+}
+
+function getUniqueDownloadPath(targetPath) {
+  if (!isDownloadPathTaken(targetPath)) {
+    return targetPath;
+  }
+
+  const directory = path.dirname(targetPath);
+  const extension = path.extname(targetPath);
+  const stem = path.basename(targetPath, extension);
+  for (let index = 1; index < 1000; index += 1) {
+    const candidate = path.join(directory, `${stem} (${index})${extension}`);
+    if (!isDownloadPathTaken(candidate)) {
+      return candidate;
+    }
+  }
+  return path.join(directory, `${stem} (${Date.now()})${extension}`);
+}
+
+// Picks the save path for a new download from downloads-config.json. Leaving the path
+// unset makes Electron show the save dialog, which "always ask" and "ask" on conflict use.
+function applyDownloadRules(item, contents) {
+  const directory = resolveDownloadRuleDirectory(item, contents);
+  const filename = path.basename(item.getFilename() || "download");
+  let targetPath = path.join(directory, filename);
+
+  const askOnConflict = downloadConfig.conflictAction === "ask" && isDownloadPathTaken(targetPath);
+  if (downloadConfig.alwaysAsk || askOnConflict) {
+    item.setSaveDialogOptions({ defaultPath: targetPath });
+    return;
+  }
+
+  try {
+    fs.mkdirSync(directory, { recursive: true });
+  } catch (_) {
+    item.setSaveDialogOptions({ defaultPath: path.join(getDownloadDirectory(), filename) });
+    return;
+  }
+
+  if (downloadConfig.conflictAction === "rename") {
+    targetPath = getUniqueDownloadPath(targetPath);
+  }
+  item.setSavePath(targetPath);
+}
+
+// Resumed and retried downloads come back through will-download as new DownloadItems;
+// they reuse the record they were started from instead of adding a second entry.
+function takePendingDownloadRecord(item, contents) {
+  const savePath = item.getSavePath();
+  const resumedId = savePath ? pendingDownloadResumes.get(savePath) : "";
+  if (resumedId) {
+    pendingDownloadResumes.delete(savePath);
+    return getDownloadById(resumedId);
+  }
+
+  const retriedId = pendingDownloadRetries.get(item.getURL());
+  if (retriedId) {
+    pendingDownloadRetries.delete(item.getURL());
+    const record = getDownloadById(retriedId);
+    if (record && record.savePath && fs.existsSync(path.dirname(record.savePath))) {
+      item.setSavePath(record.savePath);
+    } else {
+      applyDownloadRules(item, contents);
+    }
+    return record;
+  }
+
+  return null;
+}
+
+function getDownloadQuarantineDir() {
+  return path.join(app.getPath("userData"), "download-quarantine");
+}
+
+// Where the file currently is: quarantined files live outside the download folder.
+function getDownloadFilePath(record) {
+  return record.quarantined ? record.quarantinePath : record.savePath;
+}
+
+function moveFile(sourcePath, targetPath) {
+  fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+  try {
+    fs.renameSync(sourcePath, targetPath);
+  } catch (error) {
+    if (error && error.code !== "EXDEV") {
+      throw error;
+    }
+    // The quarantine folder can be on another drive than the download folder.
+    fs.copyFileSync(sourcePath, targetPath);
+    fs.rmSync(sourcePath, { force: true });
+  }
+}
+
+function removeDownloadQuarantine(record) {
+  if (record.quarantined && record.quarantinePath) {
+    fs.rmSync(path.dirname(record.quarantinePath), { recursive: true, force: true });
+  }
+}
+
+// Runs once a download completes. Files that came over plain HTTP could have been swapped
+// in transit, so they are moved into the quarantine folder until the user keeps them.
+async function runDownloadSafetyChecks(record) {
+  if (!record.savePath || !fs.existsSync(record.savePath)) {
+    return;
+  }
+
+  if (record.insecure) {
+    const quarantinePath = path.join(getDownloadQuarantineDir(), record.id, path.basename(record.savePath));
+    try {
+      moveFile(record.savePath, quarantinePath);
+      record.quarantined = true;
+      record.quarantinePath = quarantinePath;
+    } catch (_) {
+      // The file stays where it was saved; it is still flagged as insecure.
+    }
+  }
+
+  try {
+    record.sha256 = await hashFileSha256(getDownloadFilePath(record));
+  } catch (_) {
+    record.sha256 = "";
+  }
+  persistDownloads();
+  sendDownloadUpdates();
+}
+
+function trackDownloadItem(record, item, contents) {
+  const live = { item, samples: [] };
+  liveDownloads.set(record.id, live);
+  removeDownloadQuarantine(record);
+  record.state = "progressing";
+  record.endedAt = null;
+  record.quarantined = false;
+  record.quarantinePath = "";
+  record.sha256 = "";
+  syncDownloadRecord(record, item, live);
+  persistDownloads();
+  sendDownloadUpdates();
+
+  item.on("updated", (_innerEvent, state) => {
+    if (liveDownloads.get(record.id) !== live) {
+      return;
+    }
+    syncDownloadRecord(record, item, live);
+    record.state = state === "interrupted" ? "interrupted" : "progressing";
+    persistDownloads();
+    sendDownloadUpdates();
+  });
+
+  item.once("done", (_innerEvent, state) => {
+    if (liveDownloads.get(record.id) !== live) {
+      // Retry replaced this item; the record follows the new download now.
+      return;
+    }
+    liveDownloads.delete(record.id);
+    syncDownloadRecord(record, item, null);
+    record.state = state;
+    record.endedAt = Date.now();
+
+    persistDownloads();
+    sendDownloadUpdates();
+    const embedder = getEmbedderWebContents(contents);
+    if (embedder) {
+      embedder.send("downloads:done", record);
+    }
+    if (state === "completed") {
+      runDownloadSafetyChecks(record).catch(() => {
+        // The record stays usable without a hash.
+      });
+    }
+  });
+}
+
+function wireDownloads(ses, options = {}) {
+  const partition = options.partition || TAB_SESSION_PARTITION;
+
+  ses.on("will-download", (_event, item, contents) => {
+    let record = takePendingDownloadRecord(item, contents);
+    if (record) {
+      const wasInterrupted = item.getState() === "interrupted";
+      trackDownloadItem(record, item, contents);
+      if (wasInterrupted && item.canResume()) {
+        // createInterruptedDownload hands back a download that waits for resume().
+        item.resume();
+      }
+      return;
+    }
+
+    applyDownloadRules(item, contents);
+    record = createDownloadRecord(item, partition);
+    downloadItems.unshift(record);
+    downloadItems = downloadItems.slice(0, MAX_DOWNLOAD_RECORDS);
+    trackDownloadItem(record, item, contents);
+  });
+}
+
+function getDownloadWarnings(record) {
+  const warnings = [];
+  if (record.danger === "executable") {
+    warnings.push("This file is a program. It can make changes to your computer when opened.");
+  } else if (record.danger === "script") {
+    warnings.push("This file is a script. It can run commands on your computer when opened.");
+  }
+  if (record.expectedSha256 && record.sha256 && record.expectedSha256 !== record.sha256) {
+    warnings.push("Its SHA-256 hash does not match the hash you entered.");
+  }
+  if (record.insecure) {
+    warnings.push("It was downloaded over plain HTTP, so it may have been changed in transit.");
+  }
+  return warnings;
+}
+
+// Dangerous types and hash mismatches need a confirmation from the main process each time,
+// so a compromised page cannot open them through the renderer API alone.
+async function confirmOpenDownload(record) {
+  const warnings = getDownloadWarnings(record);
+  const hashMismatch = record.expectedSha256 && record.sha256 && record.expectedSha256 !== record.sha256;
+  if (!record.danger && !hashMismatch) {
+    return true;
+  }
+
+  const options = {
+    type: "warning",
+    title: "Open Download",
+    message: `Open ${record.filename}?`,
+    detail: [...warnings, `From: ${record.url}`, `SHA-256: ${record.sha256 || "not computed"}`].join("\n"),
+    buttons: ["Open", "Cancel"],
+    defaultId: 1,
+    cancelId: 1
+  };
+  const win = getWindow();
+  const { response } = win ? await dialog.showMessageBox(win, options) : await dialog.showMessageBox(options);
+  return response === 0;
+}
+
+async function openDownloadFile(id) {
+  const record = getDownloadById(id);
+  if (!record || !record.savePath) {
+    return { ok: false, error: "Download file path not available yet." };
+  }
+  if (record.quarantined) {
+    return { ok: false, error: "This file came over plain HTTP and is quarantined. Choose Keep File first." };
+  }
+  if (!(await confirmOpenDownload(record))) {
+    return { ok: false, canceled: true };
+  }
+
+  const openResult = await shell.openPath(record.savePath);
+  if (openResult) {
+    return { ok: false, error: openResult };
+  }
+  return { ok: true };
+}
+
+async function releaseQuarantinedDownload(id) {
+  const record = getDownloadById(id);
+  if (!record || !record.quarantined) {
+    return { ok: false, error: "This download is not quarantined." };
+  }
+
+  const options = {
+    type: "warning",
+    title: "Keep Download",
+    message: `Keep ${record.filename}?`,
+    detail: [...getDownloadWarnings(record), `From: ${record.url}`, `SHA-256: ${record.sha256 || "not computed"}`].join("\n"),
+    buttons: ["Keep File", "Cancel"],
+    defaultId: 1,
+    cancelId: 1
+  };
+  const win = getWindow();
+  const { response } = win ? await dialog.showMessageBox(win, options) : await dialog.showMessageBox(options);
+  if (response !== 0) {
+    return { ok: false, canceled: true };
+  }
+
+  const targetPath = getUniqueDownloadPath(record.savePath);
+  try {
+    moveFile(record.quarantinePath, targetPath);
+  } catch (error) {
+    return { ok: false, error: getErrorMessage(error) };
+  }
+
+  removeDownloadQuarantine(record);
+  record.quarantined = false;
+  record.quarantinePath = "";
+  record.savePath = targetPath;
+  record.filename = path.basename(targetPath);
+  persistDownloads();
+  sendDownloadUpdates();
+  return { ok: true, savePath: targetPath };
+}
+
+function discardQuarantinedDownload(id) {
+  const record = getDownloadById(id);
+  if (!record || !record.quarantined) {
+    return { ok: false, error: "This download is not quarantined." };
+  }
+
+  try {
+    removeDownloadQuarantine(record);
+  } catch (error) {
+    return { ok: false, error: getErrorMessage(error) };
+  }
+  downloadItems = downloadItems.filter((item) => item.id !== record.id);
+  persistDownloads();
+  sendDownloadUpdates();
+  return { ok: true };
+}
+
+async function verifyDownloadHash(id, expected) {
+  const record = getDownloadById(id);
+  if (!record || record.state !== "completed") {
+    return { ok: false, error: "Only completed downloads can be verified." };
+  }
+
+  const expectedSha256 = normalizeSha256(expected);
+  if (!expectedSha256) {
+    return { ok: false, error: "Enter a SHA-256 hash: 64 hexadecimal characters." };
+  }
+
+  if (!record.sha256) {
+    try {
+      record.sha256 = await hashFileSha256(getDownloadFilePath(record));
+    } catch (error) {
+      return { ok: false, error: `Could not read the file: ${getErrorMessage(error)}` };
+    }
+  }
+
+  record.expectedSha256 = expectedSha256;
+  persistDownloads();
+  sendDownloadUpdates();
+  return { ok: true, match: record.sha256 === expectedSha256, sha256: record.sha256 };
+}
+
+function pauseDownload(id) {
+  const live = liveDownloads.get(id);
+  const record = getDownloadById(id);
+  if (!live || !record || live.item.getState() !== "progressing") {
+    return { ok: false, error: "Only active downloads can be paused." };
+  }
+
+  live.item.pause();
+  syncDownloadRecord(record, live.item, live);
+  persistDownloads();
+  sendDownloadUpdates();
+  return { ok: true };
+}
+
+// Interrupted downloads from an earlier run have no DownloadItem any more. Chromium can
+// rebuild one from the saved URL chain and validators and continue from the partial file.
+function restoreInterruptedDownload(record) {
+  if (!record.savePath || record.urlChain.length === 0 || !fs.existsSync(record.savePath)) {
+    return { ok: false, error: "The partial file is gone, so this download cannot be resumed. Use Retry to start it again." };
+  }
+
+  const offset = Math.min(record.receivedBytes, fs.statSync(record.savePath).size);
+  pendingDownloadResumes.set(record.savePath, record.id);
+  try {
+    getDownloadSession(record).createInterruptedDownload({
+      path: record.savePath,
+      urlChain: record.urlChain,
+      mimeType: record.mimeType || undefined,
+      offset,
+      length: record.totalBytes,
+      lastModified: record.lastModified || undefined,
+      eTag: record.eTag || undefined,
+      startTime: record.startTime || undefined
+    });
+  } catch (error) {
+    pendingDownloadResumes.delete(record.savePath);
+    return { ok: false, error: getErrorMessage(error) };
+  }
+  return { ok: true };
+}
+
+function resumeDownload(id) {
+  const record = getDownloadById(id);
+  if (!record) {
+    return { ok: false, error: "Download not found." };
+  }
+
+  const live = liveDownloads.get(id);
+  if (live) {
+    if (!live.item.canResume()) {
+      return { ok: false, error: "The server does not allow this download to be resumed. Use Retry to start it again." };
+    }
+    live.item.resume();
+    return { ok: true };
+  }
+
+  if (record.state !== "interrupted") {
+    return { ok: false, error: "Only paused or interrupted downloads can be resumed." };
+  }
+  return restoreInterruptedDownload(record);
+}
+
+function cancelDownload(id) {
+  const record = getDownloadById(id);
+  if (!record) {
+    return { ok: false, error: "Download not found." };
+  }
+
+  const live = liveDownloads.get(id);
+  if (live) {
+    // The done handler records the cancelled state.
+    live.item.cancel();
+    return { ok: true };
+  }
+
+  if (record.state !== "interrupted") {
+    return { ok: false, error: "This download has already finished." };
+  }
+  record.state = "cancelled";
+  record.endedAt = Date.now();
+  persistDownloads();
+  sendDownloadUpdates();
+  return { ok: true };
+}
+
+function retryDownload(id) {
+  const record = getDownloadById(id);
+  if (!record) {
+    return { ok: false, error: "Download not found." };
+  }
+  const live = liveDownloads.get(id);
+  const retryable = live
+    ? live.item.getState() === "interrupted"
+    : record.state === "interrupted" || record.state === "cancelled";
+  if (!retryable) {
+    return { ok: false, error: "Only interrupted or cancelled downloads can be retried." };
+  }
+  if (!/^https?:\/\//i.test(record.url)) {
+    return { ok: false, error: "This download cannot be started again from its URL." };
+  }
+
+  // An interrupted item that cannot resume is still live; drop it before starting over.
+  if (live) {
+    liveDownloads.delete(id);
+    live.item.cancel();
+  }
+
+  pendingDownloadRetries.set(record.url, record.id);
+  record.receivedBytes = 0;
+  record.startedAt = Date.now();
+  getDownloadSession(record).downloadURL(record.url);
+  return { ok: true };
+}
+
+function toUrlObject(input) {
+  try {
+    return new URL(String(input || ""));
+  } catch (_) {
+    return null;
+  }
+}
+
+function getHostnameFromUrl(input) {
+  const parsed = toUrlObject(input);
+  return parsed ? parsed.hostname.toLowerCase() : "";
+}
+
+function getBundledPublicSuffixListPath() {
+  return path.join(__dirname, "lib", "public-suffix-list.dat");
+}
+
+function getPublicSuffixListOverridePath() {
+  return path.join(app.getPath("userData"), "public_suffix_list.dat");
+}
+
+function loadPublicSuffixList() {
+  const overridePath = getPublicSuffixListOverridePath();
+  if (fs.existsSync(overridePath)) {
+    try {
+      const candidate = createPublicSuffixList(fs.readFileSync(overridePath, "utf8"));
+      if (candidate.ruleCount > 0) {
+        publicSuffixList = candidate;
+        publicSuffixListSource = "user";
+        return;
+      }
+    } catch (_) {
+      // Fall back to the bundled snapshot.
+    }
+  }
+
+  try {
+    publicSuffixList = createPublicSuffixList(fs.readFileSync(getBundledPublicSuffixListPath(), "utf8"));
+  } catch (_) {
+    publicSuffixList = createPublicSuffixList("");
+  }
+  publicSuffixListSource = "bundled";
+}
+
+function getPublicSuffixListSnapshot() {
+  return {
+    source: publicSuffixListSource,
+    path: publicSuffixListSource === "user" ? getPublicSuffixListOverridePath() : getBundledPublicSuffixListPath(),
+    ruleCount: publicSuffixList ? publicSuffixList.ruleCount : 0
+  };
+}
+
+async function importPublicSuffixListFromDialog() {
+  const win = getWindow();
+  if (!win) {
+    return { ok: false, error: "No active window." };
+  }
+
+  const result = await dialog.showOpenDialog(win, {
+    title: "Import Public Suffix List",
+    properties: ["openFile", "dontAddToRecent"],
+    filters: [
+      { name: "Public Suffix List", extensions: ["dat", "txt"] },
+      { name: "All files", extensions: ["*"] }
+    ]
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return { ok: false, canceled: true };
+  }
+
+  try {
+    const text = fs.readFileSync(result.filePaths[0], "utf8");
+    if (createPublicSuffixList(text).ruleCount === 0) {
+      return { ok: false, error: "The selected file contains no public suffix rules." };
+    }
+    fs.writeFileSync(getPublicSuffixListOverridePath(), text, "utf8");
+  } catch (error) {
+    return { ok: false, error: getErrorMessage(error) };
+  }
+
+  loadPublicSuffixList();
+  return { ok: true, list: getPublicSuffixListSnapshot() };
+}
+
+function resetPublicSuffixList() {
+  try {
+    fs.rmSync(getPublicSuffixListOverridePath(), { force: true });
+  } catch (error) {
+    return { ok: false, error: getErrorMessage(error) };
+  }
+
+  loadPublicSuffixList();
+  return { ok: true, list: getPublicSuffixListSnapshot() };
+}
+
+function getSiteKey(hostname) {
+  const value = normalizeHostname(hostname);
+  if (!value) {
+    return "";
+  }
+
+  if (LOOPBACK_HOSTS.has(value) || value.endsWith(".localhost") || isIpAddress(value)) {
+    return value;
+  }
+
+  if (!publicSuffixList) {
+    loadPublicSuffixList();
+  }
+
+  // A host that is itself a public suffix (e.g. "github.io") is its own site.
+  return publicSuffixList.getRegistrableDomain(value) || value;
+}
+
+function isThirdPartyRequest(requestUrl, initiatorUrl) {
+  const requestHost = getHostnameFromUrl(requestUrl);
+  const initiatorHost = getHostnameFromUrl(initiatorUrl);
+
+  if (!requestHost || !initiatorHost) {
+    return false;
+  }
+
+  return getSiteKey(requestHost) !== getSiteKey(initiatorHost);
+}
+
+function buildBuiltinFilterListText() {
+  return TRACKER_HOST_RULES.map((host) => `||${host}^$third-party`).join("\n");
+}
+
+function readFilterListText(entry) {
+  if (entry.builtIn) {
+    return buildBuiltinFilterListText();
+  }
+  return fs.readFileSync(path.join(getFilterListsDir(), entry.fileName), "utf8");
+}
+
+function createFilterListId(fileName) {
+  const base = path.basename(fileName, path.extname(fileName)).toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  const stem = base.replace(/^-+|-+$/g, "") || "list";
+  let candidate = stem;
+  let suffix = 2;
+  while (filterLists.some((entry) => entry.id === candidate)) {
+    candidate = `${stem}-${suffix}`;
+    suffix += 1;
+  }
+  return candidate;
+}
+
+function discoverFilterListFiles() {
+  const listsDir = getFilterListsDir();
+  let fileNames = [];
+  try {
+    fileNames = fs
+      .readdirSync(listsDir, { withFileTypes: true })
+      .filter((entry) => entry.isFile() && /\.txt$/i.test(entry.name))
+      .map((entry) => entry.name);
+  } catch (_) {
+    return;
+  }
+
+  const known = new Set(filterLists.map((entry) => entry.fileName.toLowerCase()));
+  for (const fileName of fileNames) {
+    if (known.has(fileName.toLowerCase())) {
+      continue;
+    }
+    filterLists.push(sanitizeFilterListEntry({
+      id: createFilterListId(fileName),
+      name: fileName,
+      fileName,
+      enabled: true,
+      addedAt: Date.now()
+    }));
+  }
+}
+
+function rebuildFilterEngine() {
+  const engine = createFilterEngine();
+
+  filterLists = filterLists.map((entry) => {
+    if (!entry.enabled) {
+      return { ...entry, error: "" };
+    }
+
+    try {
+      const ruleCount = engine.addList(entry.id, readFilterListText(entry));
+      return { ...entry, ruleCount, error: "" };
+    } catch (error) {
+      return { ...entry, ruleCount: 0, error: getErrorMessage(error) };
+    }
+  });
+
+  filterEngine = engine;
+  persistFilterLists();
+  sendFilterLists();
+}
+
+function getFilterListSnapshot() {
+  return {
+    directory: getFilterListsDir(),
+    totalRules: filterEngine.ruleCount,
+    lists: filterLists
+  };
+}
+
+async function importFilterListFromDialog() {
+  const win = getWindow();
+  if (!win) {
+    return { ok: false, error: "No active window." };
+  }
+
+  const result = await dialog.showOpenDialog(win, {
+    title: "Import Filter List",
+    properties: ["openFile", "dontAddToRecent"],
+    filters: [
+      { name: "Filter lists", extensions: ["txt"] },
+      { name: "All files", extensions: ["*"] }
+    ]
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return { ok: false, canceled: true };
+  }
+
+  const sourcePath = result.filePaths[0];
+  const baseName = path.basename(sourcePath, path.extname(sourcePath)).replace(/[^a-z0-9._-]+/gi, "_") || "list";
+  const id = createFilterListId(baseName);
+  const fileName = `${id}.txt`;
+
+  try {
+    fs.mkdirSync(getFilterListsDir(), { recursive: true });
+    fs.copyFileSync(sourcePath, path.join(getFilterListsDir(), fileName));
+  } catch (error) {
+    return { ok: false, error: getErrorMessage(error) };
+  }
+
+  filterLists.push(sanitizeFilterListEntry({
+    id,
+    name: path.basename(sourcePath),
+    fileName,
+    enabled: true,
+    addedAt: Date.now()
+  }));
+  rebuildFilterEngine();
+
+  const entry = filterLists.find((item) => item.id === id);
+  if (entry && entry.error) {
+    return { ok: false, error: entry.error };
+  }
+  return { ok: true, list: entry };
+}
+
+function setFilterListEnabled(id, enabled) {
+  const entry = filterLists.find((item) => item.id === id);
+  if (!entry) {
+    return { ok: false, error: "Unknown filter list." };
+  }
+
+  entry.enabled = Boolean(enabled);
+  rebuildFilterEngine();
+  return { ok: true, lists: getFilterListSnapshot() };
+}
+
+function removeFilterList(id) {
+  const entry = filterLists.find((item) => item.id === id);
+  if (!entry) {
+    return { ok: false, error: "Unknown filter list." };
+  }
+
+  if (entry.builtIn) {
+    return { ok: false, error: "The built-in tracker list can be disabled but not removed." };
+  }
+
+  try {
+    fs.rmSync(path.join(getFilterListsDir(), entry.fileName), { force: true });
+  } catch (_) {
+    // The list is dropped from the registry even if the file is locked.
+  }
+
+  filterLists = filterLists.filter((item) => item.id !== id);
+  rebuildFilterEngine();
+  return { ok: true, lists: getFilterListSnapshot() };
+}
+
+function reloadFilterListsFromDisk() {
+  discoverFilterListFiles();
+  rebuildFilterEngine();
+  return { ok: true, lists: getFilterListSnapshot() };
+}
+
+function matchTrackerRequest(details, config) {
+  if (!config.blockTrackers) {
+    return null;
+  }
+
+  const resourceType = String(details.resourceType || "");
+  if (!TRACKER_RESOURCE_TYPES.has(resourceType)) {
+    return null;
+  }
+
+  const host = getHostnameFromUrl(details.url);
+  if (!host) {
+    return null;
+  }
+
+  const initiator = typeof details.initiator === "string" ? details.initiator : "";
+  const result = filterEngine.match({
+    url: details.url,
+    hostname: host,
+    resourceType,
+    sourceHostname: getHostnameFromUrl(initiator),
+    isThirdParty: initiator ? isThirdPartyRequest(details.url, initiator) : true
+  });
+
+  return result && result.blocked ? result : null;
+}
+
+function shouldUpgradeToHttps(rawUrl) {
+  const parsed = toUrlObject(rawUrl);
+  if (!parsed || parsed.protocol !== "http:") {
+    return false;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  if (!host || LOOPBACK_HOSTS.has(host) || host.endsWith(".localhost")) {
+    return false;
+  }
+
+  if (isIpAddress(host)) {
     return false;
   }
 
   return true;
 }
 
+function isHttpAllowedForRequest(details, config) {
+  if (config.httpsOnlyStrict) {
+    return false;
+  }
+
+  const host = normalizeHostname(getHostnameFromUrl(details.url));
+  if (!host) {
+    return false;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(httpsOnlyExceptions, host)) {
+    return true;
+  }
+
+  const allowances = httpsOnlyTabAllowances.get(Number(details.webContentsId || 0));
+  return Boolean(allowances && allowances.has(host));
+}
+
+function getHttpsFallback(webContentsId, failedUrl) {
+  const entry = httpsUpgradedNavigations.get(Number(webContentsId || 0));
+  if (!entry || entry.httpsUrl !== String(failedUrl || "")) {
+    return { upgraded: false };
+  }
+
+  return {
+    upgraded: true,
+    httpUrl: entry.httpUrl,
+    host: normalizeHostname(getHostnameFromUrl(entry.httpUrl)),
+    strict: Boolean(privacyConfig.httpsOnlyStrict)
+  };
+}
+
+function allowHttpForSite(rawUrl, options) {
+  const raw = options && typeof options === "object" ? options : {};
+  const host = normalizeHostname(getHostnameFromUrl(rawUrl));
+  if (!host) {
+    return { ok: false, error: "Invalid site." };
+  }
+
+  if (privacyConfig.httpsOnlyStrict) {
+    return { ok: false, error: "Strict HTTPS-only mode never falls back to HTTP." };
+  }
+
+  if (raw.once) {
+    const webContentsId = Number(raw.webContentsId || 0);
+    if (!webContentsId) {
+      return { ok: false, error: "Unknown tab." };
+    }
+    if (!httpsOnlyTabAllowances.has(webContentsId)) {
+      httpsOnlyTabAllowances.set(webContentsId, new Set());
+    }
+    httpsOnlyTabAllowances.get(webContentsId).add(host);
+    return { ok: true, host };
+  }
+
+  httpsOnlyExceptions[host] = Date.now();
+  persistHttpsOnlyExceptions();
+  sendHttpsOnlyExceptions();
+  return { ok: true, host };
+}
+
+// A "continue over HTTP once" grant covers the site it was given for. Leaving that site in the
+// main frame ends it, so coming back later goes through the HTTPS-only check again.
+function clearHttpsOnlyTabAllowancesForNavigation(webContentsId, rawUrl) {
+  const allowances = httpsOnlyTabAllowances.get(webContentsId);
+  if (!allowances) {
+    return;
+  }
+
+  const siteKey = getSiteKey(getHostnameFromUrl(rawUrl));
+  for (const host of allowances) {
+    if (!siteKey || getSiteKey(host) !== siteKey) {
+      allowances.delete(host);
+    }
+  }
+  if (allowances.size === 0) {
+    httpsOnlyTabAllowances.delete(webContentsId);
+  }
+}
+
+function removeHttpsOnlyException(rawHost) {
+  const host = normalizeHostname(rawHost);
+  if (!host || !Object.prototype.hasOwnProperty.call(httpsOnlyExceptions, host)) {
+    return { ok: false, error: "No HTTP exception for this site." };
+  }
+
+  delete httpsOnlyExceptions[host];
+  persistHttpsOnlyExceptions();
+  sendHttpsOnlyExceptions();
+  return { ok: true, hosts: httpsOnlyExceptions };
+}
+
 function findHeaderKey(headers, name) {
   const target = String(name || "").toLowerCase();
   for (const key of Object.keys(headers || {})) {
@@ -1174,25 +3176,147 @@ function getRequestFirstPartyContext(details, requestHeaders) {
   return referer;
 }
 
-function configurePrivacyNetworkLayer() {
-  if (privacyNetworkConfigured) {
-    return;
+function getPrivacyConfigForSite(siteKey) {
+  const override = siteKey ? sitePrivacyOverrides[siteKey] : null;
+  return override ? { ...privacyConfig, ...override } : privacyConfig;
+}
+
+function getWebContentsSiteKey(contents) {
+  if (!contents || contents.isDestroyed()) {
+    return "";
+  }
+  return getSiteKey(getHostnameFromUrl(contents.getURL()));
+}
+
+function getRequestSiteKey(details, requestHeaders = {}) {
+  if (details.resourceType === "mainFrame") {
+    return getSiteKey(getHostnameFromUrl(details.url));
+  }
+
+  const pageSiteKey = getWebContentsSiteKey(details.webContents);
+  if (pageSiteKey) {
+    return pageSiteKey;
   }
 
-  const ses = session.defaultSession;
+  return getSiteKey(getHostnameFromUrl(getRequestFirstPartyContext(details, requestHeaders)));
+}
+
+function getSitePrivacyState(rawUrl) {
+  const siteKey = getSiteKey(getHostnameFromUrl(rawUrl));
+  return {
+    siteKey,
+    overrides: siteKey ? { ...(sitePrivacyOverrides[siteKey] || {}) } : {},
+    effective: getPrivacyConfigForSite(siteKey),
+    global: privacyConfig
+  };
+}
+
+function patchSitePrivacyOverrides(rawUrl, patch) {
+  const siteKey = getSiteKey(getHostnameFromUrl(rawUrl));
+  if (!siteKey) {
+    return { ok: false, error: "Site privacy settings only apply to web pages." };
+  }
+
+  const raw = patch && typeof patch === "object" ? patch : {};
+  const next = { ...(sitePrivacyOverrides[siteKey] || {}) };
+  // A choice is kept as made, even when it matches the global setting, so a later change to
+  // the global setting does not silently change this site. Only the reset action removes it.
+  for (const key of SITE_PRIVACY_KEYS) {
+    if (typeof raw[key] === "boolean") {
+      next[key] = raw[key];
+    }
+  }
+
+  if (Object.keys(next).length > 0) {
+    sitePrivacyOverrides[siteKey] = next;
+  }
+
+  persistSitePrivacyOverrides();
+  sendSitePrivacyOverrides();
+  return { ok: true, ...getSitePrivacyState(rawUrl) };
+}
+
+function resetSitePrivacyOverrides(siteKey) {
+  const key = String(siteKey || "").trim().toLowerCase();
+  delete sitePrivacyOverrides[key];
+  persistSitePrivacyOverrides();
+  sendSitePrivacyOverrides();
+  return { ok: true, sites: sitePrivacyOverrides };
+}
+
+function getPrivacyLogEntries(filter) {
+  const raw = filter && typeof filter === "object" ? filter : {};
+  const webContentsId = Number(raw.webContentsId || 0);
+  const siteKey = sanitizeString(raw.siteKey, "").trim().toLowerCase();
+  const limit = Math.max(1, Math.min(MAX_PRIVACY_LOG_ENTRIES, Number(raw.limit || MAX_PRIVACY_LOG_ENTRIES)));
+
+  return privacyLog
+    .toArray()
+    .filter((entry) => !webContentsId || entry.webContentsId === webContentsId)
+    .filter((entry) => !siteKey || entry.siteKey === siteKey)
+    .reverse()
+    .slice(0, limit);
+}
+
+function getTabPrivacyActivitySnapshot(webContentsId) {
+  const activity = tabPrivacyActivity.get(Number(webContentsId || 0));
+  if (!activity) {
+    return createEmptyTabPrivacyActivity("");
+  }
+
+  return {
+    ...activity,
+    blockedHosts: Object.entries(activity.blockedHosts)
+      .map(([host, count]) => ({ host, count }))
+      .sort((left, right) => right.count - left.count)
+  };
+}
 
+function configurePrivacyNetworkLayer(ses) {
   ses.webRequest.onBeforeRequest((details, callback) => {
     try {
-      if (shouldBlockTrackerRequest(details)) {
-        incrementPrivacyStat("blockedRequests");
+      const siteKey = getRequestSiteKey(details);
+      const config = getPrivacyConfigForSite(siteKey);
+      const context = {
+        webContentsId: details.webContentsId,
+        url: details.url,
+        resourceType: details.resourceType,
+        siteKey
+      };
+
+      if (details.resourceType === "mainFrame") {
+        // The counts were reset when the navigation started; a redirect may have changed site.
+        const activity = getTabPrivacyActivity(details.webContentsId, siteKey);
+        if (activity) {
+          activity.siteKey = siteKey;
+        }
+        const upgraded = httpsUpgradedNavigations.get(Number(details.webContentsId || 0));
+        if (upgraded && upgraded.httpsUrl !== details.url) {
+          httpsUpgradedNavigations.delete(Number(details.webContentsId || 0));
+        }
+      }
+
+      const blockMatch = matchTrackerRequest(details, config);
+      if (blockMatch) {
+        incrementPrivacyStat("blockedRequests", { ...context, rule: blockMatch.rule, listId: blockMatch.listId });
         callback({ cancel: true });
         return;
       }
 
-      if (privacyConfig.upgradeHttps && shouldUpgradeToHttps(details.url)) {
+      if (
+        config.upgradeHttps &&
+        shouldUpgradeToHttps(details.url) &&
+        !isHttpAllowedForRequest(details, config)
+      ) {
         const redirectURL = String(details.url).replace(/^http:\/\//i, "https://");
         if (redirectURL !== details.url) {
-          incrementPrivacyStat("upgradedToHttps");
+          if (details.resourceType === "mainFrame") {
+            httpsUpgradedNavigations.set(Number(details.webContentsId || 0), {
+              httpUrl: details.url,
+              httpsUrl: redirectURL
+            });
+          }
+          incrementPrivacyStat("upgradedToHttps", { ...context, rule: "Upgrade HTTP to HTTPS" });
           callback({ redirectURL });
           return;
         }
@@ -1207,66 +3331,272 @@ function configurePrivacyNetworkLayer() {
   ses.webRequest.onBeforeSendHeaders((details, callback) => {
     const requestHeaders = { ...(details.requestHeaders || {}) };
     const firstPartyContext = getRequestFirstPartyContext(details, requestHeaders);
+    const siteKey = getRequestSiteKey(details, requestHeaders);
+    const config = getPrivacyConfigForSite(siteKey);
+    const context = {
+      webContentsId: details.webContentsId,
+      url: details.url,
+      resourceType: details.resourceType,
+      siteKey
+    };
 
-    if (privacyConfig.sendDoNotTrack) {
+    if (config.sendDoNotTrack) {
       setHeader(requestHeaders, "DNT", "1");
     } else {
       removeHeader(requestHeaders, "DNT");
     }
 
-    if (privacyConfig.sendGlobalPrivacyControl) {
+    if (config.sendGlobalPrivacyControl) {
       setHeader(requestHeaders, "Sec-GPC", "1");
     } else {
       removeHeader(requestHeaders, "Sec-GPC");
     }
 
     if (
-      privacyConfig.blockThirdPartyCookies &&
+      config.blockThirdPartyCookies &&
       hasHeader(requestHeaders, "Cookie") &&
       isThirdPartyRequest(details.url, firstPartyContext)
     ) {
       removeHeader(requestHeaders, "Cookie");
-      incrementPrivacyStat("strippedCookieHeaders");
+      incrementPrivacyStat("strippedCookieHeaders", { ...context, rule: "Strip third-party Cookie header" });
     }
 
     if (
-      privacyConfig.stripThirdPartyReferer &&
+      config.stripThirdPartyReferer &&
       hasHeader(requestHeaders, "Referer") &&
       isThirdPartyRequest(details.url, firstPartyContext)
     ) {
       removeHeader(requestHeaders, "Referer");
-      incrementPrivacyStat("strippedRefererHeaders");
+      incrementPrivacyStat("strippedRefererHeaders", { ...context, rule: "Strip third-party Referer header" });
     }
 
     callback({ requestHeaders });
   });
+}
+
+function getPermissionOrigin(rawUrl) {
+  const parsed = toUrlObject(rawUrl);
+  if (!parsed || (parsed.protocol !== "https:" && parsed.protocol !== "http:")) {
+    return "";
+  }
+  return parsed.origin.toLowerCase();
+}
+
+function getStoredPermissionDecision(origin, permission, isPrivate = false) {
+  const privateDecisions = isPrivate && origin ? privatePermissionDecisions[origin] : null;
+  if (privateDecisions && PERMISSION_DECISIONS.has(privateDecisions[permission])) {
+    return privateDecisions[permission];
+  }
+  const decisions = origin ? permissionDecisions[origin] : null;
+  return decisions && PERMISSION_DECISIONS.has(decisions[permission]) ? decisions[permission] : "";
+}
+
+function setStoredPermissionDecision(origin, permission, decision) {
+  const next = { ...(permissionDecisions[origin] || {}) };
+  if (PERMISSION_DECISIONS.has(decision)) {
+    next[permission] = decision;
+  } else {
+    delete next[permission];
+  }
+
+  if (Object.keys(next).length > 0) {
+    permissionDecisions[origin] = next;
+  } else {
+    delete permissionDecisions[origin];
+  }
+  persistPermissionDecisions();
+  sendPermissionDecisions();
+}
+
+function revokePermissionDecision(rawOrigin, permission) {
+  const origin = getPermissionOrigin(rawOrigin);
+  if (!origin || !permissionDecisions[origin]) {
+    return { ok: false, error: "No saved permissions for this site." };
+  }
+
+  if (permission) {
+    setStoredPermissionDecision(origin, String(permission), "");
+  } else {
+    delete permissionDecisions[origin];
+    persistPermissionDecisions();
+    sendPermissionDecisions();
+  }
+  return { ok: true, origins: permissionDecisions };
+}
+
+function hasOneTimePermissionGrant(webContentsId, origin, permission) {
+  const grants = oneTimePermissionGrants.get(Number(webContentsId || 0));
+  return Boolean(grants && grants.has(`${origin} ${permission}`));
+}
+
+function addOneTimePermissionGrant(webContentsId, origin, permission) {
+  const id = Number(webContentsId || 0);
+  if (!id) {
+    return;
+  }
+  if (!oneTimePermissionGrants.has(id)) {
+    oneTimePermissionGrants.set(id, new Set());
+  }
+  oneTimePermissionGrants.get(id).add(`${origin} ${permission}`);
+}
+
+function getEmbedderWebContents(contents) {
+  const host = contents && !contents.isDestroyed() ? contents.hostWebContents : null;
+  if (host && !host.isDestroyed()) {
+    return host;
+  }
+  const win = getWindow();
+  return win ? win.webContents : null;
+}
+
+function sendPermissionPrompt(prompt) {
+  if (!prompt.embedder || prompt.embedder.isDestroyed()) {
+    return false;
+  }
+  prompt.embedder.send("permissions:prompt", {
+    id: prompt.id,
+    webContentsId: prompt.webContentsId,
+    origin: prompt.origin,
+    permission: prompt.permission,
+    mediaTypes: prompt.mediaTypes
+  });
+  return true;
+}
+
+function settlePermissionPrompt(prompt, allowed) {
+  pendingPermissionPrompts.delete(prompt.id);
+  for (const callback of prompt.callbacks) {
+    callback(allowed);
+  }
+
+  if (prompt.embedder && !prompt.embedder.isDestroyed()) {
+    prompt.embedder.send("permissions:prompt-closed", { id: prompt.id });
+  }
+}
+
+function requestPermissionPrompt(contents, origin, permission, details, isPrivate, callback) {
+  const webContentsId = contents ? contents.id : 0;
+  const existing = [...pendingPermissionPrompts.values()].find(
+    (item) => item.webContentsId === webContentsId && item.origin === origin && item.permission === permission
+  );
+  if (existing) {
+    existing.callbacks.push(callback);
+    return;
+  }
+
+  const prompt = {
+    id: `permission-${++permissionPromptSequence}`,
+    webContentsId,
+    origin,
+    permission,
+    isPrivate,
+    mediaTypes: details && Array.isArray(details.mediaTypes) ? details.mediaTypes.map(String) : [],
+    embedder: getEmbedderWebContents(contents),
+    callbacks: [callback]
+  };
+  pendingPermissionPrompts.set(prompt.id, prompt);
+
+  if (!sendPermissionPrompt(prompt)) {
+    settlePermissionPrompt(prompt, false);
+  }
+}
+
+function respondToPermissionPrompt(id, decision) {
+  const prompt = pendingPermissionPrompts.get(String(id || ""));
+  if (!prompt) {
+    return { ok: false, error: "Permission request is no longer pending." };
+  }
+
+  const value = String(decision || "");
+  if ((value === "allow" || value === "block") && prompt.isPrivate) {
+    privatePermissionDecisions[prompt.origin] = {
+      ...(privatePermissionDecisions[prompt.origin] || {}),
+      [prompt.permission]: value
+    };
+  } else if (value === "allow" || value === "block") {
+    setStoredPermissionDecision(prompt.origin, prompt.permission, value);
+  } else if (value === "allow-once") {
+    addOneTimePermissionGrant(prompt.webContentsId, prompt.origin, prompt.permission);
+  }
 
-  privacyNetworkConfigured = true;
+  settlePermissionPrompt(prompt, value === "allow" || value === "allow-once");
+  return { ok: true };
+}
+
+function cancelPermissionPromptsForContents(webContentsId) {
+  for (const prompt of [...pendingPermissionPrompts.values()]) {
+    if (prompt.webContentsId === webContentsId) {
+      settlePermissionPrompt(prompt, false);
+    }
+  }
+  oneTimePermissionGrants.delete(webContentsId);
 }
 
-function configurePermissions() {
-  session.defaultSession.setPermissionRequestHandler((_webContents, permission, callback) => {
+function configurePermissions(ses, options = {}) {
+  const isPrivate = Boolean(options.isPrivate);
+
+  ses.setPermissionRequestHandler((contents, permission, callback, details) => {
     const requested = String(permission || "");
+    const requestingUrl = details && details.requestingUrl ? details.requestingUrl : "";
+    const siteKey = getWebContentsSiteKey(contents) || getSiteKey(getHostnameFromUrl(requestingUrl));
+    const config = getPrivacyConfigForSite(siteKey);
+    const origin = getPermissionOrigin(requestingUrl);
+    const context = {
+      webContentsId: contents ? contents.id : 0,
+      url: requestingUrl,
+      resourceType: `permission:${requested}`,
+      siteKey
+    };
 
-    if (privacyConfig.blockFingerprintingPermissions && FINGERPRINTING_PERMISSIONS.has(requested)) {
-      incrementPrivacyStat("blockedPermissions");
+    if (config.blockFingerprintingPermissions && FINGERPRINTING_PERMISSIONS.has(requested)) {
+      incrementPrivacyStat("blockedPermissions", { ...context, rule: "Block fingerprinting permission" });
       callback(false);
       return;
     }
 
-    const allowed = ALLOWED_PERMISSIONS.has(requested);
-    if (!allowed) {
-      incrementPrivacyStat("blockedPermissions");
+    if (AUTO_GRANTED_PERMISSIONS.has(requested)) {
+      callback(true);
+      return;
     }
-    callback(allowed);
+
+    if (!origin || !PROMPTABLE_PERMISSIONS.has(requested)) {
+      incrementPrivacyStat("blockedPermissions", { ...context, rule: "Permission not supported" });
+      callback(false);
+      return;
+    }
+
+    const stored = getStoredPermissionDecision(origin, requested, isPrivate);
+    if (stored === "block") {
+      incrementPrivacyStat("blockedPermissions", { ...context, rule: "Blocked for this site" });
+      callback(false);
+      return;
+    }
+
+    if (stored === "allow" || hasOneTimePermissionGrant(context.webContentsId, origin, requested)) {
+      callback(true);
+      return;
+    }
+
+    requestPermissionPrompt(contents, origin, requested, details, isPrivate, callback);
   });
 
-  session.defaultSession.setPermissionCheckHandler((_webContents, permission) => {
+  ses.setPermissionCheckHandler((contents, permission, requestingOrigin) => {
     const requested = String(permission || "");
-    if (privacyConfig.blockFingerprintingPermissions && FINGERPRINTING_PERMISSIONS.has(requested)) {
+    const siteKey = getWebContentsSiteKey(contents) || getSiteKey(getHostnameFromUrl(requestingOrigin));
+    const config = getPrivacyConfigForSite(siteKey);
+    if (config.blockFingerprintingPermissions && FINGERPRINTING_PERMISSIONS.has(requested)) {
       return false;
     }
-    return ALLOWED_PERMISSIONS.has(requested);
+
+    if (AUTO_GRANTED_PERMISSIONS.has(requested)) {
+      return true;
+    }
+
+    const origin = getPermissionOrigin(requestingOrigin);
+    return (
+      getStoredPermissionDecision(origin, requested, isPrivate) === "allow" ||
+      hasOneTimePermissionGrant(contents ? contents.id : 0, origin, requested)
+    );
   });
 }
 
@@ -1326,7 +3656,10 @@ function resolveGitHubTagsPageURL() {
 
 function resolveGitHubUpdateAssetName() {
   const fromEnv = sanitizeString(process.env.BASTION_GITHUB_UPDATE_ASSET_NAME, "").trim();
-  return fromEnv || GITHUB_UPDATE_ASSET_NAME;
+  if (fromEnv) {
+    return fromEnv;
+  }
+  return process.platform === "linux" ? GITHUB_LINUX_UPDATE_ASSET_NAME : GITHUB_UPDATE_ASSET_NAME;
 }
 
 function buildGitHubRequestHeaders() {
@@ -1353,31 +3686,69 @@ function normalizeVersionFromTag(tagValue) {
   return tag.replace(/^v/i, "");
 }
 
-function parseVersionParts(versionValue) {
-  const source = String(versionValue || "").trim();
-  if (!source) {
-    return [];
+// Parses "1.2.3", "1.2" or "1.2.3-beta.2+build.5". Returns null when there is no numeric core.
+function parseVersion(versionValue) {
+  const match = String(versionValue || "")
+    .trim()
+    .replace(/^v/i, "")
+    .match(/^(\d+(?:\.\d+)*)(?:-([0-9a-z.-]+))?(?:\+[0-9a-z.-]+)?$/i);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    core: match[1].split(".").map((part) => Number(part)),
+    prerelease: match[2] ? match[2].split(".").filter(Boolean) : []
+  };
+}
+
+function comparePrereleaseIdentifiers(left, right) {
+  // A release sorts above any prerelease of the same core version.
+  if (left.length === 0 || right.length === 0) {
+    return left.length === right.length ? 0 : left.length === 0 ? 1 : -1;
+  }
+
+  for (let index = 0; index < Math.max(left.length, right.length); index += 1) {
+    if (index >= left.length) {
+      return -1;
+    }
+    if (index >= right.length) {
+      return 1;
+    }
+
+    const leftNumeric = /^\d+$/.test(left[index]);
+    const rightNumeric = /^\d+$/.test(right[index]);
+    if (leftNumeric && rightNumeric) {
+      const diff = Number(left[index]) - Number(right[index]);
+      if (diff !== 0) {
+        return diff > 0 ? 1 : -1;
+      }
+      continue;
+    }
+    if (leftNumeric !== rightNumeric) {
+      return leftNumeric ? -1 : 1;
+    }
+    if (left[index] !== right[index]) {
+      return left[index] > right[index] ? 1 : -1;
+    }
   }
 
-  return source
-    .split(/[^0-9]+/)
-    .filter((part) => part.length > 0)
-    .map((part) => Number(part))
-    .filter((part) => Number.isFinite(part));
+  return 0;
 }
 
+// Semver ordering (https://semver.org/#spec-item-11). Unparseable versions compare as equal.
 function compareVersions(leftVersion, rightVersion) {
-  const left = parseVersionParts(leftVersion);
-  const right = parseVersionParts(rightVersion);
+  const left = parseVersion(leftVersion);
+  const right = parseVersion(rightVersion);
 
-  if (left.length === 0 || right.length === 0) {
+  if (!left || !right) {
     return 0;
   }
 
-  const maxLength = Math.max(left.length, right.length);
+  const maxLength = Math.max(left.core.length, right.core.length);
   for (let index = 0; index < maxLength; index += 1) {
-    const leftValue = left[index] || 0;
-    const rightValue = right[index] || 0;
+    const leftValue = left.core[index] || 0;
+    const rightValue = right.core[index] || 0;
     if (leftValue > rightValue) {
       return 1;
     }
@@ -1386,7 +3757,29 @@ function compareVersions(leftVersion, rightVersion) {
     }
   }
 
-  return 0;
+  return comparePrereleaseIdentifiers(left.prerelease, right.prerelease);
+}
+
+// Channel of a release: an explicit "[channel:beta]" label in the release name or notes wins,
+// then the version's prerelease identifier (beta/rc -> beta, anything else -> nightly).
+function getReleaseChannel(release) {
+  const labelText = `${(release && release.name) || ""}\n${(release && release.body) || ""}`;
+  const label = labelText.match(/\[channel:\s*([a-z]+)\s*\]/i);
+  if (label && Object.prototype.hasOwnProperty.call(UPDATE_CHANNELS, label[1].toLowerCase())) {
+    return label[1].toLowerCase();
+  }
+
+  const version = parseVersion(normalizeVersionFromTag(release && release.tag_name));
+  if (version && version.prerelease.length > 0) {
+    return BETA_PRERELEASE_PATTERN.test(version.prerelease[0]) ? "beta" : "nightly";
+  }
+
+  return release && release.prerelease ? "beta" : "stable";
+}
+
+function isReleaseInChannel(release, channel) {
+  const wanted = UPDATE_CHANNELS[channel] || UPDATE_CHANNELS.stable;
+  return UPDATE_CHANNELS[getReleaseChannel(release)].rank <= wanted.rank;
 }
 
 function sanitizeTagForPath(tagValue) {
@@ -1400,6 +3793,44 @@ function resolveGitHubUpdateTargetPath(tagValue) {
   return path.join(getGitHubUpdateDownloadDir(), safeTag, fileName);
 }
 
+function getUpdatePublicKeyPath() {
+  return path.join(__dirname, "lib", "update-public-key.pem");
+}
+
+// Verifies update-manifest.json in an extracted update.zip against the bundled public key.
+// Any problem throws, so nothing from the package runs unless every file checks out.
+function verifyExtractedUpdate(stageDir, extractedFiles, tag) {
+  const publicKeyPath = getUpdatePublicKeyPath();
+  if (!fs.existsSync(publicKeyPath)) {
+    throw new Error("No update signing key is bundled with this build.");
+  }
+
+  const { manifest, files } = verifyUpdatePackage(stageDir, extractedFiles, fs.readFileSync(publicKeyPath, "utf8"));
+
+  // Both versions must parse and match exactly; otherwise an old signed package attached to a
+  // release with an odd tag (e.g. "latest") would install as a downgrade.
+  const manifestVersion = normalizeVersionFromTag(manifest.version);
+  if (!parseVersion(manifestVersion)) {
+    throw new Error(`Signed manifest has an invalid version (${String(manifest.version || "missing")}).`);
+  }
+
+  const expectedVersion = normalizeVersionFromTag(tag);
+  if (!parseVersion(expectedVersion)) {
+    throw new Error(`Release tag "${tag || "(none)"}" is not a version, so the update cannot be matched to it.`);
+  }
+  if (manifestVersion !== expectedVersion) {
+    throw new Error(`Signed manifest is for version ${manifestVersion}, not ${expectedVersion}.`);
+  }
+
+  // Manifests written before Linux packaging existed carry no platform and are Windows packages.
+  const platform = sanitizeString(manifest.platform, "win32");
+  if (platform !== process.platform) {
+    throw new Error(`Signed update is for ${platform}, not ${process.platform}.`);
+  }
+
+  return { manifest, files };
+}
+
 function resolveGitHubUpdateStagingDir(tagValue) {
   const safeTag = sanitizeTagForPath(tagValue);
   return path.join(getGitHubUpdateDownloadDir(), "staged", safeTag);
@@ -1417,7 +3848,7 @@ function ensureFetchAvailable() {
   }
 }
 
-async function fetchLatestGitHubRelease() {
+async function fetchGitHubReleases() {
   ensureFetchAvailable();
   const apiURL = resolveGitHubReleasesApiURL();
   const response = await fetch(apiURL, {
@@ -1431,13 +3862,24 @@ async function fetchLatestGitHubRelease() {
   }
 
   const payload = await response.json();
-  const releases = Array.isArray(payload) ? payload : [];
-  const nonDraftReleases = releases.filter((release) => release && !release.draft);
-  const preferred = nonDraftReleases.filter((release) =>
-    updateConfig.allowPrerelease ? true : !release.prerelease
+  return Array.isArray(payload) ? payload : [];
+}
+
+async function fetchLatestGitHubRelease() {
+  const releases = await fetchGitHubReleases();
+  const channelReleases = releases.filter(
+    (release) => release && !release.draft && isReleaseInChannel(release, updateConfig.channel)
   );
-  const selectionPool = preferred.length > 0 ? preferred : nonDraftReleases;
-  const sorted = selectionPool.sort((left, right) => {
+  // Highest version first; publish time only breaks ties between equal or unparseable versions.
+  const sorted = channelReleases.sort((left, right) => {
+    const versionDiff = compareVersions(
+      normalizeVersionFromTag(right.tag_name),
+      normalizeVersionFromTag(left.tag_name)
+    );
+    if (versionDiff !== 0) {
+      return versionDiff;
+    }
+
     const leftTime = Date.parse(
       String((left && (left.published_at || left.created_at || left.createdAt)) || "")
     ) || 0;
@@ -1450,39 +3892,209 @@ async function fetchLatestGitHubRelease() {
   return sorted[0] || null;
 }
 
-async function downloadGitHubAssetToPath(assetURL, targetPath) {
-  ensureFetchAvailable();
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function formatMegabytes(bytes) {
+  return `${(Number(bytes || 0) / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function isRetryableDownloadError(error) {
+  const statusCode = Number(error && error.statusCode);
+  if (!statusCode) {
+    // Network resets, DNS failures and truncated bodies carry no HTTP status.
+    return true;
+  }
+  return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// Parses "bytes 100-199/500" (or "bytes */500" on a 416) into its numbers.
+function parseContentRange(value) {
+  const match = /^bytes\s+(?:(\d+)-(\d+)|\*)\/(\d+|\*)$/i.exec(String(value || "").trim());
+  if (!match) {
+    return null;
+  }
+  return {
+    start: match[1] === undefined ? null : Number(match[1]),
+    total: match[3] === "*" ? 0 : Number(match[3])
+  };
+}
+
+// Pass-through stream that counts bytes for progress reports and, when maxBytesPerSecond
+// is set, holds each chunk back until the average rate drops under the cap.
+function createDownloadMeter({ startBytes, maxBytesPerSecond, onBytes }) {
+  const startedAt = Date.now();
+  let receivedBytes = startBytes;
+  let meteredBytes = 0;
+
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      receivedBytes += chunk.length;
+      meteredBytes += chunk.length;
+      onBytes(receivedBytes);
+
+      if (!maxBytesPerSecond) {
+        callback(null, chunk);
+        return;
+      }
+
+      const earliestFinish = startedAt + (meteredBytes / maxBytesPerSecond) * 1000;
+      const waitMs = earliestFinish - Date.now();
+      if (waitMs > 0) {
+        setTimeout(() => callback(null, chunk), waitMs);
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+}
+
+// The validator of a partial download sits next to it, so a resume can send If-Range and the
+// server answers with the whole file (200) instead of mixing bytes from two versions.
+function getPartialDownloadValidatorPath(tempPath) {
+  return `${tempPath}.validator.json`;
+}
+
+// If-Range only accepts a strong ETag; Last-Modified is the fallback.
+function getResponseValidator(response) {
+  const eTag = String(response.headers.get("etag") || "").trim();
+  if (eTag && !/^W\//i.test(eTag)) {
+    return eTag;
+  }
+  return String(response.headers.get("last-modified") || "").trim();
+}
+
+function discardPartialDownload(tempPath) {
+  fs.rmSync(tempPath, { force: true });
+  fs.rmSync(getPartialDownloadValidatorPath(tempPath), { force: true });
+}
+
+// One HTTP attempt. Appends to an existing partial file with a Range request when the
+// server answers 206; a plain 200 means the server ignored the range, so start over.
+async function fetchGitHubAssetAttempt(assetURL, tempPath, options) {
+  const validatorPath = getPartialDownloadValidatorPath(tempPath);
+  const validator = sanitizeString(readJsonFile(validatorPath, {}).validator).trim();
+  if (!validator && fs.existsSync(tempPath)) {
+    // Without a validator there is no way to tell whether the remote file changed.
+    discardPartialDownload(tempPath);
+  }
+
+  const existingBytes = fs.existsSync(tempPath) ? fs.statSync(tempPath).size : 0;
+  const headers = { ...(options.headers || buildGitHubRequestHeaders()) };
+  if (existingBytes > 0) {
+    headers.Range = `bytes=${existingBytes}-`;
+    headers["If-Range"] = validator;
+  }
+
   const response = await fetch(assetURL, {
     method: "GET",
-    headers: buildGitHubRequestHeaders(),
+    headers,
     redirect: "follow"
   });
 
+  if (response.status === 416 && existingBytes > 0) {
+    const range = parseContentRange(response.headers.get("content-range"));
+    if (range && range.total === existingBytes) {
+      options.onProgress({ receivedBytes: existingBytes, totalBytes: existingBytes });
+      return;
+    }
+    // The partial file does not match the remote asset any more; drop it and retry.
+    discardPartialDownload(tempPath);
+    const error = new Error("Partial update download no longer matches the remote file.");
+    error.statusCode = 503;
+    throw error;
+  }
+
   if (!response.ok) {
-    throw new Error(`GitHub asset download failed (${response.status}).`);
+    const error = new Error(`GitHub asset download failed (${response.status}).`);
+    error.statusCode = response.status;
+    throw error;
   }
 
   if (!response.body) {
     throw new Error("GitHub asset download returned an empty response body.");
   }
 
+  const resuming = existingBytes > 0 && response.status === 206;
+  const range = resuming ? parseContentRange(response.headers.get("content-range")) : null;
+  if (resuming && (!range || range.start !== existingBytes)) {
+    discardPartialDownload(tempPath);
+    throw new Error("GitHub asset download resumed at an unexpected offset.");
+  }
+
+  // Anything but a 206 is the whole file (If-Range failed or ranges are unsupported), so the
+  // download starts over from zero under the validator of this response.
+  if (!resuming) {
+    const nextValidator = getResponseValidator(response);
+    if (nextValidator) {
+      writeJsonFile(validatorPath, { validator: nextValidator });
+    } else {
+      fs.rmSync(validatorPath, { force: true });
+    }
+  }
+
+  const startBytes = resuming ? existingBytes : 0;
+  const contentLength = Number(response.headers.get("content-length") || 0);
+  const totalBytes = range && range.total ? range.total : contentLength ? startBytes + contentLength : 0;
+  let lastReportAt = 0;
+
+  const meter = createDownloadMeter({
+    startBytes,
+    maxBytesPerSecond: options.maxBytesPerSecond,
+    onBytes(receivedBytes) {
+      const now = Date.now();
+      if (now - lastReportAt >= UPDATE_DOWNLOAD_PROGRESS_INTERVAL_MS) {
+        lastReportAt = now;
+        options.onProgress({ receivedBytes, totalBytes });
+      }
+    }
+  });
+
+  await pipeline(
+    Readable.fromWeb(response.body),
+    meter,
+    fs.createWriteStream(tempPath, { flags: resuming ? "a" : "w" })
+  );
+
+  const finalBytes = fs.statSync(tempPath).size;
+  if (totalBytes && finalBytes !== totalBytes) {
+    throw new Error(`GitHub asset download ended early (${finalBytes} of ${totalBytes} bytes).`);
+  }
+  options.onProgress({ receivedBytes: finalBytes, totalBytes: totalBytes || finalBytes });
+}
+
+// Downloads into `${targetPath}.download` and renames on success. The partial file is kept
+// when every attempt fails, so the next check resumes instead of starting from zero.
+async function downloadGitHubAssetToPath(assetURL, targetPath, options = {}) {
+  ensureFetchAvailable();
+  const opts = {
+    onProgress: typeof options.onProgress === "function" ? options.onProgress : () => {},
+    onRetry: typeof options.onRetry === "function" ? options.onRetry : () => {},
+    // Non-GitHub hosts get their own headers so the GitHub token is never sent to them.
+    headers: options.headers && typeof options.headers === "object" ? options.headers : null,
+    maxBytesPerSecond: Math.max(0, Number(options.maxBytesPerSecond) || 0)
+  };
+
   fs.mkdirSync(path.dirname(targetPath), { recursive: true });
 
   const tempPath = `${targetPath}.download`;
-  try {
-    await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(tempPath));
-    fs.renameSync(tempPath, targetPath);
-  } catch (error) {
-    if (fs.existsSync(tempPath)) {
-      try {
-        fs.unlinkSync(tempPath);
-      } catch (_) {
-        // Best-effort cleanup.
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      await fetchGitHubAssetAttempt(assetURL, tempPath, opts);
+      break;
+    } catch (error) {
+      if (attempt >= UPDATE_DOWNLOAD_MAX_ATTEMPTS || !isRetryableDownloadError(error)) {
+        throw error;
       }
+      const waitMs = UPDATE_DOWNLOAD_RETRY_BASE_MS * 2 ** (attempt - 1);
+      opts.onRetry({ attempt, nextAttemptInMs: waitMs, error });
+      await delay(waitMs);
     }
-    throw error;
   }
 
+  fs.renameSync(tempPath, targetPath);
+  fs.rmSync(getPartialDownloadValidatorPath(tempPath), { force: true });
   const stats = fs.statSync(targetPath);
   return {
     filePath: targetPath,
@@ -1490,30 +4102,41 @@ async function downloadGitHubAssetToPath(assetURL, targetPath) {
   };
 }
 
-function resolveUblockReleasesApiURL() {
-  const fromEnv = sanitizeString(process.env.BASTION_UBLOCK_RELEASES_API_URL, "").trim();
-  return fromEnv || UBLOCK_RELEASES_API_URL;
+function findManifestRootDir(rootDir) {
+  const manifestFiles = collectFilesRecursive(rootDir).filter(
+    (filePath) => path.basename(filePath).toLowerCase() === "manifest.json"
+  );
+
+  if (manifestFiles.length === 0) {
+    return "";
+  }
+
+  manifestFiles.sort((left, right) => left.length - right.length);
+  return path.dirname(manifestFiles[0]);
 }
 
-function resolveUblockReleasesPageURL() {
-  const fromEnv = sanitizeString(process.env.BASTION_UBLOCK_RELEASES_PAGE_URL, "").trim();
-  return fromEnv || UBLOCK_RELEASES_PAGE_URL;
+function getManagedExtensionRelease(entry) {
+  return {
+    apiURL: entry.releasesApiURL || `https://api.github.com/repos/${entry.github}/releases`,
+    pageURL: entry.releasesPageURL || `https://github.com/${entry.github}/releases`
+  };
 }
 
-function resolveUblockPackagePath(tagValue, assetName) {
+function resolveManagedPackagePath(entry, tagValue, assetName) {
   const safeTag = sanitizeTagForPath(tagValue);
-  const safeAssetName = sanitizeString(assetName, "ublock-origin.zip").trim() || "ublock-origin.zip";
-  return path.join(getUblockPackagesDir(), safeTag, safeAssetName);
+  const fallbackName = `${entry.id}.zip`;
+  const safeAssetName = path.basename(sanitizeString(assetName, fallbackName).trim() || fallbackName);
+  return path.join(getManagedExtensionPackagesDir(entry.id), safeTag, safeAssetName);
 }
 
-function resolveUblockStagingDir(tagValue) {
+function resolveManagedStagingDir(entry, tagValue) {
   const safeTag = sanitizeTagForPath(tagValue);
-  return path.join(getUblockPackagesDir(), "staged", safeTag);
+  return path.join(getManagedExtensionPackagesDir(entry.id), "staged", safeTag);
 }
 
-function resolveUblockInstallPath(tagValue) {
+function resolveManagedInstallPath(entry, tagValue) {
   const safeTag = sanitizeTagForPath(tagValue);
-  return path.join(getUblockInstallRootDir(), safeTag);
+  return path.join(getManagedExtensionInstallRootDir(entry.id), safeTag);
 }
 
 function hasValidExtensionManifest(extensionPath) {
@@ -1521,19 +4144,38 @@ function hasValidExtensionManifest(extensionPath) {
   return Boolean(normalized) && fs.existsSync(path.join(normalized, "manifest.json"));
 }
 
-function updateUblockMetadata(patch) {
+function getManagedExtensionMetadata(id) {
+  return managedExtensionMetadata.get(id) || sanitizeManagedExtensionMetadata(null);
+}
+
+function updateManagedExtensionMetadata(id, patch) {
   const rawPatch = patch && typeof patch === "object" ? patch : {};
-  ublockOriginMetadata = sanitizeUblockOriginMetadata({
-    ...ublockOriginMetadata,
+  const next = sanitizeManagedExtensionMetadata({
+    ...getManagedExtensionMetadata(id),
     ...rawPatch
   });
-  persistUblockOriginMetadata();
-  return ublockOriginMetadata;
+  managedExtensionMetadata.set(id, next);
+  persistManagedExtensionMetadata(id);
+  return next;
+}
+
+function getManagedExtensionSourceLabel(entry) {
+  return `Managed (${entry.name})`;
+}
+
+function getManagedExtensionKey(entry) {
+  return `managed:${entry.id}`;
+}
+
+// The extensions row of the update mini window shows one line per managed extension.
+function setManagedExtensionStatus(entry, message) {
+  managedExtensionStatus.set(entry.id, `${entry.name}: ${message}`);
+  setUpdateMiniSection("extensions", [...managedExtensionStatus.values()].join("\n"));
 }
 
-async function fetchLatestUblockRelease() {
+async function fetchLatestManagedRelease(entry) {
   ensureFetchAvailable();
-  const apiURL = resolveUblockReleasesApiURL();
+  const { apiURL } = getManagedExtensionRelease(entry);
   const response = await fetch(apiURL, {
     method: "GET",
     headers: buildGitHubRequestHeaders(),
@@ -1541,14 +4183,14 @@ async function fetchLatestUblockRelease() {
   });
 
   if (!response.ok) {
-    throw new Error(`uBlock releases request failed (${response.status}).`);
+    throw new Error(`${entry.name} releases request failed (${response.status}).`);
   }
 
   const payload = await response.json();
   const releases = Array.isArray(payload) ? payload : [];
   const nonDraftReleases = releases
     .filter((release) => release && !release.draft)
-    .filter((release) => !release.prerelease);
+    .filter((release) => entry.includePrerelease || !release.prerelease);
 
   const sorted = nonDraftReleases.sort((left, right) => {
     const leftTime = Date.parse(
@@ -1563,93 +4205,150 @@ async function fetchLatestUblockRelease() {
   return sorted[0] || null;
 }
 
-function findUblockReleaseAsset(release) {
+// Tries each asset pattern in order, then falls back to the first ZIP or CRX asset.
+function findManagedReleaseAsset(entry, release) {
   const assets = Array.isArray(release && release.assets) ? release.assets : [];
   if (assets.length === 0) {
     return null;
   }
 
-  const normalizedHints = UBLOCK_ASSET_HINTS.map((item) => item.toLowerCase());
-  const exact = assets.find((asset) => {
-    const name = String((asset && asset.name) || "").toLowerCase();
-    return normalizedHints.includes(name);
-  });
-  if (exact) {
-    return exact;
+  for (const pattern of entry.assetPatterns) {
+    const regex = new RegExp(pattern, "i");
+    const match = assets.find((asset) => regex.test(String((asset && asset.name) || "")));
+    if (match) {
+      return match;
+    }
   }
 
-  const hinted = assets.find((asset) => {
-    const name = String((asset && asset.name) || "").toLowerCase();
-    return normalizedHints.some((hint) => name.includes(hint));
-  });
-  if (hinted) {
-    return hinted;
+  return assets.find((asset) => /\.(zip|crx)$/i.test(String((asset && asset.name) || ""))) || null;
+}
+
+// Works out what the latest package is and whether it is already installed.
+// GitHub entries compare release tags; URL entries compare the ETag / Last-Modified header.
+async function resolveManagedExtensionCandidate(entry, metadata) {
+  const installed = hasValidExtensionManifest(metadata.extensionPath);
+
+  if (entry.github) {
+    const { pageURL } = getManagedExtensionRelease(entry);
+    const release = await fetchLatestManagedRelease(entry);
+    if (!release || !release.tag_name) {
+      throw new Error("No release tags were found.");
+    }
+
+    const tag = String(release.tag_name || "").trim();
+    const releasePage = sanitizeString(release.html_url, pageURL) || pageURL;
+    const asset = findManagedReleaseAsset(entry, release);
+    if (!asset || !asset.browser_download_url) {
+      throw new Error(`Latest tag ${tag} has no matching extension package.`);
+    }
+
+    return {
+      tag,
+      label: tag,
+      releasePage,
+      downloadURL: asset.browser_download_url,
+      assetName: sanitizeString(asset.name, "").trim(),
+      fingerprint: "",
+      resumable: true,
+      upToDate: installed && metadata.lastTag === tag
+    };
   }
 
-  const chromiumZip = assets.find((asset) => {
-    const name = String((asset && asset.name) || "");
-    return /chromium[^/]*\.zip$/i.test(name);
+  ensureFetchAvailable();
+  const response = await fetch(entry.url, {
+    method: "HEAD",
+    headers: { "User-Agent": `BastionBrowser/${app.getVersion()}` },
+    redirect: "follow"
   });
-  if (chromiumZip) {
-    return chromiumZip;
+  if (!response.ok) {
+    throw new Error(`Package request failed (${response.status}).`);
   }
 
-  return assets.find((asset) => String((asset && asset.name) || "").toLowerCase().endsWith(".zip")) || null;
+  const fingerprint = sanitizeString(
+    response.headers.get("etag") || response.headers.get("last-modified"),
+    ""
+  ).trim();
+  const assetName = decodeURIComponent(path.posix.basename(new URL(response.url || entry.url).pathname));
+  return {
+    // URL packages carry no tag; the install is named after manifest.json's version.
+    tag: "",
+    label: metadata.version || "package",
+    releasePage: entry.url,
+    downloadURL: entry.url,
+    assetName,
+    fingerprint,
+    // Without a tag the package path is reused, so a stale partial download must not be resumed.
+    resumable: false,
+    upToDate: installed && Boolean(fingerprint) && metadata.fingerprint === fingerprint
+  };
 }
 
-function findManifestRootDir(rootDir) {
-  const manifestFiles = collectFilesRecursive(rootDir).filter(
-    (filePath) => path.basename(filePath).toLowerCase() === "manifest.json"
-  );
-
-  if (manifestFiles.length === 0) {
+function readExtensionManifestVersion(extensionPath) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(extensionPath, "manifest.json"), "utf8"));
+    return sanitizeString(manifest && manifest.version, "").trim();
+  } catch (_) {
     return "";
   }
-
-  manifestFiles.sort((left, right) => left.length - right.length);
-  return path.dirname(manifestFiles[0]);
 }
 
-async function installManagedUblockFromZip({ tag, zipPath, releasePage }) {
-  if (process.platform !== "win32") {
-    return {
-      ok: false,
-      error: "uBlock Origin ZIP install is currently implemented for Windows."
-    };
-  }
-
-  const stageDir = resolveUblockStagingDir(tag || "latest");
-  const installRoot = getUblockInstallRootDir();
-  const installPath = resolveUblockInstallPath(tag || "latest");
+// Staged install: extract and validate outside the install root, copy into a fresh
+// versioned folder, then prune older folders except the one that is still loaded.
+async function installManagedExtensionPackage(entry, { tag, packagePath, releasePage, fingerprint }) {
+  const metadata = getManagedExtensionMetadata(entry.id);
+  const stageDir = resolveManagedStagingDir(entry, tag || "package");
 
   try {
     fs.rmSync(stageDir, { recursive: true, force: true });
     fs.mkdirSync(stageDir, { recursive: true });
 
-    await expandArchiveOnWindows(zipPath, stageDir);
+    const crx = isCrxFile(packagePath) ? await verifyCrxFile(packagePath) : null;
+    await extractZip(packagePath, stageDir);
     const manifestRoot = findManifestRootDir(stageDir);
     if (!manifestRoot) {
-      throw new Error("No manifest.json found in the downloaded uBlock Origin package.");
+      throw new Error(`No manifest.json found in the downloaded ${entry.name} package.`);
+    }
+    if (crx) {
+      applyCrxKeyToManifest(manifestRoot, crx.publicKey);
+    }
+
+    const version = readExtensionManifestVersion(manifestRoot);
+    if (!tag && version && version === metadata.version && hasValidExtensionManifest(metadata.extensionPath)) {
+      updateManagedExtensionMetadata(entry.id, { checkedAt: Date.now(), fingerprint, releasePage });
+      return { ok: true, unchanged: true, version, extensionPath: metadata.extensionPath };
     }
 
-    fs.rmSync(installRoot, { recursive: true, force: true });
+    const installRoot = getManagedExtensionInstallRootDir(entry.id);
+    const installPath = resolveManagedInstallPath(entry, tag || version || "latest");
     fs.mkdirSync(installRoot, { recursive: true });
+    fs.rmSync(installPath, { recursive: true, force: true });
     fs.cpSync(manifestRoot, installPath, { recursive: true, force: true });
 
     if (!hasValidExtensionManifest(installPath)) {
-      throw new Error("uBlock Origin package install failed (manifest.json missing after copy).");
+      throw new Error(`${entry.name} package install failed (manifest.json missing after copy).`);
+    }
+
+    const keep = new Set([path.resolve(installPath), path.resolve(metadata.extensionPath || installPath)]);
+    for (const item of fs.readdirSync(installRoot, { withFileTypes: true })) {
+      const itemPath = path.resolve(installRoot, item.name);
+      if (!keep.has(itemPath)) {
+        fs.rmSync(itemPath, { recursive: true, force: true });
+      }
     }
 
-    updateUblockMetadata({
-      lastTag: String(tag || "").trim(),
+    updateManagedExtensionMetadata(entry.id, {
+      lastTag: String(tag || version || "").trim(),
+      version,
       extensionPath: installPath,
+      fingerprint,
       checkedAt: Date.now(),
       updatedAt: Date.now(),
-      releasePage: sanitizeString(releasePage, resolveUblockReleasesPageURL()) || resolveUblockReleasesPageURL()
+      releasePage
     });
 
     return {
       ok: true,
+      version,
       extensionPath: installPath
     };
   } catch (error) {
@@ -1663,128 +4362,114 @@ async function installManagedUblockFromZip({ tag, zipPath, releasePage }) {
   }
 }
 
-async function checkAndUpdateUblockOrigin(options = {}) {
+async function checkAndUpdateManagedExtension(entry, options = {}) {
   const opts = {
     forceDownload: false,
     ...options
   };
 
-  const releasesPage = resolveUblockReleasesPageURL();
-  setUpdateMiniSection("extensions", "Checking uBlock Origin updates...");
+  const metadata = getManagedExtensionMetadata(entry.id);
+  setManagedExtensionStatus(entry, "Checking for updates...");
 
-  let release = null;
+  let candidate;
   try {
-    release = await fetchLatestUblockRelease();
+    candidate = await resolveManagedExtensionCandidate(entry, metadata);
   } catch (error) {
     const message = getErrorMessage(error);
-    updateUblockMetadata({
-      checkedAt: Date.now(),
-      releasePage: releasesPage
-    });
-    setUpdateMiniSection("extensions", `uBlock Origin check failed: ${message}`);
-    return { ok: false, error: message };
-  }
-
-  if (!release || !release.tag_name) {
-    const message = "No uBlock Origin release tags were found.";
-    updateUblockMetadata({
-      checkedAt: Date.now(),
-      releasePage: releasesPage
-    });
-    setUpdateMiniSection("extensions", message);
-    return { ok: false, error: message };
-  }
-
-  const tag = String(release.tag_name || "").trim();
-  const releasePage = sanitizeString(release.html_url, releasesPage) || releasesPage;
-  const asset = findUblockReleaseAsset(release);
-
-  if (!asset || !asset.browser_download_url) {
-    const message = `Latest uBlock tag ${tag} has no Chromium ZIP asset.`;
-    updateUblockMetadata({
-      checkedAt: Date.now(),
-      releasePage
-    });
-    setUpdateMiniSection("extensions", message);
+    updateManagedExtensionMetadata(entry.id, { checkedAt: Date.now() });
+    setManagedExtensionStatus(entry, `Update check failed: ${message}`);
     return { ok: false, error: message };
   }
 
-  const installedPath = sanitizeString(ublockOriginMetadata && ublockOriginMetadata.extensionPath, "").trim();
-  const alreadyInstalled = ublockOriginMetadata.lastTag === tag && hasValidExtensionManifest(installedPath);
-  if (alreadyInstalled && !opts.forceDownload) {
-    updateUblockMetadata({
+  if (candidate.upToDate && !opts.forceDownload) {
+    updateManagedExtensionMetadata(entry.id, {
       checkedAt: Date.now(),
-      releasePage
+      releasePage: candidate.releasePage
     });
-    setUpdateMiniSection("extensions", `uBlock Origin ${tag} is already up to date.`);
+    setManagedExtensionStatus(entry, `${candidate.label} is already up to date.`);
     return {
       ok: true,
       upToDate: true,
-      tag,
-      extensionPath: installedPath,
-      releasePage
+      tag: candidate.tag,
+      extensionPath: metadata.extensionPath,
+      releasePage: candidate.releasePage
     };
   }
 
-  const assetName = sanitizeString(asset.name, "ublock-origin.zip").trim() || "ublock-origin.zip";
-  const packagePath = resolveUblockPackagePath(tag, assetName);
+  const packagePath = resolveManagedPackagePath(entry, candidate.tag || "package", candidate.assetName);
   let sizeBytes = 0;
 
-  if (!opts.forceDownload && fs.existsSync(packagePath)) {
+  if (candidate.resumable && !opts.forceDownload && fs.existsSync(packagePath)) {
     sizeBytes = Number(fs.statSync(packagePath).size || 0);
-    setUpdateMiniSection("extensions", `Using cached uBlock Origin package for ${tag}...`);
+    setManagedExtensionStatus(entry, `Using cached package for ${candidate.label}...`);
   } else {
-    setUpdateMiniSection("extensions", `Downloading uBlock Origin ${tag}...`);
+    setManagedExtensionStatus(entry, `Downloading ${candidate.tag || "latest package"}...`);
     try {
-      const downloadResult = await downloadGitHubAssetToPath(asset.browser_download_url, packagePath);
+      if (!candidate.resumable) {
+        fs.rmSync(packagePath, { force: true });
+        fs.rmSync(`${packagePath}.download`, { force: true });
+      }
+      const downloadResult = await downloadGitHubAssetToPath(candidate.downloadURL, packagePath, {
+        headers: entry.github ? null : { "User-Agent": `BastionBrowser/${app.getVersion()}` }
+      });
       sizeBytes = Number(downloadResult.sizeBytes || 0);
     } catch (error) {
       const message = getErrorMessage(error);
-      updateUblockMetadata({
+      updateManagedExtensionMetadata(entry.id, {
         checkedAt: Date.now(),
-        releasePage
+        releasePage: candidate.releasePage
       });
-      setUpdateMiniSection("extensions", `uBlock Origin download failed: ${message}`);
+      setManagedExtensionStatus(entry, `Download failed: ${message}`);
       return { ok: false, error: message };
     }
   }
 
-  setUpdateMiniSection("extensions", `Installing uBlock Origin ${tag}...`);
-  const installResult = await installManagedUblockFromZip({
-    tag,
-    zipPath: packagePath,
-    releasePage
+  setManagedExtensionStatus(entry, `Installing ${candidate.tag || "package"}...`);
+  const installResult = await installManagedExtensionPackage(entry, {
+    tag: candidate.tag,
+    packagePath,
+    releasePage: candidate.releasePage,
+    fingerprint: candidate.fingerprint
   });
 
   if (!installResult.ok) {
-    const message = installResult.error || "uBlock Origin install failed.";
-    updateUblockMetadata({
+    const message = installResult.error || `${entry.name} install failed.`;
+    updateManagedExtensionMetadata(entry.id, {
       checkedAt: Date.now(),
-      releasePage
+      releasePage: candidate.releasePage
     });
-    setUpdateMiniSection("extensions", message);
+    setManagedExtensionStatus(entry, message);
     return { ok: false, error: message };
   }
 
-  setUpdateMiniSection("extensions", `uBlock Origin ${tag} installed.`);
+  const installedLabel = candidate.tag || installResult.version || "package";
+  if (installResult.unchanged) {
+    setManagedExtensionStatus(entry, `${installedLabel} is already up to date.`);
+  } else {
+    setManagedExtensionStatus(entry, `${installedLabel} installed.`);
+  }
+
   return {
     ok: true,
-    updated: true,
-    tag,
+    updated: !installResult.unchanged,
+    tag: installedLabel,
     extensionPath: installResult.extensionPath,
     filePath: packagePath,
     sizeBytes,
-    releasePage
+    releasePage: candidate.releasePage
   };
 }
 
-async function reloadManagedUblockExtension() {
-  const extensionPath = sanitizeString(ublockOriginMetadata && ublockOriginMetadata.extensionPath, "").trim();
+// Swaps the loaded copy of a managed extension for its current install folder.
+async function reloadManagedExtension(entry) {
+  const metadata = getManagedExtensionMetadata(entry.id);
+  const extensionPath = sanitizeString(metadata.extensionPath, "").trim();
   if (!hasValidExtensionManifest(extensionPath)) {
-    return { ok: false, error: "Managed uBlock Origin extension path is invalid." };
+    return { ok: false, error: `Managed ${entry.name} extension path is invalid.` };
   }
 
-  const managedRoot = path.resolve(getUblockInstallRootDir());
+  const sourceLabel = getManagedExtensionSourceLabel(entry);
+  const managedRoot = path.resolve(getManagedExtensionInstallRootDir(entry.id));
   const managedLoaded = loadedExtensions.filter((item) => {
     const itemPath = sanitizeString(item && item.path, "").trim();
     if (!itemPath) {
@@ -1795,45 +4480,136 @@ async function reloadManagedUblockExtension() {
     return (
       resolved === path.resolve(extensionPath) ||
       resolved.startsWith(`${managedRoot}${path.sep}`) ||
-      String(item.source || "").startsWith("Managed (uBlock Origin)")
+      String(item.source || "") === sourceLabel
     );
   });
 
   for (const extension of managedLoaded) {
-    try {
-      session.defaultSession.removeExtension(extension.id);
-    } catch (_) {
-      // Best-effort unload.
-    }
+    unloadExtensionFromSessions(extension.id);
   }
   if (managedLoaded.length > 0) {
     const managedIds = new Set(managedLoaded.map((item) => item.id));
     loadedExtensions = loadedExtensions.filter((item) => !managedIds.has(item.id));
   }
 
-  const loadResult = await loadExtension(extensionPath, "Managed (uBlock Origin)");
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send("extensions:updated", loadedExtensions);
-  }
+  const loadResult = recordExtensionLoadResult(
+    getManagedExtensionKey(entry),
+    await loadExtension(extensionPath, sourceLabel)
+  );
+  broadcastToWindows("extensions:updated", loadedExtensions);
   return loadResult;
 }
 
-function escapePowerShellLiteral(value) {
-  return String(value || "").replaceAll("'", "''");
+async function updateAndReloadManagedExtension(entry) {
+  const result = await checkAndUpdateManagedExtension(entry);
+  if (!result || !result.ok || !result.extensionPath) {
+    return result;
+  }
+
+  const alreadyLoaded = Boolean(getExtensionByPath(result.extensionPath));
+  if ((!result.updated && alreadyLoaded) || disabledExtensionKeys.has(getManagedExtensionKey(entry))) {
+    return result;
+  }
+
+  const loadResult = await reloadManagedExtension(entry);
+  if (!loadResult || !loadResult.ok) {
+    const errorMessage = (loadResult && loadResult.error) || `Unable to load managed ${entry.name} extension.`;
+    setManagedExtensionStatus(entry, errorMessage);
+    return { ok: false, error: errorMessage };
+  }
+  return result;
+}
+
+// Chromium takes the extension ID from manifest.json's "key", so writing the CRX key there
+// keeps the ID the same as in the store when the package is loaded unpacked.
+function applyCrxKeyToManifest(extensionDir, publicKey) {
+  const manifestPath = path.join(extensionDir, "manifest.json");
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  if (!manifest.key) {
+    manifest.key = publicKey;
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), "utf8");
+  }
+  return manifest;
 }
 
-async function expandArchiveOnWindows(zipPath, destinationPath) {
-  const command = [
-    "$ErrorActionPreference='Stop';",
-    `Expand-Archive -LiteralPath '${escapePowerShellLiteral(zipPath)}'`,
-    `-DestinationPath '${escapePowerShellLiteral(destinationPath)}' -Force`
-  ].join(" ");
+async function confirmCrxInstall(manifest, extensionId) {
+  const permissions = [
+    ...(Array.isArray(manifest.permissions) ? manifest.permissions : []),
+    ...(Array.isArray(manifest.host_permissions) ? manifest.host_permissions : [])
+  ].map((item) => String(item));
+  const name = sanitizeString(manifest.name, extensionId);
+  const options = {
+    type: "question",
+    title: "Install Extension",
+    message: `Install ${name} ${sanitizeString(manifest.version, "")}?`.trim(),
+    detail: `Extension ID: ${extensionId}\nPermissions: ${permissions.join(", ") || "none"}`,
+    buttons: ["Install", "Cancel"],
+    defaultId: 1,
+    cancelId: 1
+  };
 
-  await execFileAsync(
-    "powershell.exe",
-    ["-NoProfile", "-NonInteractive", "-ExecutionPolicy", "Bypass", "-Command", command],
-    { windowsHide: true }
-  );
+  const win = getWindow();
+  const { response } = win ? await dialog.showMessageBox(win, options) : await dialog.showMessageBox(options);
+  return response === 0;
+}
+
+// Verifies a .crx file, extracts it to crx-extensions/<extension id> and registers it like a
+// user-loaded folder. Installing the same ID again replaces the earlier version.
+async function installCrxPackage(filePath, options = {}) {
+  const crxPath = path.resolve(sanitizeString(filePath, ""));
+  if (!/\.crx$/i.test(crxPath) || !fs.existsSync(crxPath)) {
+    return { ok: false, error: "Select a .crx extension package." };
+  }
+
+  let verified;
+  try {
+    verified = await verifyCrxFile(crxPath);
+  } catch (error) {
+    return { ok: false, error: `CRX verification failed: ${getErrorMessage(error)}` };
+  }
+
+  const installRoot = getCrxInstallRootDir();
+  const stageDir = path.join(installRoot, ".staging", verified.extensionId);
+  const installPath = path.join(installRoot, verified.extensionId);
+
+  try {
+    fs.rmSync(stageDir, { recursive: true, force: true });
+    fs.mkdirSync(stageDir, { recursive: true });
+    await extractZip(crxPath, stageDir);
+    if (!hasValidExtensionManifest(stageDir)) {
+      throw new Error("The CRX package has no manifest.json at its root.");
+    }
+
+    const manifest = applyCrxKeyToManifest(stageDir, verified.publicKey);
+    if (options.confirm && !(await confirmCrxInstall(manifest, verified.extensionId))) {
+      return { ok: false, canceled: true };
+    }
+
+    const previous = loadedExtensions.filter(
+      (item) => item.id === verified.extensionId || path.resolve(item.path) === installPath
+    );
+    for (const extension of previous) {
+      unloadExtensionFromSessions(extension.id);
+    }
+    loadedExtensions = loadedExtensions.filter((item) => !previous.includes(item));
+
+    fs.rmSync(installPath, { recursive: true, force: true });
+    fs.renameSync(stageDir, installPath);
+  } catch (error) {
+    return { ok: false, error: getErrorMessage(error) };
+  } finally {
+    fs.rmSync(stageDir, { recursive: true, force: true });
+  }
+
+  if (disabledExtensionKeys.delete(installPath)) {
+    persistExtensionState();
+  }
+  const loadResult = recordExtensionLoadResult(installPath, await loadExtension(installPath, "User"));
+  if (loadResult.ok) {
+    saveUserExtensionPath(installPath);
+  }
+  broadcastToWindows("extensions:updated", loadedExtensions);
+  return loadResult;
 }
 
 function collectFilesRecursive(rootDir) {
@@ -1918,6 +4694,73 @@ function pickUpdateLauncherFromExtractedFiles(files) {
   return candidates[0];
 }
 
+function resolveLinuxInstallTarget() {
+  const appImagePath = sanitizeString(process.env.APPIMAGE, "").trim();
+  if (appImagePath && fs.existsSync(appImagePath)) {
+    return { kind: "appimage", path: appImagePath };
+  }
+
+  if (app.isPackaged) {
+    return { kind: "directory", path: path.dirname(process.execPath) };
+  }
+
+  return null;
+}
+
+// Moves incomingPath over targetPath. The running process keeps its open files, and the
+// outgoing build was already copied to userData by retainBuild, so the old copy is dropped.
+function swapInstallPath(targetPath, incomingPath) {
+  const outgoingPath = `${targetPath}.old`;
+  fs.rmSync(outgoingPath, { recursive: true, force: true });
+  fs.renameSync(targetPath, outgoingPath);
+
+  try {
+    fs.renameSync(incomingPath, targetPath);
+  } catch (error) {
+    fs.renameSync(outgoingPath, targetPath);
+    throw error;
+  }
+
+  fs.rmSync(outgoingPath, { recursive: true, force: true });
+}
+
+// Copies an AppImage or unpacked app folder over the running install and returns what to relaunch.
+async function installLinuxBuild(sourcePath, target) {
+  // Copy next to the target first so the final rename never crosses filesystems.
+  const incomingPath = `${target.path}.new`;
+  await fs.promises.rm(incomingPath, { recursive: true, force: true });
+
+  if (target.kind === "appimage") {
+    await fs.promises.copyFile(sourcePath, incomingPath);
+    await fs.promises.chmod(incomingPath, 0o755);
+  } else {
+    await fs.promises.cp(sourcePath, incomingPath, { recursive: true });
+  }
+
+  swapInstallPath(target.path, incomingPath);
+  return target.kind === "appimage" ? target.path : path.join(target.path, path.basename(process.execPath));
+}
+
+async function installLinuxUpdate(stageDir, manifest, target) {
+  const layout = manifest.layout && typeof manifest.layout === "object" ? manifest.layout : {};
+  const entry = target.kind === "appimage" ? layout.appImage : layout.directory;
+  const sourcePath = entry ? path.join(stageDir, String(entry)) : "";
+  if (!sourcePath || !fs.existsSync(sourcePath)) {
+    throw new Error(
+      target.kind === "appimage"
+        ? "The signed update does not include an AppImage."
+        : "The signed update does not include an unpacked app folder."
+    );
+  }
+
+  try {
+    await retainBuild({ version: app.getVersion(), kind: target.kind, sourcePath: target.path });
+  } catch (error) {
+    throw new Error(`Could not keep Bastion ${app.getVersion()} for rollback: ${getErrorMessage(error)}`);
+  }
+  return installLinuxBuild(sourcePath, target);
+}
+
 function launchDetachedFile(filePath) {
   const ext = path.extname(filePath).toLowerCase();
   let command = filePath;
@@ -1949,8 +4792,13 @@ async function applyGitHubReleaseZipUpdate(options = {}) {
   const zipPath = String(opts.zipPath || "").trim();
   const releasePage = String(opts.releasePage || "").trim();
 
-  if (process.platform !== "win32") {
-    return { ok: false, error: "Automatic ZIP apply is currently implemented for Windows only." };
+  if (process.platform !== "win32" && process.platform !== "linux") {
+    return { ok: false, error: "Automatic ZIP apply is implemented for Windows and Linux only." };
+  }
+
+  const linuxTarget = process.platform === "linux" ? resolveLinuxInstallTarget() : null;
+  if (process.platform === "linux" && !linuxTarget) {
+    return { ok: false, error: "Automatic ZIP apply on Linux needs a packaged AppImage or unpacked build." };
   }
 
   if (!zipPath || !fs.existsSync(zipPath)) {
@@ -1987,28 +4835,58 @@ async function applyGitHubReleaseZipUpdate(options = {}) {
   }
 
   try {
-    await expandArchiveOnWindows(zipPath, stageDir);
+    await extractZip(zipPath, stageDir);
     const extractedFiles = collectFilesRecursive(stageDir);
-    const launcherPath = pickUpdateLauncherFromExtractedFiles(extractedFiles);
 
-    if (!launcherPath) {
-      throw new Error("No launcher executable (.exe/.cmd/.bat) found in update.zip.");
+    let verified;
+    try {
+      verified = verifyExtractedUpdate(stageDir, extractedFiles, tag);
+    } catch (error) {
+      fs.rmSync(stageDir, { recursive: true, force: true });
+      error.verificationFailed = true;
+      throw error;
+    }
+
+    let launcherPath;
+    if (linuxTarget) {
+      launcherPath = await installLinuxUpdate(stageDir, verified.manifest, linuxTarget);
+      app.relaunch({ execPath: launcherPath, args: process.argv.slice(1) });
+    } else {
+      launcherPath = pickUpdateLauncherFromExtractedFiles(verified.files);
+      if (!launcherPath) {
+        throw new Error("No launcher executable (.exe/.cmd/.bat) found in update.zip.");
+      }
+      try {
+        await retainInstalledWindowsBuild();
+      } catch (error) {
+        // A rollback must not depend on keeping the build that is being rolled back.
+        if (!opts.rollback) {
+          throw new Error(`Could not keep Bastion ${app.getVersion()} for rollback: ${getErrorMessage(error)}`);
+        }
+      }
+      launchDetachedFile(launcherPath);
     }
 
-    launchDetachedFile(launcherPath);
+    const appliedVersion = sanitizeString(verified.manifest.version, "");
 
+    const pendingNotes = githubUpdateMetadata.pendingReleaseNotes;
     githubUpdateMetadata = {
       ...githubUpdateMetadata,
       lastAppliedTag: tag,
       appliedAt: Date.now(),
-      releasePage: releasePage || githubUpdateMetadata.releasePage
+      appliedReleaseNotes: pendingNotes && pendingNotes.tag === tag ? pendingNotes : null,
+      pendingReleaseNotes: null,
+      releasePage: releasePage || githubUpdateMetadata.releasePage,
+      skippedVersion: githubUpdateMetadata.skippedVersion === appliedVersion ? "" : githubUpdateMetadata.skippedVersion
     };
     persistGitHubUpdateMetadata();
 
     setUpdateStatus({
       source: "github-release-zip",
       status: "installing",
-      message: `Launching updater: ${path.basename(launcherPath)}`,
+      message: linuxTarget
+        ? `Installed update to ${linuxTarget.path}. Restarting...`
+        : `Launching updater: ${path.basename(launcherPath)}`,
       updateFilePath: zipPath,
       releasePage: releasePage || updateStatus.releasePage,
       error: null
@@ -2029,7 +4907,9 @@ async function applyGitHubReleaseZipUpdate(options = {}) {
     setUpdateStatus({
       source: "github-release-zip",
       status: "error",
-      message: "Failed to apply downloaded update.zip.",
+      message: error && error.verificationFailed
+        ? "Update verification failed. The downloaded update.zip was not applied."
+        : "Failed to apply downloaded update.zip.",
       updateFilePath: zipPath,
       releasePage: releasePage || updateStatus.releasePage,
       checkedAt: Date.now(),
@@ -2039,6 +4919,288 @@ async function applyGitHubReleaseZipUpdate(options = {}) {
   }
 }
 
+function getRetainedBuildPath(version, kind, sourcePath) {
+  const dir = path.join(getRetainedBuildsDir(), sanitizeTagForPath(version));
+  if (kind === "package") {
+    return path.join(dir, GITHUB_UPDATE_ASSET_NAME);
+  }
+  return path.join(dir, kind === "appimage" ? path.basename(sourcePath) : "app");
+}
+
+// Copies a build into userData so a later rollback can restore it. Windows keeps the update
+// package of the running version; Linux keeps the AppImage or unpacked folder it runs from.
+// The copy is asynchronous: an unpacked install is large enough to freeze every window.
+async function retainBuild({ version, kind, sourcePath }) {
+  const filePath = getRetainedBuildPath(version, kind, sourcePath);
+  if (path.resolve(filePath) !== path.resolve(sourcePath)) {
+    await fs.promises.rm(path.dirname(filePath), { recursive: true, force: true });
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.cp(sourcePath, filePath, { recursive: true });
+  }
+
+  const entries = [
+    { version, kind, filePath, retainedAt: Date.now() },
+    ...githubUpdateMetadata.retainedBuilds.filter((item) => item.version !== version)
+  ];
+
+  // Keep the newest builds, but never drop the last version that started cleanly.
+  const lastKnownGood = entries.find((item) => item.version === bootState.lastKnownGoodVersion);
+  const others = entries.filter((item) => item !== lastKnownGood);
+  const kept = (lastKnownGood ? [lastKnownGood, ...others.slice(0, MAX_RETAINED_BUILDS - 1)] : others.slice(0, MAX_RETAINED_BUILDS))
+    .sort((left, right) => right.retainedAt - left.retainedAt);
+
+  for (const item of entries) {
+    if (!kept.includes(item)) {
+      fs.rmSync(path.dirname(item.filePath), { recursive: true, force: true });
+    }
+  }
+
+  githubUpdateMetadata = {
+    ...githubUpdateMetadata,
+    retainedBuilds: kept
+  };
+  persistGitHubUpdateMetadata();
+}
+
+// Extracts a package into a scratch folder only to check its signature and version.
+async function verifyUpdatePackageFile(zipPath, tag) {
+  const stageDir = resolveGitHubUpdateStagingDir(`verify-${tag}`);
+  await fs.promises.rm(stageDir, { recursive: true, force: true });
+  await fs.promises.mkdir(stageDir, { recursive: true });
+  try {
+    await extractZip(zipPath, stageDir);
+    verifyExtractedUpdate(stageDir, collectFilesRecursive(stageDir), tag);
+  } finally {
+    await fs.promises.rm(stageDir, { recursive: true, force: true });
+  }
+}
+
+// Windows keeps update packages, so the build to keep before updating is the package the
+// running version came from. A version installed with the setup EXE has none on disk yet, so
+// its release package is downloaded; otherwise the first update could never be undone. Either
+// way the package is verified before it is kept, and any failure is thrown to the caller.
+async function retainInstalledWindowsBuild() {
+  const version = app.getVersion();
+  if (githubUpdateMetadata.retainedBuilds.some((item) => item.version === version && fs.existsSync(item.filePath))) {
+    return;
+  }
+
+  let sourcePath = [version, `v${version}`]
+    .map(resolveGitHubUpdateTargetPath)
+    .find((candidate) => fs.existsSync(candidate));
+
+  if (!sourcePath) {
+    const assetName = resolveGitHubUpdateAssetName();
+    const releases = await fetchGitHubReleases();
+    const release = releases.find(
+      (item) => item && !item.draft && normalizeVersionFromTag(item.tag_name) === version
+    );
+    const asset = release ? findReleaseAsset(release, assetName) : null;
+    if (!asset || !asset.browser_download_url) {
+      throw new Error(`No ${assetName} is published for ${version}.`);
+    }
+
+    setUpdateStatus({
+      source: "github-release-zip",
+      status: "installing",
+      message: `Downloading the ${version} package so this update can be rolled back...`,
+      error: null
+    });
+    sourcePath = resolveGitHubUpdateTargetPath(release.tag_name);
+    await downloadGitHubAssetToPath(asset.browser_download_url, sourcePath, {
+      maxBytesPerSecond: updateConfig.downloadLimitKbps * 1024
+    });
+  }
+
+  await verifyUpdatePackageFile(sourcePath, version);
+  await retainBuild({ version, kind: "package", sourcePath });
+}
+
+function getRollbackInfo() {
+  const currentVersion = app.getVersion();
+  return {
+    currentVersion,
+    lastKnownGoodVersion: bootState.lastKnownGoodVersion,
+    pendingBoots: bootState.pendingBoots,
+    skippedVersion: githubUpdateMetadata.skippedVersion,
+    builds: githubUpdateMetadata.retainedBuilds
+      .filter((item) => fs.existsSync(item.filePath))
+      .map((item) => ({
+        version: item.version,
+        kind: item.kind,
+        retainedAt: item.retainedAt,
+        isCurrent: item.version === currentVersion
+      }))
+  };
+}
+
+async function rollbackToRetainedBuild(versionValue) {
+  const version = sanitizeString(versionValue, "").trim();
+  const build = githubUpdateMetadata.retainedBuilds.find((item) => item.version === version);
+  if (!build || !fs.existsSync(build.filePath)) {
+    return { ok: false, error: `No retained build for version ${version || "(none)"}.` };
+  }
+
+  const currentVersion = app.getVersion();
+  if (version === currentVersion) {
+    return { ok: false, error: `Bastion ${version} is already running.` };
+  }
+
+  // Stop the startup updater from reinstalling the version we are leaving.
+  githubUpdateMetadata = {
+    ...githubUpdateMetadata,
+    skippedVersion: currentVersion
+  };
+  persistGitHubUpdateMetadata();
+
+  if (build.kind === "package") {
+    return applyGitHubReleaseZipUpdate({ manual: true, rollback: true, tag: version, zipPath: build.filePath });
+  }
+
+  const target = process.platform === "linux" ? resolveLinuxInstallTarget() : null;
+  if (!target || target.kind !== build.kind) {
+    return { ok: false, error: "The retained build does not match how Bastion is installed." };
+  }
+
+  try {
+    const launcherPath = await installLinuxBuild(build.filePath, target);
+    setUpdateStatus({
+      source: "github-release-zip",
+      status: "installing",
+      message: `Rolled back to ${version}. Restarting...`,
+      error: null
+    });
+    app.relaunch({ execPath: launcherPath, args: process.argv.slice(1) });
+    setTimeout(() => {
+      app.quit();
+    }, 420);
+    return { ok: true, version };
+  } catch (error) {
+    const message = getErrorMessage(error);
+    setUpdateStatus({
+      source: "github-release-zip",
+      status: "error",
+      message: `Failed to roll back to ${version}.`,
+      checkedAt: Date.now(),
+      error: message
+    });
+    return { ok: false, error: message };
+  }
+}
+
+// Written before any window opens: a launch stays "pending" until it is confirmed healthy.
+function recordBootAttempt() {
+  const version = app.getVersion();
+  if (bootState.version !== version) {
+    bootState = { ...bootState, version, pendingBoots: 0 };
+  }
+  bootState = { ...bootState, pendingBoots: bootState.pendingBoots + 1 };
+  persistBootState();
+}
+
+function confirmHealthyBoot() {
+  if (bootState.pendingBoots === 0 && bootState.lastKnownGoodVersion === app.getVersion()) {
+    return;
+  }
+
+  bootState = {
+    ...bootState,
+    pendingBoots: 0,
+    lastKnownGoodVersion: app.getVersion(),
+    confirmedAt: Date.now()
+  };
+  persistBootState();
+}
+
+function scheduleBootConfirmation() {
+  // Quitting normally also proves the build can start; crashes never reach will-quit.
+  app.once("will-quit", confirmHealthyBoot);
+  setTimeout(() => {
+    if (getBrowserWindows().length > 0) {
+      confirmHealthyBoot();
+    }
+  }, BOOT_CONFIRM_DELAY_MS);
+}
+
+// Returns true when a rollback was started and startup should stop here.
+async function handleRepeatedBootFailures() {
+  const failedBoots = bootState.pendingBoots - 1;
+  const targetVersion = bootState.lastKnownGoodVersion;
+  if (failedBoots < BOOT_FAILURE_THRESHOLD || !targetVersion || targetVersion === app.getVersion()) {
+    return false;
+  }
+
+  if (!githubUpdateMetadata.retainedBuilds.some((item) => item.version === targetVersion)) {
+    return false;
+  }
+
+  if (!updateConfig.autoRollback) {
+    const { response } = await dialog.showMessageBox({
+      type: "warning",
+      title: "Bastion Browser",
+      message: `Bastion ${app.getVersion()} failed to start ${failedBoots} times in a row.`,
+      detail: `Version ${targetVersion} is retained and last started cleanly.`,
+      buttons: [`Roll Back to ${targetVersion}`, "Keep This Version"],
+      defaultId: 0,
+      cancelId: 1
+    });
+
+    if (response !== 0) {
+      bootState = { ...bootState, pendingBoots: 1 };
+      persistBootState();
+      return false;
+    }
+  }
+
+  const result = await rollbackToRetainedBuild(targetVersion);
+  return Boolean(result && result.ok);
+}
+
+function setPendingReleaseNotes(notes) {
+  githubUpdateMetadata = {
+    ...githubUpdateMetadata,
+    pendingReleaseNotes: sanitizeReleaseNotes(notes)
+  };
+  persistGitHubUpdateMetadata();
+  pushUpdateMiniWindowState();
+}
+
+function withRenderedNotes(notes) {
+  return notes ? { ...notes, html: renderMarkdown(notes.body) } : null;
+}
+
+// Payload for about:whatsnew: notes for the version that was just applied, and for the
+// newer release waiting to be installed, if any.
+function getReleaseNotesSnapshot() {
+  return {
+    currentVersion: app.getVersion(),
+    applied: withRenderedNotes(githubUpdateMetadata.appliedReleaseNotes),
+    pending: withRenderedNotes(githubUpdateMetadata.pendingReleaseNotes)
+  };
+}
+
+function hasReleaseNotes() {
+  return Boolean(githubUpdateMetadata.appliedReleaseNotes || githubUpdateMetadata.pendingReleaseNotes);
+}
+
+// True once per applied update, and only when this launch is actually running that version.
+function takeWhatsNewPending() {
+  const tag = githubUpdateMetadata.lastAppliedTag;
+  if (!tag || tag === githubUpdateMetadata.whatsNewShownTag) {
+    return false;
+  }
+  if (normalizeVersionFromTag(tag) !== normalizeVersionFromTag(app.getVersion())) {
+    return false;
+  }
+
+  githubUpdateMetadata = {
+    ...githubUpdateMetadata,
+    whatsNewShownTag: tag
+  };
+  persistGitHubUpdateMetadata();
+  return true;
+}
+
 async function checkGitHubReleaseZipUpdate(options = {}) {
   const opts = {
     manual: false,
@@ -2053,7 +5215,7 @@ async function checkGitHubReleaseZipUpdate(options = {}) {
   setUpdateStatus({
     source: "github-release-zip",
     status: "checking",
-    message: `Checking GitHub release tags for ${assetName}...`,
+    message: `Checking ${(UPDATE_CHANNELS[updateConfig.channel] || UPDATE_CHANNELS.stable).label} channel releases for ${assetName}...`,
     availableVersion: null,
     downloadedVersion: null,
     updateFilePath: null,
@@ -2096,17 +5258,30 @@ async function checkGitHubReleaseZipUpdate(options = {}) {
   const releasePage = sanitizeString(release.html_url, "") || tagsPageURL;
   const asset = findReleaseAsset(release, assetName);
 
-  const latestParts = parseVersionParts(normalizedVersion);
-  const currentParts = parseVersionParts(normalizedCurrentVersion);
-  if (
-    latestParts.length > 0 &&
-    currentParts.length > 0 &&
-    compareVersions(normalizedVersion, normalizedCurrentVersion) <= 0
-  ) {
+  // A tag that is not a version can never be ordered against this build, so it is never "newer".
+  if (!parseVersion(normalizedVersion) || !parseVersion(normalizedCurrentVersion)) {
+    const message = `Latest release tag ${tag} is not a version number.`;
+    setUpdateStatus({
+      source: "github-release-zip",
+      status: "error",
+      message,
+      releasePage,
+      checkedAt: Date.now(),
+      error: message
+    });
+    return { ok: false, error: message };
+  }
+
+  const versionOrder = compareVersions(normalizedVersion, normalizedCurrentVersion);
+  if (versionOrder <= 0) {
+    // Switching to a slower channel never installs an older build; wait until the channel catches up.
+    const channelLabel = (UPDATE_CHANNELS[updateConfig.channel] || UPDATE_CHANNELS.stable).label;
     setUpdateStatus({
       source: "github-release-zip",
       status: "idle",
-      message: `You are already on version ${app.getVersion()}.`,
+      message: versionOrder < 0
+        ? `Version ${app.getVersion()} is newer than the latest ${channelLabel} release (${tag}). Staying on it until ${channelLabel} catches up.`
+        : `You are already on version ${app.getVersion()}.`,
       availableVersion: normalizedVersion || tag,
       downloadedVersion: normalizedVersion || tag,
       updateFilePath: githubUpdateMetadata.filePath || null,
@@ -2115,6 +5290,9 @@ async function checkGitHubReleaseZipUpdate(options = {}) {
       checkedAt: Date.now(),
       error: null
     });
+    if (githubUpdateMetadata.pendingReleaseNotes) {
+      setPendingReleaseNotes(null);
+    }
     return {
       ok: true,
       upToDate: true,
@@ -2123,6 +5301,14 @@ async function checkGitHubReleaseZipUpdate(options = {}) {
     };
   }
 
+  setPendingReleaseNotes({
+    tag,
+    name: release.name,
+    body: release.body,
+    publishedAt: Date.parse(String(release.published_at || release.created_at || "")) || 0,
+    releasePage
+  });
+
   if (!asset || !asset.browser_download_url) {
     const message = `Latest tag ${tag} has no ${assetName} asset.`;
     setUpdateStatus({
@@ -2206,7 +5392,34 @@ async function checkGitHubReleaseZipUpdate(options = {}) {
 
   try {
     const destinationPath = resolveGitHubUpdateTargetPath(tag);
-    const result = await downloadGitHubAssetToPath(asset.browser_download_url, destinationPath);
+    // Only whole-percent changes are pushed; every status update re-renders open settings pages.
+    let reportedPercent = -1;
+    const result = await downloadGitHubAssetToPath(asset.browser_download_url, destinationPath, {
+      maxBytesPerSecond: updateConfig.downloadLimitKbps * 1024,
+      onProgress({ receivedBytes, totalBytes }) {
+        const percent = totalBytes ? Math.min(100, Math.floor((receivedBytes / totalBytes) * 100)) : 0;
+        if (percent === reportedPercent && totalBytes) {
+          return;
+        }
+        reportedPercent = percent;
+        const sizeText = totalBytes
+          ? `${formatMegabytes(receivedBytes)} of ${formatMegabytes(totalBytes)}`
+          : formatMegabytes(receivedBytes);
+        setUpdateStatus({
+          status: "downloading",
+          message: `Downloading ${assetName} from ${tag}: ${percent}% (${sizeText})...`,
+          progressPercent: percent,
+          error: null
+        });
+      },
+      onRetry({ nextAttemptInMs, error }) {
+        setUpdateStatus({
+          status: "downloading",
+          message: `Download of ${assetName} interrupted. Resuming in ${Math.round(nextAttemptInMs / 1000)}s...`,
+          error: getErrorMessage(error)
+        });
+      }
+    });
 
     githubUpdateMetadata = {
       ...githubUpdateMetadata,
@@ -2245,7 +5458,7 @@ async function checkGitHubReleaseZipUpdate(options = {}) {
     setUpdateStatus({
       source: "github-release-zip",
       status: "error",
-      message: "Failed to download update.zip from GitHub.",
+      message: "Failed to download update.zip from GitHub. The next check resumes where it stopped.",
       availableVersion: normalizedVersion || tag,
       checkedAt: Date.now(),
       releasePage,
@@ -2370,7 +5583,9 @@ function applyUpdaterConfig() {
 
   autoUpdater.autoDownload = updateConfig.autoDownload;
   autoUpdater.autoInstallOnAppQuit = true;
-  autoUpdater.allowPrerelease = updateConfig.allowPrerelease;
+  const channel = UPDATE_CHANNELS[updateConfig.channel] || UPDATE_CHANNELS.stable;
+  autoUpdater.allowPrerelease = channel.rank > 0;
+  autoUpdater.channel = channel.electronChannel;
 
   const feedURL = resolveUpdateFeedURL();
   if (feedURL) {
@@ -2563,84 +5778,292 @@ function patchUpdateConfig(patch) {
     });
   }
 
-  return updateConfig;
-}
+  return updateConfig;
+}
+
+function patchDownloadConfig(patch) {
+  const raw = patch && typeof patch === "object" ? patch : {};
+  downloadConfig = sanitizeDownloadConfig({
+    ...downloadConfig,
+    ...raw
+  });
+  persistDownloadConfig();
+  sendDownloadConfig();
+  return downloadConfig;
+}
+
+async function chooseDownloadDirectoryFromDialog() {
+  const win = getWindow();
+  if (!win) {
+    return { ok: false, error: "No active window." };
+  }
+
+  const result = await dialog.showOpenDialog(win, {
+    title: "Choose Download Folder",
+    defaultPath: getDownloadDirectory(),
+    properties: ["openDirectory", "createDirectory", "dontAddToRecent"]
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return { ok: false, canceled: true };
+  }
+
+  return { ok: true, config: patchDownloadConfig({ directory: result.filePaths[0] }) };
+}
+
+function patchPrivacyConfig(patch) {
+  const raw = patch && typeof patch === "object" ? patch : {};
+  privacyConfig = sanitizePrivacyConfig({
+    ...privacyConfig,
+    ...raw
+  });
+  persistPrivacyConfig();
+  sendPrivacyConfig();
+  return privacyConfig;
+}
+
+async function clearDataByScope(scope) {
+  const value = String(scope || "all").toLowerCase();
+  const allowedScopes = new Set(["all", "cache", "cookies", "storage", "history", "downloads"]);
+
+  if (!allowedScopes.has(value)) {
+    return { ok: false, error: "Unknown clear-data scope." };
+  }
+
+  const tasks = [];
+
+  for (const ses of getBrowsingSessions()) {
+    if (value === "all" || value === "cache") {
+      tasks.push(ses.clearCache());
+    }
+
+    if (value === "all" || value === "cookies") {
+      tasks.push(ses.clearStorageData({ storages: ["cookies"] }));
+      tasks.push(ses.clearAuthCache());
+    }
+
+    if (value === "all" || value === "storage") {
+      tasks.push(
+        ses.clearStorageData({
+          storages: [
+            "appcache",
+            "cachestorage",
+            "filesystem",
+            "indexdb",
+            "localstorage",
+            "serviceworkers",
+            "shadercache",
+            "websql"
+          ]
+        })
+      );
+    }
+  }
+
+  await Promise.allSettled(tasks);
+
+  if (value === "all" || value === "history") {
+    clearHistory();
+  }
+
+  if (value === "all" || value === "downloads") {
+    // Downloads that are still running keep their entries so they stay controllable.
+    for (const item of downloadItems) {
+      if (!liveDownloads.has(item.id)) {
+        removeDownloadQuarantine(item);
+      }
+    }
+    downloadItems = downloadItems.filter((item) => liveDownloads.has(item.id));
+    persistDownloads();
+    sendDownloadUpdates();
+  }
+
+  return { ok: true, scope: value };
+}
+
+function createEmptySiteDataEntry(siteKey) {
+  return {
+    siteKey,
+    origins: [],
+    cookies: 0,
+    cookieBytes: 0,
+    localStorage: false,
+    indexedDBBytes: 0,
+    cacheStorageBytes: 0,
+    keepOnExit: siteDataAllowlist.includes(siteKey)
+  };
+}
+
+async function collectSessionSiteData(ses) {
+  const sites = new Map();
+  const getEntry = (siteKey) => {
+    if (!sites.has(siteKey)) {
+      sites.set(siteKey, createEmptySiteDataEntry(siteKey));
+    }
+    return sites.get(siteKey);
+  };
+  const addOrigin = (entry, origin) => {
+    if (!entry.origins.includes(origin)) {
+      entry.origins.push(origin);
+    }
+  };
+
+  let cookies = [];
+  try {
+    cookies = await ses.cookies.get({});
+  } catch (_) {
+    cookies = [];
+  }
+
+  for (const cookie of cookies) {
+    const host = normalizeHostname(String(cookie.domain || "").replace(/^\./, ""));
+    const siteKey = getSiteKey(host);
+    if (!siteKey) {
+      continue;
+    }
+    const entry = getEntry(siteKey);
+    entry.cookies += 1;
+    entry.cookieBytes += String(cookie.name || "").length + String(cookie.value || "").length;
+    addOrigin(entry, `${cookie.secure ? "https" : "http"}://${host}`);
+  }
+
+  let storagePath = "";
+  try {
+    storagePath = ses.getStoragePath() || "";
+  } catch (_) {
+    storagePath = "";
+  }
 
-function patchPrivacyConfig(patch) {
-  const raw = patch && typeof patch === "object" ? patch : {};
-  privacyConfig = sanitizePrivacyConfig({
-    ...privacyConfig,
-    ...raw
-  });
-  persistPrivacyConfig();
-  sendPrivacyConfig();
-  return privacyConfig;
-}
+  for (const item of scanSessionStorage(storagePath)) {
+    const siteKey = getSiteKey(getHostnameFromUrl(item.origin));
+    if (!siteKey) {
+      continue;
+    }
+    const entry = getEntry(siteKey);
+    entry.localStorage = entry.localStorage || item.localStorage;
+    entry.indexedDBBytes += item.indexedDBBytes;
+    entry.cacheStorageBytes += item.cacheStorageBytes;
+    addOrigin(entry, item.origin);
+  }
 
-async function clearDataByScope(scope) {
-  const value = String(scope || "all").toLowerCase();
-  const allowedScopes = new Set(["all", "cache", "cookies", "storage", "history", "downloads"]);
+  return { sites, cookies };
+}
 
-  if (!allowedScopes.has(value)) {
-    return { ok: false, error: "Unknown clear-data scope." };
+async function getSiteDataSnapshot() {
+  const ses = getTabSession();
+  const { sites } = await collectSessionSiteData(ses);
+  let httpCacheBytes = 0;
+  try {
+    httpCacheBytes = await ses.getCacheSize();
+  } catch (_) {
+    httpCacheBytes = 0;
   }
 
-  const ses = session.defaultSession;
-  const tasks = [];
+  const list = [...sites.values()].sort((a, b) => {
+    const sizeA = a.cookieBytes + a.indexedDBBytes + a.cacheStorageBytes;
+    const sizeB = b.cookieBytes + b.indexedDBBytes + b.cacheStorageBytes;
+    return sizeB - sizeA || a.siteKey.localeCompare(b.siteKey);
+  });
 
-  if (value === "all" || value === "cache") {
-    tasks.push(ses.clearCache());
-  }
+  return {
+    sites: list,
+    allowlist: [...siteDataAllowlist],
+    httpCacheBytes
+  };
+}
+
+async function clearSessionSiteData(ses, shouldClear) {
+  const { sites, cookies } = await collectSessionSiteData(ses);
+  const tasks = [];
 
-  if (value === "all" || value === "cookies") {
-    tasks.push(ses.clearStorageData({ storages: ["cookies"] }));
-    tasks.push(ses.clearAuthCache());
+  for (const cookie of cookies) {
+    const host = String(cookie.domain || "").replace(/^\./, "");
+    if (!shouldClear(getSiteKey(host))) {
+      continue;
+    }
+    const url = `${cookie.secure ? "https" : "http"}://${host}${cookie.path || "/"}`;
+    tasks.push(ses.cookies.remove(url, cookie.name));
   }
 
-  if (value === "all" || value === "storage") {
-    tasks.push(
-      ses.clearStorageData({
-        storages: [
-          "appcache",
-          "cachestorage",
-          "filesystem",
-          "indexdb",
-          "localstorage",
-          "serviceworkers",
-          "shadercache",
-          "websql"
-        ]
-      })
-    );
+  for (const entry of sites.values()) {
+    if (!shouldClear(entry.siteKey)) {
+      continue;
+    }
+    for (const origin of entry.origins) {
+      tasks.push(
+        ses.clearStorageData({
+          origin,
+          storages: ["cachestorage", "filesystem", "indexdb", "localstorage", "serviceworkers", "websql"]
+        })
+      );
+    }
   }
 
   await Promise.allSettled(tasks);
+  await ses.cookies.flushStore().catch(() => {});
+}
 
-  if (value === "all" || value === "history") {
-    browsingHistory = [];
-    persistHistory();
-    sendHistoryUpdates();
+async function clearSiteData(rawSiteKey) {
+  const siteKey = getSiteKey(sanitizeString(rawSiteKey, "").trim());
+  if (!siteKey) {
+    return { ok: false, error: "Invalid site." };
   }
 
-  if (value === "all" || value === "downloads") {
-    downloadItems = [];
-    persistDownloads();
-    sendDownloadUpdates();
+  await Promise.allSettled(
+    getBrowsingSessions().map((ses) => clearSessionSiteData(ses, (candidate) => candidate === siteKey))
+  );
+  return { ok: true, siteKey };
+}
+
+function setSiteDataKeepOnExit(rawSiteKey, keep) {
+  const siteKey = getSiteKey(sanitizeString(rawSiteKey, "").trim());
+  if (!siteKey) {
+    return { ok: false, error: "Invalid site." };
   }
 
-  return { ok: true, scope: value };
+  const next = new Set(siteDataAllowlist);
+  if (keep) {
+    next.add(siteKey);
+  } else {
+    next.delete(siteKey);
+  }
+  siteDataAllowlist = [...next].sort();
+  persistSiteDataAllowlist();
+  return { ok: true, allowlist: [...siteDataAllowlist] };
 }
 
-function clearDataOnExitBestEffort() {
-  browsingHistory = [];
-  persistHistory();
+// Quarantined files only exist for their records, so they go with the list.
+function clearDownloadRecords() {
+  try {
+    fs.rmSync(getDownloadQuarantineDir(), { recursive: true, force: true });
+  } catch (_) {
+    // Best effort; whatever is left is removed with the next clear.
+  }
   downloadItems = [];
   persistDownloads();
+}
+
+async function clearDataOnExitKeepingAllowlist() {
+  historyStore.clear();
+  clearDownloadRecords();
+
+  const keep = new Set(siteDataAllowlist);
+  await Promise.allSettled(
+    getBrowsingSessions().map(async (ses) => {
+      await Promise.allSettled([ses.clearCache(), ses.clearAuthCache()]);
+      await clearSessionSiteData(ses, (siteKey) => !keep.has(siteKey));
+    })
+  );
+}
 
-  if (session.defaultSession) {
-    session.defaultSession.clearCache().catch(() => {});
-    session.defaultSession.clearStorageData().catch(() => {});
-    session.defaultSession.clearAuthCache().catch(() => {});
+function clearDataOnExitBestEffort() {
+  historyStore.clear();
+  clearDownloadRecords();
+
+  for (const ses of getBrowsingSessions()) {
+    ses.clearCache().catch(() => {});
+    ses.clearStorageData().catch(() => {});
+    ses.clearAuthCache().catch(() => {});
   }
 }
 
@@ -2699,6 +6122,43 @@ function wireIpc() {
     return { isFullscreen: win.isFullScreen() };
   });
 
+  ipcMain.handle("window:open-private", () => {
+    createPrivateWindow();
+    return { ok: true };
+  });
+
+  ipcMain.handle("window:new", () => {
+    createWindow();
+    return { ok: true };
+  });
+
+  ipcMain.handle("window:move-tab", (event, url) => {
+    const value = sanitizeString(url, "").trim();
+    if (!value) {
+      return { ok: false, error: "Nothing to move." };
+    }
+
+    // Guest pages cannot be reparented, so the tab reopens by URL in a window of the same kind.
+    if (isPrivateWindowContents(event.sender)) {
+      createPrivateWindow([value]);
+    } else {
+      createWindow({ urls: [value] });
+    }
+    return { ok: true };
+  });
+
+  ipcMain.handle("window:startup", (event) => {
+    return takeWindowStartup(event.sender);
+  });
+
+  ipcMain.handle("session:save", (event, payload) => {
+    return saveWindowSession(event.sender, payload);
+  });
+
+  ipcMain.handle("session:clear", () => {
+    return clearWindowSessions();
+  });
+
   ipcMain.handle("window:state", () => {
     const win = getWindow();
     if (!win) {
@@ -2723,11 +6183,12 @@ function wireIpc() {
   });
 
   ipcMain.handle("extensions:load-from-dialog", async () => {
-    if (!mainWindow || mainWindow.isDestroyed()) {
+    const win = getWindow();
+    if (!win) {
       return { ok: false, error: "No active window." };
     }
 
-    const result = await dialog.showOpenDialog(mainWindow, {
+    const result = await dialog.showOpenDialog(win, {
       title: "Select Extension Folder",
       properties: ["openDirectory", "dontAddToRecent"]
     });
@@ -2745,19 +6206,68 @@ function wireIpc() {
       };
     }
 
-    const loadResult = await loadExtension(extensionPath, "User");
+    const key = path.resolve(extensionPath);
+    if (disabledExtensionKeys.delete(key)) {
+      persistExtensionState();
+    }
+    const loadResult = recordExtensionLoadResult(key, await loadExtension(extensionPath, "User"));
     if (loadResult.ok) {
       saveUserExtensionPath(extensionPath);
     }
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send("extensions:updated", loadedExtensions);
-    }
+    broadcastToWindows("extensions:updated", loadedExtensions);
 
     return loadResult;
   });
 
-  ipcMain.handle("downloads:list", () => {
-    return downloadItems;
+  ipcMain.handle("extensions:catalog", () => {
+    return getExtensionCatalog();
+  });
+
+  ipcMain.handle("extensions:set-enabled", (_, payload) => {
+    const raw = payload && typeof payload === "object" ? payload : {};
+    return setExtensionEnabled(raw.key, raw.enabled !== false);
+  });
+
+  ipcMain.handle("extensions:remove", (_, key) => {
+    return removeExtension(key);
+  });
+
+  ipcMain.handle("extensions:reload", (_, key) => {
+    return reloadExtensionFromDisk(key);
+  });
+
+  ipcMain.handle("extensions:open-folder", (_, key) => {
+    return openExtensionFolder(key);
+  });
+
+  ipcMain.handle("extensions:install-crx-from-dialog", async () => {
+    const win = getWindow();
+    if (!win) {
+      return { ok: false, error: "No active window." };
+    }
+
+    const result = await dialog.showOpenDialog(win, {
+      title: "Select Extension Package",
+      properties: ["openFile", "dontAddToRecent"],
+      filters: [
+        { name: "Chrome extension packages", extensions: ["crx"] }
+      ]
+    });
+
+    if (result.canceled || result.filePaths.length === 0) {
+      return { ok: false, canceled: true };
+    }
+
+    return installCrxPackage(result.filePaths[0]);
+  });
+
+  // Dropped files skip the picker, so the user confirms the install in a dialog.
+  ipcMain.handle("extensions:install-crx", (_, filePath) => {
+    return installCrxPackage(filePath, { confirm: true });
+  });
+
+  ipcMain.handle("downloads:list", (event) => {
+    return getDownloadItemsForWindow(isPrivateWindowContents(event.sender));
   });
 
   ipcMain.handle("downloads:show-in-folder", (_, id) => {
@@ -2765,38 +6275,107 @@ function wireIpc() {
     if (!item || !item.savePath) {
       return { ok: false, error: "Download file path not available yet." };
     }
+    if (item.quarantined) {
+      return { ok: false, error: "This file came over plain HTTP and is quarantined. Choose Keep File first." };
+    }
 
     shell.showItemInFolder(item.savePath);
     return { ok: true };
   });
 
-  ipcMain.handle("downloads:open-file", async (_, id) => {
-    const item = getDownloadById(id);
-    if (!item || !item.savePath) {
-      return { ok: false, error: "Download file path not available yet." };
-    }
+  ipcMain.handle("downloads:open-file", (_, id) => {
+    return openDownloadFile(String(id || ""));
+  });
 
-    const openResult = await shell.openPath(item.savePath);
-    if (openResult) {
-      return { ok: false, error: openResult };
-    }
+  ipcMain.handle("downloads:release", (_, id) => {
+    return releaseQuarantinedDownload(String(id || ""));
+  });
 
-    return { ok: true };
+  ipcMain.handle("downloads:discard", (_, id) => {
+    return discardQuarantinedDownload(String(id || ""));
+  });
+
+  ipcMain.handle("downloads:verify-hash", (_, id, expected) => {
+    return verifyDownloadHash(String(id || ""), expected);
+  });
+
+  ipcMain.handle("downloads:get-config", () => {
+    return { ...downloadConfig, defaultDirectory: app.getPath("downloads") };
+  });
+
+  ipcMain.handle("downloads:update-config", (_, patch) => {
+    return { ok: true, config: patchDownloadConfig(patch) };
+  });
+
+  ipcMain.handle("downloads:choose-directory", () => {
+    return chooseDownloadDirectoryFromDialog();
+  });
+
+  ipcMain.handle("downloads:pause", (_, id) => {
+    return pauseDownload(String(id || ""));
+  });
+
+  ipcMain.handle("downloads:resume", (_, id) => {
+    return resumeDownload(String(id || ""));
+  });
+
+  ipcMain.handle("downloads:cancel", (_, id) => {
+    return cancelDownload(String(id || ""));
+  });
+
+  ipcMain.handle("downloads:retry", (_, id) => {
+    return retryDownload(String(id || ""));
   });
 
-  ipcMain.handle("downloads:clear-completed", () => {
+  ipcMain.handle("downloads:clear-completed", (event) => {
     const terminalStates = new Set(["completed", "cancelled", "interrupted"]);
-    downloadItems = downloadItems.filter((item) => !terminalStates.has(item.state));
+    const isPrivate = isPrivateWindowContents(event.sender);
+    // Quarantined files stay listed until they are kept or deleted; a normal window leaves
+    // the private downloads it cannot see alone.
+    downloadItems = downloadItems.filter(
+      (item) =>
+        !terminalStates.has(item.state) ||
+        liveDownloads.has(item.id) ||
+        item.quarantined ||
+        (!isPrivate && isPrivateDownload(item))
+    );
     persistDownloads();
     sendDownloadUpdates();
-    return { ok: true, remaining: downloadItems.length };
+    return { ok: true, remaining: getDownloadItemsForWindow(isPrivate).length };
   });
 
   ipcMain.handle("history:list", () => {
-    return browsingHistory;
+    return historyStore.getRecentVisits(HISTORY_LIST_LIMIT);
+  });
+
+  ipcMain.handle("history:search", (_, query) => {
+    const sanitized = sanitizeHistoryQuery(query);
+    const result = sanitized.groupBy === "url"
+      ? historyStore.searchUrls(sanitized)
+      : historyStore.searchVisits(sanitized);
+    return { ...result, query: sanitized };
+  });
+
+  ipcMain.handle("history:suggest", (_, text, limit) => {
+    return historyStore.suggest(
+      sanitizeString(text).slice(0, 500),
+      Math.min(MAX_HISTORY_SUGGESTIONS, Math.max(1, Math.floor(Number(limit) || 6)))
+    );
+  });
+
+  ipcMain.handle("history:delete-url", (_, url) => {
+    if (!historyStore.deleteUrl(sanitizeString(url))) {
+      return { ok: false, error: "That page is not in history." };
+    }
+    sendHistoryUpdates();
+    return { ok: true };
   });
 
-  ipcMain.handle("history:append", (_, entry) => {
+  ipcMain.handle("history:append", (event, entry) => {
+    if (isPrivateWindowContents(event.sender)) {
+      return { ok: false, error: "Private windows do not record history." };
+    }
+
     if (!entry || typeof entry.url !== "string") {
       return { ok: false, error: "Invalid history entry." };
     }
@@ -2806,21 +6385,21 @@ function wireIpc() {
       return { ok: false, error: "Ignored empty history URL." };
     }
 
-    const last = browsingHistory[0];
-    if (!last || last.url !== sanitized.url) {
-      browsingHistory.unshift(sanitized);
-      browsingHistory = browsingHistory.slice(0, 2000);
-      persistHistory();
-      sendHistoryUpdates();
+    // Reloads keep the page title current without counting as another visit.
+    if (sanitized.transition === "reload") {
+      if (historyStore.setTitle(sanitized.url, sanitized.title)) {
+        sendHistoryUpdates();
+      }
+      return { ok: true };
     }
 
+    historyStore.addVisit(sanitized);
+    sendHistoryUpdates();
     return { ok: true };
   });
 
   ipcMain.handle("history:clear", () => {
-    browsingHistory = [];
-    persistHistory();
-    sendHistoryUpdates();
+    clearHistory();
     return { ok: true };
   });
 
@@ -2850,6 +6429,18 @@ function wireIpc() {
     return installDownloadedUpdate();
   });
 
+  ipcMain.handle("updates:rollback-info", () => {
+    return getRollbackInfo();
+  });
+
+  ipcMain.handle("updates:rollback", (_, version) => {
+    return rollbackToRetainedBuild(version);
+  });
+
+  ipcMain.handle("updates:release-notes", () => {
+    return getReleaseNotesSnapshot();
+  });
+
   ipcMain.handle("updates:update-config", (_, patch) => {
     const config = patchUpdateConfig(patch);
     return { ok: true, config, status: updateStatus };
@@ -2871,6 +6462,107 @@ function wireIpc() {
   ipcMain.handle("privacy:clear-data", (_, scope) => {
     return clearDataByScope(scope);
   });
+
+  ipcMain.handle("privacy:https-fallback", (_, webContentsId, failedUrl) => {
+    return getHttpsFallback(webContentsId, failedUrl);
+  });
+
+  ipcMain.handle("privacy:allow-http", (_, url, options) => {
+    return allowHttpForSite(url, options);
+  });
+
+  ipcMain.handle("privacy:https-exceptions", () => {
+    return httpsOnlyExceptions;
+  });
+
+  ipcMain.handle("privacy:remove-https-exception", (_, host) => {
+    return removeHttpsOnlyException(host);
+  });
+
+  ipcMain.handle("sitedata:list", async () => {
+    return getSiteDataSnapshot();
+  });
+
+  ipcMain.handle("sitedata:clear", async (_, siteKey) => {
+    return clearSiteData(siteKey);
+  });
+
+  ipcMain.handle("sitedata:keep-on-exit", (_, siteKey, keep) => {
+    return setSiteDataKeepOnExit(siteKey, Boolean(keep));
+  });
+
+  ipcMain.handle("privacy:get-site", (_, url) => {
+    return getSitePrivacyState(url);
+  });
+
+  ipcMain.handle("privacy:update-site", (_, url, patch) => {
+    return patchSitePrivacyOverrides(url, patch);
+  });
+
+  ipcMain.handle("privacy:reset-site", (_, siteKey) => {
+    return resetSitePrivacyOverrides(siteKey);
+  });
+
+  ipcMain.handle("privacy:list-sites", () => {
+    return sitePrivacyOverrides;
+  });
+
+  ipcMain.handle("privacy:get-log", (_, filter) => {
+    return getPrivacyLogEntries(filter);
+  });
+
+  ipcMain.handle("privacy:clear-log", () => {
+    privacyLog.clear();
+    return { ok: true };
+  });
+
+  ipcMain.handle("privacy:get-tab-activity", (_, webContentsId) => {
+    return getTabPrivacyActivitySnapshot(webContentsId);
+  });
+
+  ipcMain.handle("privacy:filter-lists", () => {
+    return getFilterListSnapshot();
+  });
+
+  ipcMain.handle("privacy:import-filter-list", () => {
+    return importFilterListFromDialog();
+  });
+
+  ipcMain.handle("privacy:set-filter-list-enabled", (_, id, enabled) => {
+    return setFilterListEnabled(String(id || ""), enabled);
+  });
+
+  ipcMain.handle("privacy:remove-filter-list", (_, id) => {
+    return removeFilterList(String(id || ""));
+  });
+
+  ipcMain.handle("privacy:reload-filter-lists", () => {
+    return reloadFilterListsFromDisk();
+  });
+
+  ipcMain.handle("permissions:list", () => {
+    return permissionDecisions;
+  });
+
+  ipcMain.handle("permissions:respond", (_, id, decision) => {
+    return respondToPermissionPrompt(id, decision);
+  });
+
+  ipcMain.handle("permissions:revoke", (_, origin, permission) => {
+    return revokePermissionDecision(origin, permission);
+  });
+
+  ipcMain.handle("privacy:public-suffix-list", () => {
+    return getPublicSuffixListSnapshot();
+  });
+
+  ipcMain.handle("privacy:import-public-suffix-list", async () => {
+    return importPublicSuffixListFromDialog();
+  });
+
+  ipcMain.handle("privacy:reset-public-suffix-list", () => {
+    return resetPublicSuffixList();
+  });
 }
 
 function startStartupAppUpdateFlow() {
@@ -2903,6 +6595,11 @@ function startStartupAppUpdateFlow() {
           return;
         }
 
+        if (githubUpdateMetadata.skippedVersion && normalizeVersionFromTag(tag) === githubUpdateMetadata.skippedVersion) {
+          setUpdateMiniSection("app", `Not auto-applying ${tag}: it was rolled back earlier.`);
+          return;
+        }
+
         applyGitHubReleaseZipUpdate({
           manual: false,
           tag,
@@ -2931,64 +6628,105 @@ function startStartupAppUpdateFlow() {
     });
 }
 
-function startStartupUblockUpdateFlow() {
-  if (!updateConfig.autoUpdateUblockOrigin) {
-    setUpdateMiniSection("extensions", "uBlock Origin auto-update is disabled.");
+function startStartupManagedExtensionUpdateFlow() {
+  if (!updateConfig.autoUpdateManagedExtensions) {
+    setUpdateMiniSection("extensions", "Managed extension auto-update is disabled.");
     maybeScheduleUpdateMiniWindowClose();
     return;
   }
 
-  beginStartupUpdateTask("extensions", "Checking uBlock Origin updates...");
-  checkAndUpdateUblockOrigin()
-    .then(async (result) => {
-      if (!result || !result.ok || !result.extensionPath) {
-        return;
-      }
-
-      const alreadyLoaded = Boolean(getExtensionByPath(result.extensionPath));
-      if (!result.updated && alreadyLoaded) {
-        return;
-      }
+  const entries = managedExtensionRegistry.filter((entry) => entry.enabled);
+  if (entries.length === 0) {
+    setUpdateMiniSection("extensions", "No managed extensions are enabled.");
+    maybeScheduleUpdateMiniWindowClose();
+    return;
+  }
 
-      const loadResult = await reloadManagedUblockExtension();
-      if (!loadResult || !loadResult.ok) {
-        const errorMessage = (loadResult && loadResult.error) || "Unable to load managed uBlock Origin extension.";
-        setUpdateMiniSection("extensions", errorMessage);
-      }
-    })
-    .catch((error) => {
-      setUpdateMiniSection("extensions", `uBlock Origin update failed: ${getErrorMessage(error)}`);
-    })
-    .finally(() => {
-      finishStartupUpdateTask();
-    });
+  for (const entry of entries) {
+    beginStartupUpdateTask();
+    updateAndReloadManagedExtension(entry)
+      .catch((error) => {
+        setManagedExtensionStatus(entry, `Update failed: ${getErrorMessage(error)}`);
+      })
+      .finally(() => {
+        finishStartupUpdateTask();
+      });
+  }
 }
 
 app.whenReady().then(async () => {
   loadPersistedState();
+  loadPublicSuffixList();
+  discoverFilterListFiles();
+  rebuildFilterEngine();
   wireIpc();
-  configurePrivacyNetworkLayer();
-  configurePermissions();
-  wireDownloads();
+  registerBrowsingSession(null);
+  registerBrowsingSession(TAB_SESSION_PARTITION);
   configureAutoUpdater();
+  recordBootAttempt();
+  if (await handleRepeatedBootFailures()) {
+    return;
+  }
+
   setUpdateMiniSection("app", "Preparing updater...");
   setUpdateMiniSection("chromium", "Preparing runtime update checks...");
   setUpdateMiniSection("extensions", "Preparing extension update checks...");
   createUpdateMiniWindow();
   await loadBundledExtensions();
-  createWindow();
+  createStartupWindows();
+  scheduleBootConfirmation();
   startStartupAppUpdateFlow();
-  startStartupUblockUpdateFlow();
+  startStartupManagedExtensionUpdateFlow();
   maybeScheduleUpdateMiniWindowClose();
 
   app.on("activate", () => {
-    if (!mainWindow || mainWindow.isDestroyed()) {
+    if (browserWindows.size === 0) {
       createWindow();
     }
   });
 });
 
-app.on("before-quit", () => {
+app.on("web-contents-created", (_event, contents) => {
+  const contentsId = contents.id;
+  const privateEntry = browsingSessions.get(PRIVATE_SESSION_PARTITION);
+  if (privateEntry && contents.session === privateEntry.session) {
+    privateWebContentsIds.add(contentsId);
+  }
+  contents.on("did-start-navigation", (details) => {
+    // Allow-once grants and open prompts belong to the document that asked for them.
+    if (details && details.isMainFrame && !details.isSameDocument) {
+      cancelPermissionPromptsForContents(contentsId);
+      clearHttpsOnlyTabAllowancesForNavigation(contentsId, details.url);
+      // Redirects (including the HTTPS upgrade) do not start a navigation, so their counts stay.
+      resetTabPrivacyActivity(contentsId, getSiteKey(getHostnameFromUrl(details.url)));
+    }
+  });
+  if (contents.getType() === "webview") {
+    // Dropping a .crx onto a page navigates the tab to it; install it instead.
+    contents.on("will-navigate", (event, url) => {
+      if (!/^file:\/\/.+\.crx$/i.test(url)) {
+        return;
+      }
+      event.preventDefault();
+      installCrxPackage(fileURLToPath(url), { confirm: true }).then((result) => {
+        const embedder = contents.hostWebContents;
+        if (embedder && !embedder.isDestroyed() && !result.canceled) {
+          embedder.send("extensions:crx-installed", result);
+        }
+      });
+    });
+  }
+  contents.once("destroyed", () => {
+    tabPrivacyActivity.delete(contentsId);
+    httpsOnlyTabAllowances.delete(contentsId);
+    httpsUpgradedNavigations.delete(contentsId);
+    cancelPermissionPromptsForContents(contentsId);
+  });
+});
+
+app.on("before-quit", (event) => {
+  isAppQuitting = true;
+
   if (updateCheckTimer) {
     clearInterval(updateCheckTimer);
     updateCheckTimer = null;
@@ -3000,9 +6738,23 @@ app.on("before-quit", () => {
     updateMiniWindow = null;
   }
 
-  if (privacyConfig.clearDataOnExit) {
+  if (privacyConfig.clearDataOnExit && siteDataAllowlist.length > 0 && !exitDataCleared) {
+    // Per-site clearing is async, so hold the quit until it finishes (or times out).
+    event.preventDefault();
+    exitDataCleared = true;
+    const timeout = new Promise((resolve) => setTimeout(resolve, 5000));
+    Promise.race([clearDataOnExitKeepingAllowlist(), timeout]).finally(() => app.quit());
+    return;
+  }
+
+  if (privacyConfig.clearDataOnExit && !exitDataCleared) {
     clearDataOnExitBestEffort();
   }
+
+  // Folds the journal into the snapshot so the next launch reads a single file.
+  if (historyStore) {
+    historyStore.compact();
+  }
 });
 
 app.on("window-all-closed", () => {
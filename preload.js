@@ -1,6 +1,6 @@
 "use strict";
 
-const { contextBridge, ipcRenderer } = require("electron");
+const { contextBridge, ipcRenderer, webUtils } = require("electron");
 
 function subscribe(channel, callback) {
   ipcRenderer.on(channel, (_, payload) => {
@@ -8,7 +8,17 @@ function subscribe(channel, callback) {
   });
 }
 
+function readSwitch(name) {
+  const prefix = `--${name}=`;
+  const match = process.argv.find((arg) => arg.startsWith(prefix));
+  return match ? match.slice(prefix.length) : "";
+}
+
 contextBridge.exposeInMainWorld("bastionAPI", {
+  windowContext: {
+    isPrivate: process.argv.includes("--bastion-private-window"),
+    partition: readSwitch("bastion-partition") || "persist:bastion"
+  },
   window: {
     minimize: () => ipcRenderer.invoke("window:minimize"),
     maximizeToggle: () => ipcRenderer.invoke("window:maximize-toggle"),
@@ -16,26 +26,57 @@ contextBridge.exposeInMainWorld("bastionAPI", {
     toggleFullscreen: () => ipcRenderer.invoke("window:toggle-fullscreen"),
     setFullscreen: (value) => ipcRenderer.invoke("window:set-fullscreen", Boolean(value)),
     getState: () => ipcRenderer.invoke("window:state"),
+    openPrivate: () => ipcRenderer.invoke("window:open-private"),
+    openNew: () => ipcRenderer.invoke("window:new"),
+    moveTab: (url) => ipcRenderer.invoke("window:move-tab", url),
+    getStartup: () => ipcRenderer.invoke("window:startup"),
     onState: (callback) => subscribe("window:state", callback)
   },
+  session: {
+    save: (payload) => ipcRenderer.invoke("session:save", payload),
+    clear: () => ipcRenderer.invoke("session:clear")
+  },
   app: {
     getMeta: () => ipcRenderer.invoke("app:meta")
   },
   extensions: {
     list: () => ipcRenderer.invoke("extensions:list"),
+    getCatalog: () => ipcRenderer.invoke("extensions:catalog"),
+    setEnabled: (key, enabled) => ipcRenderer.invoke("extensions:set-enabled", { key, enabled }),
+    remove: (key) => ipcRenderer.invoke("extensions:remove", key),
+    reload: (key) => ipcRenderer.invoke("extensions:reload", key),
+    openFolder: (key) => ipcRenderer.invoke("extensions:open-folder", key),
     loadFromDialog: () => ipcRenderer.invoke("extensions:load-from-dialog"),
-    onUpdated: (callback) => subscribe("extensions:updated", callback)
+    installCrxFromDialog: () => ipcRenderer.invoke("extensions:install-crx-from-dialog"),
+    installCrx: (filePath) => ipcRenderer.invoke("extensions:install-crx", filePath),
+    getPathForFile: (file) => webUtils.getPathForFile(file),
+    onUpdated: (callback) => subscribe("extensions:updated", callback),
+    onCrxInstalled: (callback) => subscribe("extensions:crx-installed", callback)
   },
   downloads: {
     list: () => ipcRenderer.invoke("downloads:list"),
     showInFolder: (id) => ipcRenderer.invoke("downloads:show-in-folder", id),
     openFile: (id) => ipcRenderer.invoke("downloads:open-file", id),
+    pause: (id) => ipcRenderer.invoke("downloads:pause", id),
+    resume: (id) => ipcRenderer.invoke("downloads:resume", id),
+    cancel: (id) => ipcRenderer.invoke("downloads:cancel", id),
+    retry: (id) => ipcRenderer.invoke("downloads:retry", id),
+    release: (id) => ipcRenderer.invoke("downloads:release", id),
+    discard: (id) => ipcRenderer.invoke("downloads:discard", id),
+    verifyHash: (id, expected) => ipcRenderer.invoke("downloads:verify-hash", id, expected),
     clearCompleted: () => ipcRenderer.invoke("downloads:clear-completed"),
+    getConfig: () => ipcRenderer.invoke("downloads:get-config"),
+    updateConfig: (patch) => ipcRenderer.invoke("downloads:update-config", patch),
+    chooseDirectory: () => ipcRenderer.invoke("downloads:choose-directory"),
+    onConfig: (callback) => subscribe("downloads:config", callback),
     onUpdated: (callback) => subscribe("downloads:updated", callback),
     onDone: (callback) => subscribe("downloads:done", callback)
   },
   history: {
     list: () => ipcRenderer.invoke("history:list"),
+    search: (query) => ipcRenderer.invoke("history:search", query),
+    suggest: (text, limit) => ipcRenderer.invoke("history:suggest", text, limit),
+    deleteUrl: (url) => ipcRenderer.invoke("history:delete-url", url),
     append: (entry) => ipcRenderer.invoke("history:append", entry),
     clear: () => ipcRenderer.invoke("history:clear"),
     onUpdated: (callback) => subscribe("history:updated", callback)
@@ -46,17 +87,56 @@ contextBridge.exposeInMainWorld("bastionAPI", {
     check: () => ipcRenderer.invoke("updates:check"),
     download: () => ipcRenderer.invoke("updates:download"),
     install: () => ipcRenderer.invoke("updates:install"),
+    getRollbackInfo: () => ipcRenderer.invoke("updates:rollback-info"),
+    rollback: (version) => ipcRenderer.invoke("updates:rollback", version),
+    getReleaseNotes: () => ipcRenderer.invoke("updates:release-notes"),
     updateConfig: (patch) => ipcRenderer.invoke("updates:update-config", patch || {}),
     onStatus: (callback) => subscribe("updates:status", callback),
     onConfig: (callback) => subscribe("updates:config", callback)
   },
+  siteData: {
+    list: () => ipcRenderer.invoke("sitedata:list"),
+    clear: (siteKey) => ipcRenderer.invoke("sitedata:clear", siteKey),
+    keepOnExit: (siteKey, keep) => ipcRenderer.invoke("sitedata:keep-on-exit", siteKey, Boolean(keep))
+  },
+  permissions: {
+    list: () => ipcRenderer.invoke("permissions:list"),
+    respond: (id, decision) => ipcRenderer.invoke("permissions:respond", id, decision),
+    revoke: (origin, permission = "") => ipcRenderer.invoke("permissions:revoke", origin, permission),
+    onPrompt: (callback) => subscribe("permissions:prompt", callback),
+    onPromptClosed: (callback) => subscribe("permissions:prompt-closed", callback),
+    onUpdated: (callback) => subscribe("permissions:updated", callback)
+  },
   privacy: {
     getConfig: () => ipcRenderer.invoke("privacy:get-config"),
     getStats: () => ipcRenderer.invoke("privacy:get-stats"),
     updateConfig: (patch) => ipcRenderer.invoke("privacy:update-config", patch || {}),
     clearData: (scope = "all") => ipcRenderer.invoke("privacy:clear-data", scope),
+    getHttpsFallback: (webContentsId, url) => ipcRenderer.invoke("privacy:https-fallback", webContentsId, url),
+    allowHttp: (url, options) => ipcRenderer.invoke("privacy:allow-http", url, options || {}),
+    getHttpsExceptions: () => ipcRenderer.invoke("privacy:https-exceptions"),
+    removeHttpsException: (host) => ipcRenderer.invoke("privacy:remove-https-exception", host),
+    onHttpsExceptions: (callback) => subscribe("privacy:https-exceptions", callback),
+    getSite: (url) => ipcRenderer.invoke("privacy:get-site", url),
+    updateSite: (url, patch) => ipcRenderer.invoke("privacy:update-site", url, patch || {}),
+    resetSite: (siteKey) => ipcRenderer.invoke("privacy:reset-site", siteKey),
+    listSites: () => ipcRenderer.invoke("privacy:list-sites"),
+    getTabActivity: (webContentsId) => ipcRenderer.invoke("privacy:get-tab-activity", webContentsId),
+    getLog: (filter) => ipcRenderer.invoke("privacy:get-log", filter || {}),
+    clearLog: () => ipcRenderer.invoke("privacy:clear-log"),
+    getFilterLists: () => ipcRenderer.invoke("privacy:filter-lists"),
+    importFilterList: () => ipcRenderer.invoke("privacy:import-filter-list"),
+    setFilterListEnabled: (id, enabled) =>
+      ipcRenderer.invoke("privacy:set-filter-list-enabled", id, Boolean(enabled)),
+    removeFilterList: (id) => ipcRenderer.invoke("privacy:remove-filter-list", id),
+    reloadFilterLists: () => ipcRenderer.invoke("privacy:reload-filter-lists"),
+    getPublicSuffixList: () => ipcRenderer.invoke("privacy:public-suffix-list"),
+    importPublicSuffixList: () => ipcRenderer.invoke("privacy:import-public-suffix-list"),
+    resetPublicSuffixList: () => ipcRenderer.invoke("privacy:reset-public-suffix-list"),
     onConfig: (callback) => subscribe("privacy:config", callback),
-    onStats: (callback) => subscribe("privacy:stats", callback)
+    onStats: (callback) => subscribe("privacy:stats", callback),
+    onFilterLists: (callback) => subscribe("privacy:filter-lists", callback),
+    onSites: (callback) => subscribe("privacy:sites", callback)
   },
   navigation: {
     onNewTab: (callback) => subscribe("navigation:new-tab", callback)
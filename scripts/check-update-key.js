@@ -0,0 +1,52 @@
+"use strict";
+
+// Runs before every packaging script. A build without lib/update-public-key.pem can never
+// verify an update, so it is refused here instead of being shipped.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { getPublicKeyId } = require("../lib/update-manifest");
+
+const rootDir = path.resolve(__dirname, "..");
+const publicKeyPath = path.join(rootDir, "lib", "update-public-key.pem");
+const defaultSigningKeyPath = path.join(rootDir, "keys", "update-signing-key.pem");
+
+function fail(message) {
+  console.error(`[update-key] ${message}`);
+  process.exit(1);
+}
+
+function readSigningKey() {
+  const inlineKey = String(process.env.BASTION_UPDATE_SIGNING_KEY || "").trim();
+  if (inlineKey) {
+    return inlineKey;
+  }
+
+  const keyPath = String(process.env.BASTION_UPDATE_SIGNING_KEY_PATH || "").trim() || defaultSigningKeyPath;
+  return fs.existsSync(keyPath) ? fs.readFileSync(keyPath, "utf8") : "";
+}
+
+function checkUpdateKey() {
+  if (!fs.existsSync(publicKeyPath)) {
+    fail(`${publicKeyPath} is missing, so this build could never verify an update. Run "npm run make-update-key" and commit the public key.`);
+  }
+
+  let keyId;
+  try {
+    keyId = getPublicKeyId(fs.readFileSync(publicKeyPath, "utf8"));
+  } catch (error) {
+    fail(`${publicKeyPath} is not a valid public key: ${error.message}`);
+  }
+
+  // Packaging without the private key is fine (CI can sign later), but a key that does not
+  // match the bundled one would produce update packages this build rejects.
+  const signingKey = readSigningKey();
+  if (signingKey && getPublicKeyId(crypto.createPublicKey(signingKey)) !== keyId) {
+    fail(`The signing key does not belong to ${publicKeyPath} (key id ${keyId}).`);
+  }
+
+  console.log(`[update-key] Bundled public key id: ${keyId}`);
+}
+
+checkUpdateKey();
@@ -0,0 +1,36 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { getPublicKeyId } = require("../lib/update-manifest");
+
+const rootDir = path.resolve(__dirname, "..");
+const privateKeyPath = path.join(rootDir, "keys", "update-signing-key.pem");
+const publicKeyPath = path.join(rootDir, "lib", "update-public-key.pem");
+
+function fail(message) {
+  console.error(`[update-key] ${message}`);
+  process.exit(1);
+}
+
+function createUpdateKey() {
+  if (fs.existsSync(privateKeyPath) && !process.argv.includes("--force")) {
+    fail(`${privateKeyPath} already exists. Pass --force to replace it (older builds will reject new updates).`);
+  }
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519", {
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    publicKeyEncoding: { type: "spki", format: "pem" }
+  });
+
+  fs.mkdirSync(path.dirname(privateKeyPath), { recursive: true });
+  fs.writeFileSync(privateKeyPath, privateKey, { encoding: "utf8", mode: 0o600 });
+  fs.writeFileSync(publicKeyPath, publicKey, "utf8");
+
+  console.log(`[update-key] Private key: ${privateKeyPath} (keep it out of the repository)`);
+  console.log(`[update-key] Public key: ${publicKeyPath} (bundled with the app)`);
+  console.log(`[update-key] Key id: ${getPublicKeyId(publicKey)}`);
+}
+
+createUpdateKey();
@@ -1,22 +1,34 @@
 "use strict";
 
-const { execFileSync } = require("child_process");
 const fs = require("fs");
 const path = require("path");
+const { MANIFEST_FILE_NAME, describeFile, signManifest } = require("../lib/update-manifest");
+const { createZip } = require("../lib/zip");
 
 const rootDir = path.resolve(__dirname, "..");
 const distDir = path.join(rootDir, "dist");
 const stageDir = path.join(distDir, "update-package");
-const updateZipPath = path.join(distDir, "update.zip");
 const packageJsonPath = path.join(rootDir, "package.json");
+const defaultSigningKeyPath = path.join(rootDir, "keys", "update-signing-key.pem");
+const LINUX_UNPACKED_DIR_NAME = "linux-unpacked";
 
 function fail(message) {
   console.error(`[update-zip] ${message}`);
   process.exit(1);
 }
 
-function escapePowerShellLiteral(value) {
-  return String(value || "").replaceAll("'", "''");
+function readOption(name, fallback) {
+  const prefix = `--${name}=`;
+  const match = process.argv.find((arg) => arg.startsWith(prefix));
+  return match ? match.slice(prefix.length) : fallback;
+}
+
+function resolveTargetPlatform() {
+  const platform = readOption("platform", process.platform === "linux" ? "linux" : "win32");
+  if (platform !== "linux" && platform !== "win32") {
+    fail(`Unsupported --platform value: ${platform} (expected win32 or linux).`);
+  }
+  return platform;
 }
 
 function getNewestFileMatch(regex) {
@@ -41,53 +53,108 @@ function getNewestFileMatch(regex) {
 function copyForPackage(filePath) {
   const target = path.join(stageDir, path.basename(filePath));
   fs.copyFileSync(filePath, target);
+  fs.chmodSync(target, fs.statSync(filePath).mode);
   return path.basename(target);
 }
 
-function buildManifest(includedFiles) {
-  const packageInfo = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+function listFilesRelative(baseDir, relativeDir) {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(baseDir, relativeDir), { withFileTypes: true })) {
+    const relativePath = path.posix.join(relativeDir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFilesRelative(baseDir, relativePath));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+function stageWindowsFiles() {
+  const setupExe = getNewestFileMatch(/-Setup\.exe$/i);
+  const portableExe = getNewestFileMatch(/-Portable\.exe$/i);
+
+  if (!setupExe || !portableExe) {
+    fail("Could not find latest setup and portable EXE files in dist/.");
+  }
+
+  return {
+    files: [copyForPackage(setupExe), copyForPackage(portableExe)],
+    layout: {}
+  };
+}
+
+// Linux packages carry both install flavours: the AppImage, and the unpacked app folder
+// that the tar.gz target ships, so either kind of install can be swapped in place.
+function stageLinuxFiles() {
+  const appImage = getNewestFileMatch(/\.AppImage$/);
+  const unpackedDir = path.join(distDir, LINUX_UNPACKED_DIR_NAME);
+
+  if (!appImage || !fs.existsSync(unpackedDir)) {
+    fail(`Could not find the latest AppImage and ${LINUX_UNPACKED_DIR_NAME}/ in dist/.`);
+  }
+
+  const appImageName = copyForPackage(appImage);
+  fs.cpSync(unpackedDir, path.join(stageDir, LINUX_UNPACKED_DIR_NAME), { recursive: true });
+
   return {
+    files: [appImageName, ...listFilesRelative(stageDir, LINUX_UNPACKED_DIR_NAME)],
+    layout: {
+      appImage: appImageName,
+      directory: LINUX_UNPACKED_DIR_NAME
+    }
+  };
+}
+
+function readSigningKey() {
+  const inlineKey = String(process.env.BASTION_UPDATE_SIGNING_KEY || "").trim();
+  if (inlineKey) {
+    return inlineKey;
+  }
+
+  const keyPath = String(process.env.BASTION_UPDATE_SIGNING_KEY_PATH || "").trim() || defaultSigningKeyPath;
+  if (!fs.existsSync(keyPath)) {
+    fail(`Signing key not found at ${keyPath}. Run "npm run make-update-key" or set BASTION_UPDATE_SIGNING_KEY_PATH.`);
+  }
+  return fs.readFileSync(keyPath, "utf8");
+}
+
+function buildManifest(platform, staged) {
+  const packageInfo = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+  const manifest = {
     name: packageInfo.name || "bastion-browser",
     version: packageInfo.version || "0.0.0",
+    platform,
+    arch: readOption("arch", "x64"),
     generatedAt: new Date().toISOString(),
     notes: "Release update package for Bastion Browser.",
-    files: includedFiles
+    layout: staged.layout,
+    files: staged.files.map((name) => describeFile(stageDir, name))
   };
-}
 
-function createUpdateZip() {
-  if (process.platform !== "win32") {
-    fail("update.zip generation currently requires Windows (Compress-Archive).");
+  try {
+    return signManifest(manifest, readSigningKey());
+  } catch (error) {
+    fail(`Could not sign ${MANIFEST_FILE_NAME}: ${error.message}`);
   }
+  return null;
+}
 
-  const setupExe = getNewestFileMatch(/-Setup\.exe$/i);
-  const portableExe = getNewestFileMatch(/-Portable\.exe$/i);
-
-  if (!setupExe || !portableExe) {
-    fail("Could not find latest setup and portable EXE files in dist/.");
-  }
+async function createUpdateZip() {
+  const platform = resolveTargetPlatform();
+  const updateZipPath = path.join(distDir, platform === "linux" ? "update-linux.zip" : "update.zip");
 
   fs.rmSync(stageDir, { recursive: true, force: true });
   fs.mkdirSync(stageDir, { recursive: true });
 
-  const includedFiles = [copyForPackage(setupExe), copyForPackage(portableExe)];
-  const manifestPath = path.join(stageDir, "update-manifest.json");
-  fs.writeFileSync(manifestPath, JSON.stringify(buildManifest(includedFiles), null, 2), "utf8");
-  includedFiles.push(path.basename(manifestPath));
-
-  const compressScript = [
-    "$ErrorActionPreference='Stop';",
-    `if (Test-Path -LiteralPath '${escapePowerShellLiteral(updateZipPath)}') {`,
-    `  Remove-Item -LiteralPath '${escapePowerShellLiteral(updateZipPath)}' -Force`,
-    "}",
-    `Compress-Archive -Path '${escapePowerShellLiteral(path.join(stageDir, "*"))}'`,
-    `-DestinationPath '${escapePowerShellLiteral(updateZipPath)}' -Force`
-  ].join(" ");
-
-  execFileSync(
-    "powershell.exe",
-    ["-NoProfile", "-NonInteractive", "-ExecutionPolicy", "Bypass", "-Command", compressScript],
-    { stdio: "inherit", windowsHide: true }
+  const staged = platform === "linux" ? stageLinuxFiles() : stageWindowsFiles();
+  const manifestPath = path.join(stageDir, MANIFEST_FILE_NAME);
+  fs.writeFileSync(manifestPath, JSON.stringify(buildManifest(platform, staged), null, 2), "utf8");
+  const includedFiles = [...staged.files, MANIFEST_FILE_NAME];
+
+  await createZip(
+    updateZipPath,
+    includedFiles.map((name) => ({ name, path: path.join(stageDir, name) }))
   );
 
   fs.rmSync(stageDir, { recursive: true, force: true });
@@ -95,7 +162,9 @@ function createUpdateZip() {
   const size = fs.statSync(updateZipPath).size;
   console.log(`[update-zip] Created ${updateZipPath}`);
   console.log(`[update-zip] Size: ${size} bytes`);
-  console.log(`[update-zip] Included: ${includedFiles.join(", ")}`);
+  console.log(`[update-zip] Included: ${includedFiles.length} files`);
 }
 
-createUpdateZip();
+createUpdateZip().catch((error) => {
+  fail(error.message);
+});
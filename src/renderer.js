@@ -24,16 +24,56 @@ const DEFAULT_SETTINGS = {
 const DEFAULT_UPDATE_CONFIG = {
   autoCheck: true,
   autoDownload: true,
-  allowPrerelease: false,
+  channel: "stable",
   feedURL: "",
   useGithubReleaseZip: true,
   autoApplyGithubZip: true,
-  autoUpdateUblockOrigin: true
+  autoRollback: true,
+  autoUpdateManagedExtensions: true,
+  downloadLimitKbps: 0
+};
+
+const UPDATE_CHANNEL_LABELS = {
+  stable: "Stable - tested releases only",
+  beta: "Beta - stable plus beta and release candidates",
+  nightly: "Nightly - every published build"
+};
+
+const HISTORY_PAGE_SIZE = 200;
+const MAX_OMNIBOX_SUGGESTIONS = 8;
+const MAX_OMNIBOX_TABS = 3;
+const MAX_OMNIBOX_BOOKMARKS = 3;
+
+const OMNIBOX_KIND_LABELS = {
+  tab: "Switch to tab",
+  bookmark: "Bookmark",
+  history: "History"
+};
+
+const HISTORY_TRANSITION_LABELS = {
+  typed: "Typed",
+  bookmark: "Bookmark",
+  link: "Link",
+  generated: "Generated",
+  redirect: "Redirect"
+};
+
+const DOWNLOAD_CONFLICT_LABELS = {
+  rename: "Keep both (add a number to the new file)",
+  overwrite: "Replace the existing file",
+  ask: "Ask where to save"
+};
+
+const DOWNLOAD_RULE_LABELS = {
+  extension: "Extension",
+  mime: "MIME type",
+  site: "Site"
 };
 
 const DEFAULT_PRIVACY_CONFIG = {
   blockTrackers: true,
   upgradeHttps: true,
+  httpsOnlyStrict: false,
   sendDoNotTrack: true,
   sendGlobalPrivacyControl: true,
   blockThirdPartyCookies: true,
@@ -42,6 +82,16 @@ const DEFAULT_PRIVACY_CONFIG = {
   clearDataOnExit: false
 };
 
+const SITE_PRIVACY_LABELS = {
+  blockTrackers: "Block trackers",
+  upgradeHttps: "HTTPS-only mode",
+  sendDoNotTrack: "Send Do Not Track",
+  sendGlobalPrivacyControl: "Send Global Privacy Control",
+  blockThirdPartyCookies: "Strip third-party cookies",
+  stripThirdPartyReferer: "Strip third-party Referer",
+  blockFingerprintingPermissions: "Block fingerprinting permissions"
+};
+
 const NEW_TAB_BACKGROUND_OPTIONS = {
   steel: {
     label: "Steel",
@@ -74,13 +124,50 @@ const DEFAULT_NEW_TAB_CONFIG = {
   ]
 };
 
+const MAX_PRIVACY_REPORT_ENTRIES = 500;
+
+const PERMISSION_LABELS = {
+  notifications: "show notifications",
+  media: "use your camera or microphone",
+  "clipboard-read": "read your clipboard",
+  geolocation: "know your location",
+  "display-capture": "capture your screen",
+  midi: "use MIDI devices",
+  midiSysex: "control MIDI devices",
+  pointerLock: "lock your mouse pointer",
+  "idle-detection": "know when you are idle",
+  "window-management": "manage windows on your displays",
+  "speaker-selection": "choose audio output devices"
+};
+
+const PRIVACY_LOG_KIND_LABELS = {
+  blockedRequests: "Blocked",
+  upgradedToHttps: "Upgraded",
+  strippedCookieHeaders: "Cookie stripped",
+  strippedRefererHeaders: "Referer stripped",
+  blockedPermissions: "Permission blocked"
+};
+
+const LOCAL_PAGE_DATA_LOADERS = {
+  privacy: () => refreshPrivacyLog(),
+  cookies: () => refreshSiteData(),
+  extensions: () => refreshExtensionCatalog(),
+  history: () => refreshHistorySearch(),
+  whatsnew: () => refreshReleaseNotes()
+};
+
 const LOCAL_PAGE_TITLES = {
   bastion: "Bastion Home",
   newtab: "New Tab",
   settings: "Settings",
   downloads: "Downloads",
   history: "History",
+  privacy: "Privacy Report",
+  "https-only": "HTTPS-Only Mode",
+  cookies: "Cookies and Site Data",
   game: "Offline Game",
+  whatsnew: "What's New",
+  extensions: "Extensions",
   error: "Page Error"
 };
 
@@ -95,12 +182,29 @@ const state = {
   newTab: sanitizeNewTabConfig(loadJson(NEW_TAB_KEY, {})),
   bookmarks: loadJson(BOOKMARKS_KEY, []),
   downloads: [],
+  downloadConfig: null,
   history: [],
+  historyQuery: { text: "", from: "", to: "", groupBy: "visit" },
+  historyResults: null,
+  omnibox: { typedText: "", items: [], selectedIndex: 0, requestId: 0 },
   extensions: [],
+  extensionCatalog: null,
   updateStatus: null,
   updateConfig: { ...DEFAULT_UPDATE_CONFIG },
+  rollbackInfo: null,
+  releaseNotes: null,
   privacyConfig: { ...DEFAULT_PRIVACY_CONFIG },
   privacyStats: null,
+  filterLists: null,
+  publicSuffixList: null,
+  sitePrivacy: {},
+  privacyLog: [],
+  permissionPrompts: [],
+  permissionDecisions: {},
+  httpsExceptions: {},
+  siteData: null,
+  isPrivate: false,
+  tabPartition: "persist:bastion",
   appMeta: null,
   progressValue: 0,
   progressTimer: null
@@ -112,10 +216,16 @@ const dom = {
   webviewDeck: document.getElementById("webviewDeck"),
   addressForm: document.getElementById("addressForm"),
   addressInput: document.getElementById("addressInput"),
+  omniboxPanel: document.getElementById("omniboxPanel"),
   backBtn: document.getElementById("backBtn"),
   forwardBtn: document.getElementById("forwardBtn"),
   refreshBtn: document.getElementById("refreshBtn"),
   homeBtn: document.getElementById("homeBtn"),
+  shieldBtn: document.getElementById("shieldBtn"),
+  shieldPanel: document.getElementById("shieldPanel"),
+  downloadsBtn: document.getElementById("downloadsBtn"),
+  downloadsPanel: document.getElementById("downloadsPanel"),
+  permissionPrompt: document.getElementById("permissionPrompt"),
   bookmarkBtn: document.getElementById("bookmarkBtn"),
   fullscreenBtn: document.getElementById("fullscreenBtn"),
   settingsBtn: document.getElementById("settingsBtn"),
@@ -124,6 +234,7 @@ const dom = {
   pageProgressBar: document.getElementById("pageProgressBar"),
   bookmarksBar: document.getElementById("bookmarksBar"),
   statusBadge: document.getElementById("statusBadge"),
+  privateBadge: document.getElementById("privateBadge"),
   logoButton: document.getElementById("logoButton"),
   minimizeBtn: document.getElementById("minimizeBtn"),
   maximizeBtn: document.getElementById("maximizeBtn"),
@@ -138,6 +249,7 @@ if (!window.bastionAPI) {
 init();
 
 function init() {
+  applyWindowContext();
   bindGlobalEvents();
   bindToolbarEvents();
   bindWindowControls();
@@ -148,11 +260,19 @@ function init() {
 
   refreshExtensionList();
   refreshDownloads();
+  refreshDownloadConfig();
   refreshHistory();
   refreshUpdateStatus();
   refreshUpdateConfig();
+  refreshRollbackInfo();
   refreshPrivacyConfig();
   refreshPrivacyStats();
+  refreshFilterLists();
+  refreshPublicSuffixList();
+  refreshSitePrivacy();
+  refreshPrivacyLog();
+  refreshPermissionDecisions();
+  refreshHttpsExceptions();
   refreshMetaInfo();
   syncWindowState();
 
@@ -160,14 +280,35 @@ function init() {
     createTab(url || NEW_TAB_URL, true);
   });
 
+  window.bastionAPI.extensions.onCrxInstalled((result) => {
+    reportCrxInstall(result);
+  });
+
   window.bastionAPI.extensions.onUpdated((extensions) => {
     state.extensions = Array.isArray(extensions) ? extensions : [];
     refreshOpenLocalPages();
+    for (const tab of state.tabs) {
+      if (tab.localPage === "extensions") {
+        loadLocalPageData(tab);
+      }
+    }
   });
 
   window.bastionAPI.downloads.onUpdated((downloads) => {
     state.downloads = Array.isArray(downloads) ? downloads : [];
     refreshOpenLocalPages();
+    updateDownloadsButtonState();
+    if (isDownloadsPanelOpen()) {
+      renderDownloadsPanel();
+    }
+  });
+
+  window.bastionAPI.downloads.onConfig((config) => {
+    state.downloadConfig = {
+      ...(state.downloadConfig || {}),
+      ...(config && typeof config === "object" ? config : {})
+    };
+    refreshOpenLocalPages();
   });
 
   window.bastionAPI.downloads.onDone((download) => {
@@ -178,11 +319,16 @@ function init() {
 
   window.bastionAPI.history.onUpdated((history) => {
     state.history = Array.isArray(history) ? history : [];
-    refreshOpenLocalPages();
+    for (const tab of state.tabs) {
+      if (tab.localPage === "history") {
+        loadLocalPageData(tab);
+      }
+    }
   });
 
-  window.bastionAPI.updates.onStatus((status) => {
+  window.bastionAPI.updates.onStatus(async (status) => {
     state.updateStatus = status && typeof status === "object" ? status : null;
+    await refreshRollbackInfo();
     refreshOpenLocalPages();
   });
 
@@ -205,6 +351,45 @@ function init() {
   window.bastionAPI.privacy.onStats((stats) => {
     state.privacyStats = stats && typeof stats === "object" ? stats : null;
     refreshOpenLocalPages();
+    refreshPrivacyLog();
+    updateShieldButtonState();
+    if (isShieldPanelOpen()) {
+      renderShieldPanel();
+    }
+  });
+
+  window.bastionAPI.permissions.onPrompt((prompt) => {
+    if (!prompt || !prompt.id) {
+      return;
+    }
+    state.permissionPrompts.push(prompt);
+    renderPermissionPrompt();
+  });
+
+  window.bastionAPI.permissions.onPromptClosed((payload) => {
+    const id = payload && payload.id ? payload.id : "";
+    state.permissionPrompts = state.permissionPrompts.filter((prompt) => prompt.id !== id);
+    renderPermissionPrompt();
+  });
+
+  window.bastionAPI.permissions.onUpdated((origins) => {
+    state.permissionDecisions = origins && typeof origins === "object" ? origins : {};
+    refreshOpenLocalPages();
+  });
+
+  window.bastionAPI.privacy.onHttpsExceptions((hosts) => {
+    state.httpsExceptions = hosts && typeof hosts === "object" ? hosts : {};
+    refreshOpenLocalPages();
+  });
+
+  window.bastionAPI.privacy.onSites((sites) => {
+    state.sitePrivacy = sites && typeof sites === "object" ? sites : {};
+    refreshOpenLocalPages();
+  });
+
+  window.bastionAPI.privacy.onFilterLists((snapshot) => {
+    state.filterLists = snapshot && typeof snapshot === "object" ? snapshot : null;
+    refreshOpenLocalPages();
   });
 
   window.bastionAPI.window.onState((windowState) => {
@@ -228,6 +413,8 @@ function bindGlobalEvents() {
 
     if (event.key === "Escape") {
       hideBrowserMenu();
+      hideShieldPanel();
+      hideDownloadsPanel();
     }
 
     if (event.altKey && !isInput && (event.key === "ArrowLeft" || event.key === "ArrowRight")) {
@@ -250,6 +437,18 @@ function bindGlobalEvents() {
         return;
       }
 
+      if (key === "n" && event.shiftKey) {
+        event.preventDefault();
+        openPrivateWindow();
+        return;
+      }
+
+      if (key === "n") {
+        event.preventDefault();
+        openNewWindow();
+        return;
+      }
+
       if (key === "t" && event.shiftKey) {
         event.preventDefault();
         reopenLastClosedTab();
@@ -293,6 +492,92 @@ function bindGlobalEvents() {
       }
     }
   });
+
+  // Dropping files on the browser UI would otherwise navigate the whole window to them.
+  window.addEventListener("dragover", (event) => {
+    if (event.dataTransfer && [...event.dataTransfer.types].includes("Files")) {
+      event.preventDefault();
+    }
+  });
+
+  window.addEventListener("drop", (event) => {
+    const files = event.dataTransfer ? [...event.dataTransfer.files] : [];
+    if (files.length === 0) {
+      return;
+    }
+
+    event.preventDefault();
+    const crxFiles = files.filter((file) => /\.crx$/i.test(file.name));
+    if (crxFiles.length === 0) {
+      showToast("Only .crx extension packages can be dropped here.", true);
+      return;
+    }
+
+    for (const file of crxFiles) {
+      installCrxFile(window.bastionAPI.extensions.getPathForFile(file));
+    }
+  });
+}
+
+async function installCrxFile(filePath) {
+  reportCrxInstall(await window.bastionAPI.extensions.installCrx(filePath));
+}
+
+function reportCrxInstall(result) {
+  if (result && result.ok && result.detail) {
+    showToast(`Extension installed: ${result.detail.name}`);
+  } else if (!result || !result.canceled) {
+    showToast(result && result.error ? result.error : "Failed to install extension.", true);
+  }
+}
+
+function applyWindowContext() {
+  const context = window.bastionAPI.windowContext || {};
+  state.isPrivate = Boolean(context.isPrivate);
+  state.tabPartition = context.partition || "persist:bastion";
+  document.body.classList.toggle("private-window", state.isPrivate);
+  dom.privateBadge.classList.toggle("hidden", !state.isPrivate);
+  document.title = getWindowTitle("");
+}
+
+function getWindowTitle(pageTitle) {
+  const suffix = state.isPrivate ? "Bastion Private Browsing" : "Bastion Browser";
+  return pageTitle ? `${pageTitle} - ${suffix}` : suffix;
+}
+
+async function openPrivateWindow() {
+  const result = await window.bastionAPI.window.openPrivate();
+  if (!result || !result.ok) {
+    showToast("Unable to open a private window.", true);
+  }
+}
+
+async function openNewWindow() {
+  const result = await window.bastionAPI.window.openNew();
+  if (!result || !result.ok) {
+    showToast("Unable to open a new window.", true);
+  }
+}
+
+async function moveTabToNewWindow(tabId) {
+  const tab = state.tabs.find((item) => item.id === tabId);
+  if (!tab) {
+    return;
+  }
+
+  const url = tab.localPage ? getTabDisplayAddress(tab) : safeUrl(tab.webview) || tab.address || NEW_TAB_URL;
+  const result = await window.bastionAPI.window.moveTab(url);
+  if (!result || !result.ok) {
+    showToast((result && result.error) || "Unable to move tab.", true);
+    return;
+  }
+
+  if (state.tabs.length === 1) {
+    window.bastionAPI.window.close();
+    return;
+  }
+
+  closeTab(tab.id);
 }
 
 function bindToolbarEvents() {
@@ -300,9 +585,22 @@ function bindToolbarEvents() {
 
   dom.addressForm.addEventListener("submit", (event) => {
     event.preventDefault();
-    navigateActiveTab(dom.addressInput.value);
+    const suggestion = isOmniboxOpen() ? state.omnibox.items[state.omnibox.selectedIndex] : null;
+    hideOmnibox();
+    if (suggestion) {
+      openOmniboxSuggestion(suggestion);
+    } else {
+      navigateActiveTab(dom.addressInput.value, "typed");
+    }
   });
 
+  dom.addressInput.addEventListener("input", handleAddressInput);
+  dom.addressInput.addEventListener("keydown", handleAddressKeydown);
+  dom.addressInput.addEventListener("blur", hideOmnibox);
+  // Keep focus in the address bar while a suggestion is clicked.
+  dom.omniboxPanel.addEventListener("mousedown", (event) => event.preventDefault());
+  dom.omniboxPanel.addEventListener("click", handleOmniboxClick);
+
   dom.backBtn.addEventListener("click", goBackActiveTab);
   dom.forwardBtn.addEventListener("click", goForwardActiveTab);
 
@@ -321,6 +619,12 @@ function bindToolbarEvents() {
   });
 
   dom.homeBtn.addEventListener("click", () => navigateActiveTab(HOME_URL));
+  dom.shieldBtn.addEventListener("click", toggleShieldPanel);
+  dom.shieldPanel.addEventListener("change", handleShieldPanelChange);
+  dom.shieldPanel.addEventListener("click", handleShieldPanelClick);
+  dom.downloadsBtn.addEventListener("click", toggleDownloadsPanel);
+  dom.downloadsPanel.addEventListener("click", handleDownloadsPanelClick);
+  dom.permissionPrompt.addEventListener("click", handlePermissionPromptClick);
   dom.bookmarkBtn.addEventListener("click", toggleBookmarkForActiveTab);
   dom.fullscreenBtn.addEventListener("click", toggleFullscreen);
   dom.settingsBtn.addEventListener("click", openSettingsPage);
@@ -341,6 +645,14 @@ function bindToolbarEvents() {
       return;
     }
 
+    if (!target.closest("#shieldPanel") && !target.closest("#shieldBtn")) {
+      hideShieldPanel();
+    }
+
+    if (!target.closest("#downloadsPanel") && !target.closest("#downloadsBtn")) {
+      hideDownloadsPanel();
+    }
+
     if (target.closest("#browserMenu") || target.closest("#menuBtn")) {
       return;
     }
@@ -370,15 +682,508 @@ function toggleBrowserMenu() {
     return;
   }
 
-  const willShow = dom.browserMenu.classList.contains("hidden");
-  dom.browserMenu.classList.toggle("hidden", !willShow);
+  hideShieldPanel();
+  hideDownloadsPanel();
+  const willShow = dom.browserMenu.classList.contains("hidden");
+  dom.browserMenu.classList.toggle("hidden", !willShow);
+}
+
+function hideBrowserMenu() {
+  if (!dom.browserMenu) {
+    return;
+  }
+  dom.browserMenu.classList.add("hidden");
+}
+
+function isShieldPanelOpen() {
+  return Boolean(dom.shieldPanel) && !dom.shieldPanel.classList.contains("hidden");
+}
+
+function toggleShieldPanel() {
+  if (isShieldPanelOpen()) {
+    hideShieldPanel();
+    return;
+  }
+
+  hideBrowserMenu();
+  hideDownloadsPanel();
+  dom.shieldPanel.classList.remove("hidden");
+  renderShieldPanel();
+}
+
+function hideShieldPanel() {
+  if (dom.shieldPanel) {
+    dom.shieldPanel.classList.add("hidden");
+  }
+}
+
+function isDownloadsPanelOpen() {
+  return Boolean(dom.downloadsPanel) && !dom.downloadsPanel.classList.contains("hidden");
+}
+
+function toggleDownloadsPanel() {
+  if (isDownloadsPanelOpen()) {
+    hideDownloadsPanel();
+    return;
+  }
+
+  hideBrowserMenu();
+  hideShieldPanel();
+  dom.downloadsPanel.classList.remove("hidden");
+  renderDownloadsPanel();
+}
+
+function hideDownloadsPanel() {
+  if (dom.downloadsPanel) {
+    dom.downloadsPanel.classList.add("hidden");
+  }
+}
+
+function renderDownloadsPanel() {
+  const recent = state.downloads.slice(0, 6);
+  const entries = recent.length
+    ? recent.map((item) => {
+        const buttons = getDownloadActions(item)
+          .map(([action, label]) => `<button type="button" class="menu-item" data-download-action="${action}" data-download-id="${escapeHtml(item.id)}">${escapeHtml(label)}</button>`)
+          .join("");
+        const warnings = getDownloadWarnings(item)
+          .map((warning) => `<span class="downloads-warning">${escapeHtml(warning)}</span>`)
+          .join("");
+        return `<div class="downloads-entry"><strong>${escapeHtml(item.filename || "Unknown file")}</strong><span class="shield-muted">${escapeHtml(describeDownloadProgress(item))}</span>${warnings}<div class="downloads-bar"><span style="width:${getDownloadProgress(item)}%"></span></div><div class="downloads-actions">${buttons}</div></div>`;
+      }).join("")
+    : '<div class="shield-muted">No downloads yet.</div>';
+
+  dom.downloadsPanel.innerHTML = `
+    <div class="shield-head"><strong>Downloads</strong></div>
+    ${entries}
+    <div class="downloads-actions">
+      <button type="button" class="menu-item" data-download-action="page">Open Downloads Page</button>
+    </div>
+  `;
+}
+
+function updateDownloadsButtonState() {
+  const active = state.downloads.filter((item) => item.state === "progressing" && !item.paused).length;
+  if (active > 0) {
+    dom.downloadsBtn.setAttribute("data-count", String(active));
+  } else {
+    dom.downloadsBtn.removeAttribute("data-count");
+  }
+}
+
+async function handleDownloadsPanelClick(event) {
+  const button = event.target instanceof HTMLElement
+    ? event.target.closest("[data-download-action]")
+    : null;
+  if (!button) {
+    return;
+  }
+
+  const action = button.getAttribute("data-download-action") || "";
+  if (action === "page") {
+    hideDownloadsPanel();
+    navigateActiveTab("about:downloads");
+    return;
+  }
+
+  await runDownloadAction(action, button.getAttribute("data-download-id") || "");
+}
+
+function isOmniboxOpen() {
+  return Boolean(dom.omniboxPanel) && !dom.omniboxPanel.classList.contains("hidden");
+}
+
+function hideOmnibox() {
+  // Bumping the request ID drops suggestion lookups that are still in flight.
+  state.omnibox.requestId += 1;
+  state.omnibox.items = [];
+  if (dom.omniboxPanel) {
+    dom.omniboxPanel.classList.add("hidden");
+  }
+}
+
+function handleAddressInput(event) {
+  const text = dom.addressInput.value;
+  state.omnibox.typedText = text;
+  // Deleting text must not complete it again, or Backspace could never remove the completion.
+  const allowInline = !String(event.inputType || "").startsWith("delete") &&
+    dom.addressInput.selectionEnd === text.length;
+  updateOmniboxSuggestions(text, allowInline);
+}
+
+async function updateOmniboxSuggestions(text, allowInline) {
+  state.omnibox.requestId += 1;
+  const requestId = state.omnibox.requestId;
+  if (!text.trim()) {
+    hideOmnibox();
+    return;
+  }
+
+  let result = { items: [], inlineCompletion: "" };
+  try {
+    result = await window.bastionAPI.history.suggest(text, MAX_OMNIBOX_SUGGESTIONS);
+  } catch (_) {
+    // Open tabs and bookmarks still give suggestions.
+  }
+
+  if (
+    requestId !== state.omnibox.requestId ||
+    dom.addressInput.value !== text ||
+    document.activeElement !== dom.addressInput
+  ) {
+    return;
+  }
+
+  let address = text;
+  const completion = String(result.inlineCompletion || "");
+  if (allowInline && completion.length > text.length && completion.startsWith(text.toLowerCase())) {
+    address = text + completion.slice(text.length);
+    dom.addressInput.value = address;
+    dom.addressInput.setSelectionRange(text.length, address.length);
+  }
+
+  state.omnibox.items = buildOmniboxSuggestions(text, address, result.items || []);
+  state.omnibox.selectedIndex = 0;
+  renderOmnibox();
+}
+
+function looksLikeAddress(text) {
+  const input = text.trim();
+  return /^[a-z][a-z0-9+.-]*:/i.test(input) || (!input.includes(" ") && input.includes("."));
+}
+
+// The first row is always what Enter does with the text as typed (plus any inline completion).
+// Open tabs come next, then bookmarks, then history ranked by the main process; a URL shows up
+// once, under the first of those that has it.
+function buildOmniboxSuggestions(text, address, historyItems) {
+  const words = text.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = (...fields) => {
+    const haystack = fields.join(" ").toLowerCase();
+    return words.every((word) => haystack.includes(word));
+  };
+
+  const suggestions = [{
+    kind: "default",
+    url: address,
+    title: looksLikeAddress(address) ? `Go to ${address.trim()}` : `Search DuckDuckGo for "${text.trim()}"`
+  }];
+  const seen = new Set();
+  const add = (suggestion) => {
+    if (suggestions.length < MAX_OMNIBOX_SUGGESTIONS && suggestion.url && !seen.has(suggestion.url)) {
+      seen.add(suggestion.url);
+      suggestions.push(suggestion);
+    }
+  };
+
+  state.tabs
+    .filter((tab) => tab.id !== state.activeTabId && matches(tab.title, getTabDisplayAddress(tab)))
+    .slice(0, MAX_OMNIBOX_TABS)
+    .forEach((tab) => add({ kind: "tab", url: getTabDisplayAddress(tab), title: tab.title, tabId: tab.id }));
+
+  state.bookmarks
+    .filter((bookmark) => matches(bookmark.title, bookmark.url))
+    .slice(0, MAX_OMNIBOX_BOOKMARKS)
+    .forEach((bookmark) => add({ kind: "bookmark", url: bookmark.url, title: bookmark.title }));
+
+  historyItems.forEach((item) => add({ kind: "history", url: item.url, title: item.title }));
+  return suggestions;
+}
+
+function renderOmnibox() {
+  const { items, selectedIndex } = state.omnibox;
+  if (items.length === 0) {
+    hideOmnibox();
+    return;
+  }
+
+  const bounds = dom.addressInput.getBoundingClientRect();
+  dom.omniboxPanel.style.left = `${bounds.left}px`;
+  dom.omniboxPanel.style.top = `${bounds.bottom + 6}px`;
+  dom.omniboxPanel.style.width = `${bounds.width}px`;
+
+  dom.omniboxPanel.innerHTML = items.map((item, index) => {
+    const selected = index === selectedIndex;
+    const kind = item.kind === "default"
+      ? ""
+      : `<span class="omnibox-kind">${escapeHtml(OMNIBOX_KIND_LABELS[item.kind])}</span>`;
+    const detail = item.kind === "default" ? "" : `<span class="omnibox-url">${escapeHtml(item.url)}</span>`;
+    const remove = item.kind === "history"
+      ? `<button type="button" class="omnibox-remove" data-omnibox-remove="${index}" title="Remove from history (Shift+Delete)" aria-label="Remove from history">&times;</button>`
+      : "";
+    return `<div class="omnibox-row${selected ? " selected" : ""}" role="option" aria-selected="${selected}" data-omnibox-index="${index}">${kind}<span class="omnibox-title">${escapeHtml(item.title || item.url)}</span>${detail}${remove}</div>`;
+  }).join("");
+  dom.omniboxPanel.classList.remove("hidden");
+}
+
+function selectOmniboxSuggestion(index) {
+  const item = state.omnibox.items[index];
+  if (!item) {
+    return;
+  }
+  state.omnibox.selectedIndex = index;
+  dom.addressInput.value = item.url;
+  renderOmnibox();
+}
+
+function handleAddressKeydown(event) {
+  if (!isOmniboxOpen()) {
+    return;
+  }
+
+  const { items, selectedIndex } = state.omnibox;
+  if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+    event.preventDefault();
+    const step = event.key === "ArrowDown" ? 1 : -1;
+    selectOmniboxSuggestion((selectedIndex + step + items.length) % items.length);
+    return;
+  }
+
+  if (event.key === "Escape") {
+    event.preventDefault();
+    dom.addressInput.value = state.omnibox.typedText;
+    hideOmnibox();
+    return;
+  }
+
+  if (event.key === "Delete" && event.shiftKey && items[selectedIndex] && items[selectedIndex].kind === "history") {
+    event.preventDefault();
+    removeOmniboxSuggestion(items[selectedIndex]);
+  }
+}
+
+async function removeOmniboxSuggestion(item) {
+  const result = await window.bastionAPI.history.deleteUrl(item.url);
+  if (!result || !result.ok) {
+    showToast((result && result.error) || "Unable to remove the page from history.", true);
+    return;
+  }
+
+  const { items, selectedIndex } = state.omnibox;
+  const index = items.indexOf(item);
+  if (index === -1) {
+    return;
+  }
+
+  state.omnibox.items = items.filter((entry) => entry !== item);
+  if (index === selectedIndex) {
+    state.omnibox.selectedIndex = 0;
+    dom.addressInput.value = state.omnibox.items[0] ? state.omnibox.items[0].url : state.omnibox.typedText;
+  } else if (index < selectedIndex) {
+    state.omnibox.selectedIndex -= 1;
+  }
+  renderOmnibox();
+}
+
+function handleOmniboxClick(event) {
+  const target = event.target instanceof HTMLElement ? event.target : null;
+  if (!target) {
+    return;
+  }
+
+  const removeButton = target.closest("[data-omnibox-remove]");
+  if (removeButton) {
+    const item = state.omnibox.items[Number(removeButton.getAttribute("data-omnibox-remove"))];
+    if (item) {
+      removeOmniboxSuggestion(item);
+    }
+    return;
+  }
+
+  const row = target.closest("[data-omnibox-index]");
+  const item = row ? state.omnibox.items[Number(row.getAttribute("data-omnibox-index"))] : null;
+  if (item) {
+    hideOmnibox();
+    openOmniboxSuggestion(item);
+  }
+}
+
+function openOmniboxSuggestion(item) {
+  if (item.kind === "tab") {
+    activateTab(item.tabId);
+    return;
+  }
+  // The default row reads the input itself: a lookup may still be running for the latest keystroke.
+  const address = item.kind === "default" ? dom.addressInput.value : item.url;
+  navigateActiveTab(address, item.kind === "bookmark" ? "bookmark" : "typed");
+}
+
+function getTabWebContentsId(tab) {
+  try {
+    return tab && tab.webview ? tab.webview.getWebContentsId() : 0;
+  } catch (_) {
+    return 0;
+  }
+}
+
+function getTabSiteUrl(tab) {
+  if (!tab || tab.localPage) {
+    return "";
+  }
+
+  const url = safeUrl(tab.webview) || tab.address || "";
+  return /^https?:\/\//i.test(url) ? url : "";
+}
+
+async function renderShieldPanel() {
+  const tab = getActiveTab();
+  const siteUrl = getTabSiteUrl(tab);
+  if (!siteUrl) {
+    dom.shieldPanel.innerHTML = `
+      <div class="shield-head"><strong>Site Shield</strong><span class="shield-muted">Shield settings apply to websites only.</span></div>
+    `;
+    return;
+  }
+
+  const [siteState, activity] = await Promise.all([
+    window.bastionAPI.privacy.getSite(siteUrl),
+    window.bastionAPI.privacy.getTabActivity(getTabWebContentsId(tab))
+  ]);
+
+  if (!siteState || !siteState.siteKey) {
+    dom.shieldPanel.innerHTML = '<div class="shield-muted">Unable to read site privacy settings.</div>';
+    return;
+  }
+
+  const toggles = Object.entries(SITE_PRIVACY_LABELS).map(([key, label]) => {
+    const checked = siteState.effective[key] ? "checked" : "";
+    const isOverride = Object.prototype.hasOwnProperty.call(siteState.overrides, key);
+    const marker = isOverride ? '<span class="shield-override">site</span>' : "";
+    return `<label class="shield-toggle"><input type="checkbox" data-shield-key="${escapeHtml(key)}" ${checked} /> ${escapeHtml(label)}${marker}</label>`;
+  }).join("");
+
+  const data = activity && typeof activity === "object" ? activity : {};
+  const hosts = Array.isArray(data.blockedHosts) ? data.blockedHosts : [];
+  const hostRows = hosts.length
+    ? hosts.slice(0, 30).map((item) => `<li><span>${escapeHtml(item.host)}</span><span>${escapeHtml(String(item.count))}</span></li>`).join("")
+    : '<li><span>Nothing blocked on this page yet.</span></li>';
+
+  dom.shieldPanel.innerHTML = `
+    <div class="shield-head">
+      <strong>${escapeHtml(siteState.siteKey)}</strong>
+      <span class="shield-muted">Changes apply to this site and reload the tab.</span>
+    </div>
+    ${toggles}
+    <div class="shield-muted">Blocked requests: ${escapeHtml(String(data.blockedRequests || 0))} | HTTPS upgrades: ${escapeHtml(String(data.upgradedToHttps || 0))}</div>
+    <div class="shield-muted">Stripped cookies: ${escapeHtml(String(data.strippedCookieHeaders || 0))} | Stripped Referers: ${escapeHtml(String(data.strippedRefererHeaders || 0))}</div>
+    <ul class="shield-hosts">${hostRows}</ul>
+    <div class="shield-actions">
+      <button type="button" class="menu-item" data-shield-action="report">Privacy Report</button>
+      <button type="button" class="menu-item" data-shield-action="reset" data-site="${escapeHtml(siteState.siteKey)}">Reset Site</button>
+    </div>
+  `;
+}
+
+async function updateShieldButtonState() {
+  const tab = getActiveTab();
+  const siteUrl = getTabSiteUrl(tab);
+  if (!siteUrl) {
+    dom.shieldBtn.removeAttribute("data-count");
+    dom.shieldBtn.classList.remove("is-relaxed");
+    return;
+  }
+
+  const activity = await window.bastionAPI.privacy.getTabActivity(getTabWebContentsId(tab));
+  const blocked = Number((activity && activity.blockedRequests) || 0);
+  if (blocked > 0) {
+    dom.shieldBtn.setAttribute("data-count", blocked > 99 ? "99+" : String(blocked));
+  } else {
+    dom.shieldBtn.removeAttribute("data-count");
+  }
+
+  const siteKey = activity && activity.siteKey ? activity.siteKey : "";
+  dom.shieldBtn.classList.toggle("is-relaxed", Boolean(siteKey && state.sitePrivacy[siteKey]));
+}
+
+async function handleShieldPanelChange(event) {
+  const input = event.target instanceof HTMLInputElement ? event.target : null;
+  const key = input ? input.getAttribute("data-shield-key") : "";
+  const tab = getActiveTab();
+  const siteUrl = getTabSiteUrl(tab);
+  if (!key || !siteUrl) {
+    return;
+  }
+
+  const result = await window.bastionAPI.privacy.updateSite(siteUrl, { [key]: input.checked });
+  if (!result || !result.ok) {
+    showToast(result && result.error ? result.error : "Unable to update site settings.", true);
+    return;
+  }
+
+  await refreshSitePrivacy();
+  reloadActiveTab(false);
+  renderShieldPanel();
+}
+
+async function handleShieldPanelClick(event) {
+  const button = event.target instanceof HTMLElement
+    ? event.target.closest("[data-shield-action]")
+    : null;
+  if (!button) {
+    return;
+  }
+
+  if (button.getAttribute("data-shield-action") === "reset") {
+    await window.bastionAPI.privacy.resetSite(button.getAttribute("data-site") || "");
+    await refreshSitePrivacy();
+    showToast("Site privacy settings reset.");
+    reloadActiveTab(false);
+    renderShieldPanel();
+    return;
+  }
+
+  if (button.getAttribute("data-shield-action") === "report") {
+    hideShieldPanel();
+    navigateActiveTab("about:privacy");
+  }
+}
+
+function getPermissionPromptText(prompt) {
+  if (prompt.permission === "media" && Array.isArray(prompt.mediaTypes) && prompt.mediaTypes.length) {
+    const devices = prompt.mediaTypes.map((type) => (type === "video" ? "camera" : "microphone"));
+    return `use your ${devices.join(" and ")}`;
+  }
+  return PERMISSION_LABELS[prompt.permission] || `use "${prompt.permission}"`;
+}
+
+function renderPermissionPrompt() {
+  const pendingIds = new Set(state.permissionPrompts.map((prompt) => prompt.webContentsId));
+  for (const tab of state.tabs) {
+    tab.tabButton.classList.toggle("has-permission-prompt", pendingIds.has(getTabWebContentsId(tab)));
+  }
+
+  const activeId = getTabWebContentsId(getActiveTab());
+  const prompt = state.permissionPrompts.find((item) => item.webContentsId === activeId);
+  if (!prompt) {
+    dom.permissionPrompt.classList.add("hidden");
+    dom.permissionPrompt.innerHTML = "";
+    return;
+  }
+
+  dom.permissionPrompt.innerHTML = `
+    <div><strong>${escapeHtml(prompt.origin)}</strong> wants to ${escapeHtml(getPermissionPromptText(prompt))}.</div>
+    <div class="permission-actions">
+      <button type="button" class="menu-item" data-permission-decision="allow" data-prompt-id="${escapeHtml(prompt.id)}">Allow</button>
+      <button type="button" class="menu-item" data-permission-decision="allow-once" data-prompt-id="${escapeHtml(prompt.id)}">Allow Once</button>
+      <button type="button" class="menu-item danger" data-permission-decision="block" data-prompt-id="${escapeHtml(prompt.id)}">Block</button>
+    </div>
+  `;
+  dom.permissionPrompt.classList.remove("hidden");
 }
 
-function hideBrowserMenu() {
-  if (!dom.browserMenu) {
+async function handlePermissionPromptClick(event) {
+  const button = event.target instanceof HTMLElement
+    ? event.target.closest("[data-permission-decision]")
+    : null;
+  if (!button) {
     return;
   }
-  dom.browserMenu.classList.add("hidden");
+
+  const id = button.getAttribute("data-prompt-id") || "";
+  const result = await window.bastionAPI.permissions.respond(id, button.getAttribute("data-permission-decision"));
+  if (!result || !result.ok) {
+    state.permissionPrompts = state.permissionPrompts.filter((prompt) => prompt.id !== id);
+    renderPermissionPrompt();
+  }
 }
 
 async function handleBrowserMenuAction(event) {
@@ -457,6 +1262,21 @@ async function handleBrowserMenuAction(event) {
     return;
   }
 
+  if (action === "new-window") {
+    openNewWindow();
+    return;
+  }
+
+  if (action === "private-window") {
+    openPrivateWindow();
+    return;
+  }
+
+  if (action === "move-tab") {
+    moveTabToNewWindow(state.activeTabId);
+    return;
+  }
+
   if (action === "clear-history") {
     await window.bastionAPI.history.clear();
     await refreshHistory();
@@ -504,7 +1324,7 @@ function createTab(rawAddress = NEW_TAB_URL, makeActive = true) {
   const webview = document.createElement("webview");
   webview.className = "browser-view";
   webview.dataset.tabId = id;
-  webview.setAttribute("partition", "persist:bastion");
+  webview.setAttribute("partition", state.tabPartition);
   webview.setAttribute("allowpopups", "");
   webview.setAttribute("allowfullscreen", "");
   webview.setAttribute("src", resolved.url);
@@ -521,7 +1341,9 @@ function createTab(rawAddress = NEW_TAB_URL, makeActive = true) {
     closeButton,
     favicon,
     webview,
-    isLoading: false
+    isLoading: false,
+    pendingTransition: "",
+    lastHistoryUrl: ""
   };
 
   tab.tabTitle.textContent = trimTabTitle(tab.title);
@@ -535,6 +1357,7 @@ function createTab(rawAddress = NEW_TAB_URL, makeActive = true) {
   });
 
   wireWebviewEvents(tab);
+  loadLocalPageData(tab);
 
   if (makeActive || !state.activeTabId) {
     activateTab(id);
@@ -574,7 +1397,11 @@ function wireWebviewEvents(tab) {
 
     const url = safeUrl(tab.webview);
     if (url && !tab.localPage && url !== "about:blank") {
-      addHistoryEntry(url, tab.title || url);
+      // Loading the same URL again without a new navigation is a reload.
+      const transition = tab.pendingTransition || (url === tab.lastHistoryUrl ? "reload" : "link");
+      tab.pendingTransition = "";
+      tab.lastHistoryUrl = url;
+      addHistoryEntry(url, tab.title || url, transition);
     }
 
     persistSession();
@@ -591,6 +1418,7 @@ function wireWebviewEvents(tab) {
       dom.addressInput.value = getTabDisplayAddress(tab);
       updateNavigationButtons();
       updateBookmarkButtonState();
+      updateShieldButtonState();
     }
 
     if (!tab.localPage) {
@@ -630,7 +1458,7 @@ function wireWebviewEvents(tab) {
     tab.tabTitle.textContent = trimTabTitle(tab.title);
 
     if (tab.id === state.activeTabId) {
-      document.title = `${tab.title} - Bastion Browser`;
+      document.title = getWindowTitle(tab.title);
     }
   });
 
@@ -676,7 +1504,7 @@ function wireWebviewEvents(tab) {
     window.bastionAPI.window.setFullscreen(false);
   });
 
-  tab.webview.addEventListener("did-fail-load", (event) => {
+  tab.webview.addEventListener("did-fail-load", async (event) => {
     tab.isLoading = false;
     tab.tabButton.classList.remove("loading");
 
@@ -688,11 +1516,24 @@ function wireWebviewEvents(tab) {
       return;
     }
 
-    const errorPage = buildErrorPage(event.validatedURL, event.errorDescription || "Unknown error");
-    tab.localPage = "error";
-    tab.address = errorPage;
-    tab.displayAddress = "about:error";
-    tab.webview.loadURL(errorPage);
+    const description = event.errorDescription || "Unknown error";
+    const fallback = /^https:/i.test(event.validatedURL)
+      ? await window.bastionAPI.privacy.getHttpsFallback(getTabWebContentsId(tab), event.validatedURL)
+      : null;
+
+    if (fallback && fallback.upgraded) {
+      const interstitial = buildHttpsOnlyPage(fallback, description);
+      tab.localPage = "https-only";
+      tab.address = interstitial;
+      tab.displayAddress = fallback.httpUrl;
+      tab.webview.loadURL(interstitial);
+    } else {
+      const errorPage = buildErrorPage(event.validatedURL, description);
+      tab.localPage = "error";
+      tab.address = errorPage;
+      tab.displayAddress = "about:error";
+      tab.webview.loadURL(errorPage);
+    }
 
     if (tab.id === state.activeTabId) {
       dom.addressInput.value = tab.displayAddress;
@@ -709,6 +1550,7 @@ function activateTab(tabId) {
   }
 
   state.activeTabId = tabId;
+  hideOmnibox();
 
   for (const tab of state.tabs) {
     const isActive = tab.id === tabId;
@@ -717,9 +1559,14 @@ function activateTab(tabId) {
   }
 
   dom.addressInput.value = getTabDisplayAddress(target);
-  document.title = `${target.title} - Bastion Browser`;
+  document.title = getWindowTitle(target.title);
   updateNavigationButtons();
   updateBookmarkButtonState();
+  updateShieldButtonState();
+  if (isShieldPanelOpen()) {
+    renderShieldPanel();
+  }
+  renderPermissionPrompt();
 
   if (target.isLoading) {
     setLoadingState(true);
@@ -794,8 +1641,13 @@ function getTabDisplayAddress(tab) {
   return tab.displayAddress || tab.address || NEW_TAB_URL;
 }
 
-function navigateActiveTab(rawAddress) {
-  const tab = getActiveTab();
+// The transition says how the page was reached ("typed", "bookmark", "link") and is passed
+// on with the history visit once the page loads.
+function navigateActiveTab(rawAddress, transition) {
+  navigateTab(getActiveTab(), rawAddress, transition);
+}
+
+function navigateTab(tab, rawAddress, transition = "link") {
   if (!tab) {
     return;
   }
@@ -805,6 +1657,7 @@ function navigateActiveTab(rawAddress) {
     return;
   }
 
+  tab.pendingTransition = resolved.localPage ? "" : transition;
   tab.localPage = resolved.localPage;
   tab.address = resolved.url;
   tab.displayAddress = resolved.display;
@@ -814,7 +1667,10 @@ function navigateActiveTab(rawAddress) {
   }
 
   tab.webview.loadURL(resolved.url);
-  dom.addressInput.value = resolved.display;
+  if (tab.id === state.activeTabId) {
+    dom.addressInput.value = resolved.display;
+  }
+  loadLocalPageData(tab);
 
   if (!resolved.localPage) {
     updateTabFavicon(tab, inferFavicon(resolved.url));
@@ -845,6 +1701,44 @@ function getLocalPageTitle(localPage) {
   return "Bastion Page";
 }
 
+function buildErrorPage(failedUrl, description) {
+  const body = `
+    <h1>This page could not be loaded</h1>
+    <p><code>${escapeHtml(failedUrl)}</code></p>
+    <div class="card"><div class="muted">${escapeHtml(description)}</div></div>
+    <div class="row">
+      <a href="${escapeHtml(failedUrl)}">Try Again</a>
+      <a href="about:newtab">Open New Tab</a>
+    </div>
+  `;
+
+  return buildLocalPage("Page Error", body);
+}
+
+function buildHttpsOnlyPage(fallback, description) {
+  const httpUrl = String(fallback.httpUrl || "");
+  const actions = fallback.strict
+    ? '<div class="muted">Strict HTTPS-only mode is on, so Bastion will not fall back to HTTP. Turn it off in Settings to allow exceptions.</div>'
+    : `<div class="row">
+        <a href="bastion-action://https/continue-once?url=${encodeURIComponent(httpUrl)}">Continue Over HTTP Once</a>
+        <a href="bastion-action://https/always-allow?url=${encodeURIComponent(httpUrl)}">Always Allow HTTP for ${escapeHtml(fallback.host || "This Site")}</a>
+      </div>`;
+
+  const body = `
+    <h1>Secure connection unavailable</h1>
+    <p>HTTPS-only mode tried to open <code>${escapeHtml(httpUrl.replace(/^http:/i, "https:"))}</code>, but the secure version failed to load.</p>
+    <div class="card"><div class="muted">${escapeHtml(description)}</div></div>
+    <p>Continuing over HTTP lets anyone on the network read or change this page.</p>
+    ${actions}
+    <div class="row">
+      <a href="about:newtab">Open New Tab</a>
+      <a href="about:settings">Privacy Settings</a>
+    </div>
+  `;
+
+  return buildLocalPage("HTTPS-Only Mode", body);
+}
+
 function buildGenericAboutPage(slug) {
   const title = `About ${toTitleCase(slug)}`;
   const body = `
@@ -887,10 +1781,26 @@ function resolveAddress(raw) {
     return { url: buildHistoryPage(), display: "about:history", localPage: "history" };
   }
 
+  if (lowered === "about:cookies" || lowered === "about:site-data") {
+    return { url: buildSiteDataPage(), display: "about:cookies", localPage: "cookies" };
+  }
+
+  if (lowered === "about:privacy") {
+    return { url: buildPrivacyReportPage(), display: "about:privacy", localPage: "privacy" };
+  }
+
   if (lowered === "about:game" || lowered === "bastion://game") {
     return { url: buildGamePage(), display: "about:game", localPage: "game" };
   }
 
+  if (lowered === "about:extensions") {
+    return { url: buildExtensionsPage(), display: "about:extensions", localPage: "extensions" };
+  }
+
+  if (lowered === "about:whatsnew") {
+    return { url: buildWhatsNewPage(), display: "about:whatsnew", localPage: "whatsnew" };
+  }
+
   const aboutMatch = lowered.match(/^about:([a-z0-9-]+)$/i);
   if (aboutMatch && aboutMatch[1] !== "blank") {
     const slug = aboutMatch[1].toLowerCase();
@@ -1209,7 +2119,7 @@ function renderBookmarks() {
     chip.title = `${bookmark.title}\nRight-click to remove`;
     chip.textContent = trimTabTitle(bookmark.title || bookmark.url || "Saved");
 
-    chip.addEventListener("click", () => navigateActiveTab(bookmark.url));
+    chip.addEventListener("click", () => navigateActiveTab(bookmark.url, "bookmark"));
     chip.addEventListener("contextmenu", (event) => {
       event.preventDefault();
       removeBookmark(bookmark.url);
@@ -1282,9 +2192,20 @@ async function refreshExtensionList() {
   state.extensions = Array.isArray(list) ? list : [];
 }
 
+async function refreshExtensionCatalog() {
+  const catalog = await window.bastionAPI.extensions.getCatalog();
+  state.extensionCatalog = Array.isArray(catalog) ? catalog : [];
+}
+
+async function refreshDownloadConfig() {
+  const config = await window.bastionAPI.downloads.getConfig();
+  state.downloadConfig = config && typeof config === "object" ? config : null;
+}
+
 async function refreshDownloads() {
   const list = await window.bastionAPI.downloads.list();
   state.downloads = Array.isArray(list) ? list : [];
+  updateDownloadsButtonState();
 }
 
 async function refreshHistory() {
@@ -1292,6 +2213,19 @@ async function refreshHistory() {
   state.history = Array.isArray(list) ? list : [];
 }
 
+// Dates from the about:history form are local calendar days; "to" covers the whole day.
+async function refreshHistorySearch() {
+  const query = state.historyQuery;
+  const result = await window.bastionAPI.history.search({
+    text: query.text,
+    from: query.from ? new Date(`${query.from}T00:00:00`).getTime() : 0,
+    to: query.to ? new Date(`${query.to}T23:59:59.999`).getTime() : 0,
+    groupBy: query.groupBy,
+    limit: HISTORY_PAGE_SIZE
+  });
+  state.historyResults = result && Array.isArray(result.items) ? result : { total: 0, items: [] };
+}
+
 async function refreshUpdateStatus() {
   const status = await window.bastionAPI.updates.getStatus();
   state.updateStatus = status && typeof status === "object" ? status : null;
@@ -1305,6 +2239,16 @@ async function refreshUpdateConfig() {
   };
 }
 
+async function refreshRollbackInfo() {
+  const info = await window.bastionAPI.updates.getRollbackInfo();
+  state.rollbackInfo = info && typeof info === "object" ? info : null;
+}
+
+async function refreshReleaseNotes() {
+  const notes = await window.bastionAPI.updates.getReleaseNotes();
+  state.releaseNotes = notes && typeof notes === "object" ? notes : null;
+}
+
 async function refreshPrivacyConfig() {
   const config = await window.bastionAPI.privacy.getConfig();
   state.privacyConfig = {
@@ -1318,11 +2262,65 @@ async function refreshPrivacyStats() {
   state.privacyStats = stats && typeof stats === "object" ? stats : null;
 }
 
-function addHistoryEntry(url, title) {
+async function refreshSitePrivacy() {
+  const sites = await window.bastionAPI.privacy.listSites();
+  state.sitePrivacy = sites && typeof sites === "object" ? sites : {};
+}
+
+async function refreshPrivacyLog() {
+  const entries = await window.bastionAPI.privacy.getLog({ limit: MAX_PRIVACY_REPORT_ENTRIES });
+  state.privacyLog = Array.isArray(entries) ? entries : [];
+}
+
+async function refreshFilterLists() {
+  const snapshot = await window.bastionAPI.privacy.getFilterLists();
+  state.filterLists = snapshot && typeof snapshot === "object" ? snapshot : null;
+}
+
+async function refreshSiteData() {
+  const snapshot = await window.bastionAPI.siteData.list();
+  state.siteData = snapshot && typeof snapshot === "object" ? snapshot : null;
+}
+
+function loadLocalPageData(tab) {
+  const loader = tab && tab.localPage ? LOCAL_PAGE_DATA_LOADERS[tab.localPage] : null;
+  if (!loader) {
+    return;
+  }
+
+  const localPage = tab.localPage;
+  loader().then(() => {
+    if (tab.localPage === localPage && state.tabs.includes(tab)) {
+      refreshLocalPage(tab);
+    }
+  });
+}
+
+async function refreshHttpsExceptions() {
+  const hosts = await window.bastionAPI.privacy.getHttpsExceptions();
+  state.httpsExceptions = hosts && typeof hosts === "object" ? hosts : {};
+}
+
+async function refreshPermissionDecisions() {
+  const origins = await window.bastionAPI.permissions.list();
+  state.permissionDecisions = origins && typeof origins === "object" ? origins : {};
+}
+
+async function refreshPublicSuffixList() {
+  const snapshot = await window.bastionAPI.privacy.getPublicSuffixList();
+  state.publicSuffixList = snapshot && typeof snapshot === "object" ? snapshot : null;
+}
+
+function addHistoryEntry(url, title, transition) {
+  if (state.isPrivate) {
+    return;
+  }
+
   const safeEntry = {
     url,
     title: title || url,
-    visitedAt: Date.now()
+    visitedAt: Date.now(),
+    transition
   };
 
   window.bastionAPI.history.append(safeEntry).catch(() => {
@@ -1330,19 +2328,38 @@ function addHistoryEntry(url, title) {
   });
 }
 
-function restoreTabsOrCreateFresh() {
-  const restored = restoreSession();
-  if (!restored) {
+async function restoreTabsOrCreateFresh() {
+  let startup = { urls: [], session: null };
+  try {
+    startup = (await window.bastionAPI.window.getStartup()) || startup;
+  } catch (_) {
+    // Fall back to a fresh tab.
+  }
+
+  if (Array.isArray(startup.urls) && startup.urls.length > 0) {
+    startup.urls.slice(0, MAX_TABS).forEach((url, index) => createTab(url, index === 0));
+  } else if (!restoreStartupSession(startup.session)) {
     createTab(NEW_TAB_URL, true);
   }
+
+  // Main process sets this once, on the first launch after an update was applied.
+  if (startup.showWhatsNew) {
+    createTab("about:whatsnew", true);
+  }
 }
 
-function restoreSession() {
-  if (!state.settings.restoreSession) {
+function restoreStartupSession(session) {
+  if (state.isPrivate || !state.settings.restoreSession) {
     return false;
   }
 
-  const payload = loadJson(SESSION_KEY, null);
+  // Sessions used to live in localStorage, which every window shares; migrate them once.
+  const legacy = loadJson(SESSION_KEY, null);
+  localStorage.removeItem(SESSION_KEY);
+  return restoreSession(session || legacy);
+}
+
+function restoreSession(payload) {
   if (!payload || !Array.isArray(payload.tabs) || payload.tabs.length === 0) {
     return false;
   }
@@ -1366,7 +2383,7 @@ function restoreSession() {
 }
 
 function persistSession() {
-  if (!state.settings.restoreSession) {
+  if (!state.settings.restoreSession || state.isPrivate) {
     return;
   }
 
@@ -1375,9 +2392,11 @@ function persistSession() {
   })).slice(0, MAX_TABS);
 
   const activeIndex = state.tabs.findIndex((tab) => tab.id === state.activeTabId);
-  saveJson(SESSION_KEY, {
+  window.bastionAPI.session.save({
     tabs,
     activeIndex: activeIndex >= 0 ? activeIndex : 0
+  }).catch(() => {
+    // Best effort.
   });
 }
 
@@ -1408,6 +2427,7 @@ function handleSpecialNavigation(url, tab, event) {
       tab.tabTitle.textContent = trimTabTitle(tab.title);
     }
     tab.webview.loadURL(resolved.url);
+    loadLocalPageData(tab);
 
     if (tab.id === state.activeTabId) {
       dom.addressInput.value = resolved.display;
@@ -1439,8 +2459,13 @@ function isInternalAlias(url) {
     value === "bastion://settings" ||
     value === "about:downloads" ||
     value === "about:history" ||
+    value === "about:privacy" ||
+    value === "about:cookies" ||
+    value === "about:site-data" ||
     value === "about:game" ||
-    value === "bastion://game"
+    value === "bastion://game" ||
+    value === "about:whatsnew" ||
+    value === "about:extensions"
   );
 }
 
@@ -1465,7 +2490,9 @@ async function handleLocalAction(url, tab) {
     state.settings.compactMode = parsed.searchParams.get("compactMode") === "1";
 
     if (!state.settings.restoreSession) {
-      localStorage.removeItem(SESSION_KEY);
+      window.bastionAPI.session.clear().catch(() => {
+        // Best effort.
+      });
     } else {
       persistSession();
     }
@@ -1477,6 +2504,100 @@ async function handleLocalAction(url, tab) {
     return;
   }
 
+  if (key.startsWith("extensions/")) {
+    const extensionKey = parsed.searchParams.get("key") || "";
+    let result = null;
+    if (key === "extensions/enable") {
+      const enabled = parsed.searchParams.get("enabled") === "1";
+      result = await window.bastionAPI.extensions.setEnabled(extensionKey, enabled);
+      if (result && result.ok) {
+        showToast(enabled ? "Extension enabled." : "Extension disabled.");
+      }
+    } else if (key === "extensions/reload") {
+      result = await window.bastionAPI.extensions.reload(extensionKey);
+      if (result && result.ok) {
+        showToast("Extension reloaded from disk.");
+      }
+    } else if (key === "extensions/remove") {
+      result = await window.bastionAPI.extensions.remove(extensionKey);
+      if (result && result.ok) {
+        showToast("Extension removed.");
+      }
+    } else if (key === "extensions/open-folder") {
+      result = await window.bastionAPI.extensions.openFolder(extensionKey);
+    }
+
+    if (result && !result.ok) {
+      showToast(result.error || "Extension action failed.", true);
+    }
+    await refreshExtensionList();
+    await refreshExtensionCatalog();
+    refreshLocalPage(tab);
+    return;
+  }
+
+  if (key === "download-rules/save") {
+    const result = await window.bastionAPI.downloads.updateConfig({
+      directory: (parsed.searchParams.get("directory") || "").trim(),
+      alwaysAsk: parsed.searchParams.get("alwaysAsk") === "1",
+      conflictAction: parsed.searchParams.get("conflictAction") || "rename"
+    });
+    await refreshDownloadConfig();
+    const directory = (parsed.searchParams.get("directory") || "").trim();
+    if (result && result.ok && directory && result.config.directory !== directory) {
+      showToast("Download folder must be an absolute path. Using the system Downloads folder.", true);
+    } else {
+      showToast("Download settings saved.");
+    }
+    refreshLocalPage(tab);
+    return;
+  }
+
+  if (key === "download-rules/choose-folder") {
+    const result = await window.bastionAPI.downloads.chooseDirectory();
+    if (result && result.ok) {
+      await refreshDownloadConfig();
+      showToast("Download folder updated.");
+      refreshLocalPage(tab);
+    } else if (result && !result.canceled) {
+      showToast(result.error || "Unable to choose download folder.", true);
+    }
+    return;
+  }
+
+  if (key === "download-rules/add" || key === "download-rules/remove") {
+    const rules = state.downloadConfig && Array.isArray(state.downloadConfig.rules)
+      ? state.downloadConfig.rules
+      : [];
+    const nextRules = key === "download-rules/add"
+      ? [
+          ...rules,
+          {
+            type: parsed.searchParams.get("type") || "",
+            pattern: parsed.searchParams.get("pattern") || "",
+            folder: parsed.searchParams.get("folder") || ""
+          }
+        ]
+      : rules.filter((rule) => rule.id !== parsed.searchParams.get("id"));
+    const result = await window.bastionAPI.downloads.updateConfig({ rules: nextRules });
+    await refreshDownloadConfig();
+    if (key === "download-rules/add" && result && result.ok && result.config.rules.length === rules.length) {
+      showToast("Download rule needs a match and a folder. Relative folders may not use '..'.", true);
+    } else {
+      showToast(key === "download-rules/add" ? "Download rule added." : "Download rule removed.");
+    }
+    refreshLocalPage(tab);
+    return;
+  }
+
+  if (key === "settings/install-crx") {
+    const result = await window.bastionAPI.extensions.installCrxFromDialog();
+    reportCrxInstall(result);
+    await refreshExtensionList();
+    refreshLocalPage(tab);
+    return;
+  }
+
   if (key === "settings/load-extension") {
     const result = await window.bastionAPI.extensions.loadFromDialog();
     if (result && result.ok && result.detail) {
@@ -1517,95 +2638,274 @@ async function handleLocalAction(url, tab) {
     const patch = {
       autoCheck: parsed.searchParams.get("autoCheck") === "1",
       autoDownload: parsed.searchParams.get("autoDownload") === "1",
-      allowPrerelease: parsed.searchParams.get("allowPrerelease") === "1",
+      channel: parsed.searchParams.get("channel") || DEFAULT_UPDATE_CONFIG.channel,
       feedURL: (parsed.searchParams.get("feedURL") || "").trim(),
       useGithubReleaseZip: parsed.searchParams.get("useGithubReleaseZip") === "1",
       autoApplyGithubZip: parsed.searchParams.get("autoApplyGithubZip") === "1",
-      autoUpdateUblockOrigin: parsed.searchParams.get("autoUpdateUblockOrigin") === "1"
+      autoRollback: parsed.searchParams.get("autoRollback") === "1",
+      autoUpdateManagedExtensions: parsed.searchParams.get("autoUpdateManagedExtensions") === "1",
+      downloadLimitKbps: Math.max(0, Math.floor(Number(parsed.searchParams.get("downloadLimitKbps")) || 0))
+    };
+
+    await window.bastionAPI.updates.updateConfig(patch);
+    await refreshUpdateConfig();
+    await refreshUpdateStatus();
+    showToast("Update settings saved.");
+    refreshLocalPage(tab);
+    return;
+  }
+
+  if (key === "updates/check") {
+    const result = await window.bastionAPI.updates.check();
+    await refreshUpdateStatus();
+
+    if (result && result.ok) {
+      showToast("Update check started.");
+    } else {
+      showToast(result && result.error ? result.error : "Unable to check for updates.", true);
+    }
+
+    refreshLocalPage(tab);
+    return;
+  }
+
+  if (key === "updates/download") {
+    const result = await window.bastionAPI.updates.download();
+    await refreshUpdateStatus();
+
+    if (result && result.ok) {
+      showToast("Update download started.");
+    } else {
+      showToast(result && result.error ? result.error : "Unable to download update.", true);
+    }
+
+    refreshLocalPage(tab);
+    return;
+  }
+
+  if (key === "updates/install") {
+    const result = await window.bastionAPI.updates.install();
+    if (result && result.ok) {
+      showToast("Installing update and restarting...");
+    } else {
+      showToast(result && result.error ? result.error : "No installable update yet.", true);
+    }
+    return;
+  }
+
+  if (key === "updates/rollback") {
+    const version = parsed.searchParams.get("version") || "";
+    const result = await window.bastionAPI.updates.rollback(version);
+    await refreshUpdateStatus();
+    await refreshRollbackInfo();
+
+    if (result && result.ok) {
+      showToast(`Rolling back to ${version} and restarting...`);
+    } else {
+      showToast(result && result.error ? result.error : "Unable to roll back.", true);
+    }
+
+    refreshLocalPage(tab);
+    return;
+  }
+
+  if (key === "privacy/save") {
+    const patch = {
+      blockTrackers: parsed.searchParams.get("blockTrackers") === "1",
+      upgradeHttps: parsed.searchParams.get("upgradeHttps") === "1",
+      httpsOnlyStrict: parsed.searchParams.get("httpsOnlyStrict") === "1",
+      sendDoNotTrack: parsed.searchParams.get("sendDoNotTrack") === "1",
+      sendGlobalPrivacyControl: parsed.searchParams.get("sendGlobalPrivacyControl") === "1",
+      blockThirdPartyCookies: parsed.searchParams.get("blockThirdPartyCookies") === "1",
+      stripThirdPartyReferer: parsed.searchParams.get("stripThirdPartyReferer") === "1",
+      blockFingerprintingPermissions: parsed.searchParams.get("blockFingerprintingPermissions") === "1",
+      clearDataOnExit: parsed.searchParams.get("clearDataOnExit") === "1"
     };
 
-    await window.bastionAPI.updates.updateConfig(patch);
-    await refreshUpdateConfig();
-    await refreshUpdateStatus();
-    showToast("Update settings saved.");
+    await window.bastionAPI.privacy.updateConfig(patch);
+    await refreshPrivacyConfig();
+    await refreshPrivacyStats();
+    showToast("Privacy settings saved.");
+    refreshLocalPage(tab);
+    return;
+  }
+
+  if (key === "privacy/clear-data") {
+    const scope = (parsed.searchParams.get("scope") || "all").toLowerCase();
+    const result = await window.bastionAPI.privacy.clearData(scope);
+    if (result && result.ok) {
+      if (scope === "downloads" || scope === "all") {
+        await refreshDownloads();
+      }
+      if (scope === "history" || scope === "all") {
+        await refreshHistory();
+      }
+      await refreshPrivacyStats();
+      showToast("Data cleared.");
+      refreshOpenLocalPages();
+    } else {
+      showToast(result && result.error ? result.error : "Unable to clear data.", true);
+    }
+    return;
+  }
+
+  if (key === "privacy/reset-site") {
+    await window.bastionAPI.privacy.resetSite(parsed.searchParams.get("site") || "");
+    await refreshSitePrivacy();
+    showToast("Site privacy settings reset.");
+    refreshLocalPage(tab);
+    return;
+  }
+
+  if (key === "https/continue-once" || key === "https/always-allow") {
+    const httpUrl = parsed.searchParams.get("url") || "";
+    const result = await window.bastionAPI.privacy.allowHttp(httpUrl, {
+      once: key === "https/continue-once",
+      webContentsId: getTabWebContentsId(tab)
+    });
+    if (!result || !result.ok) {
+      showToast(result && result.error ? result.error : "Unable to allow HTTP for this site.", true);
+      return;
+    }
+    navigateTab(tab, httpUrl);
+    return;
+  }
+
+  if (key === "https/remove-exception") {
+    const result = await window.bastionAPI.privacy.removeHttpsException(parsed.searchParams.get("host") || "");
+    if (!result || !result.ok) {
+      showToast(result && result.error ? result.error : "Unable to remove HTTP exception.", true);
+    }
+    await refreshHttpsExceptions();
+    refreshLocalPage(tab);
+    return;
+  }
+
+  if (key === "sitedata/refresh") {
+    await refreshSiteData();
+    refreshLocalPage(tab);
+    return;
+  }
+
+  if (key === "sitedata/clear") {
+    const site = parsed.searchParams.get("site") || "";
+    const result = await window.bastionAPI.siteData.clear(site);
+    if (result && result.ok) {
+      showToast(`Cleared site data for ${result.siteKey}.`);
+    } else {
+      showToast(result && result.error ? result.error : "Unable to clear site data.", true);
+    }
+    await refreshSiteData();
+    refreshLocalPage(tab);
+    return;
+  }
+
+  if (key === "sitedata/keep") {
+    const result = await window.bastionAPI.siteData.keepOnExit(
+      parsed.searchParams.get("site") || "",
+      parsed.searchParams.get("keep") === "1"
+    );
+    if (!result || !result.ok) {
+      showToast(result && result.error ? result.error : "Unable to update the keep list.", true);
+    }
+    await refreshSiteData();
     refreshLocalPage(tab);
     return;
   }
 
-  if (key === "updates/check") {
-    const result = await window.bastionAPI.updates.check();
-    await refreshUpdateStatus();
+  if (key === "privacy/refresh-log") {
+    await refreshPrivacyLog();
+    refreshLocalPage(tab);
+    return;
+  }
 
-    if (result && result.ok) {
-      showToast("Update check started.");
-    } else {
-      showToast(result && result.error ? result.error : "Unable to check for updates.", true);
-    }
+  if (key === "privacy/clear-log") {
+    await window.bastionAPI.privacy.clearLog();
+    await refreshPrivacyLog();
+    showToast("Privacy log cleared.");
+    refreshLocalPage(tab);
+    return;
+  }
 
+  if (key === "filters/import") {
+    const result = await window.bastionAPI.privacy.importFilterList();
+    if (result && result.ok && result.list) {
+      showToast(`Filter list imported: ${result.list.name} (${result.list.ruleCount} rules)`);
+    } else if (!result || !result.canceled) {
+      showToast(result && result.error ? result.error : "Failed to import filter list.", true);
+    }
+    await refreshFilterLists();
     refreshLocalPage(tab);
     return;
   }
 
-  if (key === "updates/download") {
-    const result = await window.bastionAPI.updates.download();
-    await refreshUpdateStatus();
+  if (key === "filters/toggle") {
+    const id = parsed.searchParams.get("id") || "";
+    const enabled = parsed.searchParams.get("enabled") === "1";
+    const result = await window.bastionAPI.privacy.setFilterListEnabled(id, enabled);
+    if (!result || !result.ok) {
+      showToast(result && result.error ? result.error : "Unable to update filter list.", true);
+    }
+    await refreshFilterLists();
+    refreshLocalPage(tab);
+    return;
+  }
 
+  if (key === "filters/remove") {
+    const id = parsed.searchParams.get("id") || "";
+    const result = await window.bastionAPI.privacy.removeFilterList(id);
     if (result && result.ok) {
-      showToast("Update download started.");
+      showToast("Filter list removed.");
     } else {
-      showToast(result && result.error ? result.error : "Unable to download update.", true);
+      showToast(result && result.error ? result.error : "Unable to remove filter list.", true);
     }
+    await refreshFilterLists();
+    refreshLocalPage(tab);
+    return;
+  }
 
+  if (key === "filters/reload") {
+    await window.bastionAPI.privacy.reloadFilterLists();
+    await refreshFilterLists();
+    showToast("Filter lists reloaded.");
     refreshLocalPage(tab);
     return;
   }
 
-  if (key === "updates/install") {
-    const result = await window.bastionAPI.updates.install();
+  if (key === "permissions/revoke") {
+    const result = await window.bastionAPI.permissions.revoke(
+      parsed.searchParams.get("origin") || "",
+      parsed.searchParams.get("permission") || ""
+    );
     if (result && result.ok) {
-      showToast("Installing update and restarting...");
+      showToast("Site permission revoked.");
     } else {
-      showToast(result && result.error ? result.error : "No installable update yet.", true);
+      showToast(result && result.error ? result.error : "Unable to revoke permission.", true);
     }
+    await refreshPermissionDecisions();
+    refreshLocalPage(tab);
     return;
   }
 
-  if (key === "privacy/save") {
-    const patch = {
-      blockTrackers: parsed.searchParams.get("blockTrackers") === "1",
-      upgradeHttps: parsed.searchParams.get("upgradeHttps") === "1",
-      sendDoNotTrack: parsed.searchParams.get("sendDoNotTrack") === "1",
-      sendGlobalPrivacyControl: parsed.searchParams.get("sendGlobalPrivacyControl") === "1",
-      blockThirdPartyCookies: parsed.searchParams.get("blockThirdPartyCookies") === "1",
-      stripThirdPartyReferer: parsed.searchParams.get("stripThirdPartyReferer") === "1",
-      blockFingerprintingPermissions: parsed.searchParams.get("blockFingerprintingPermissions") === "1",
-      clearDataOnExit: parsed.searchParams.get("clearDataOnExit") === "1"
-    };
-
-    await window.bastionAPI.privacy.updateConfig(patch);
-    await refreshPrivacyConfig();
-    await refreshPrivacyStats();
-    showToast("Privacy settings saved.");
+  if (key === "psl/import") {
+    const result = await window.bastionAPI.privacy.importPublicSuffixList();
+    if (result && result.ok && result.list) {
+      showToast(`Public Suffix List imported (${result.list.ruleCount} rules).`);
+    } else if (!result || !result.canceled) {
+      showToast(result && result.error ? result.error : "Failed to import Public Suffix List.", true);
+    }
+    await refreshPublicSuffixList();
     refreshLocalPage(tab);
     return;
   }
 
-  if (key === "privacy/clear-data") {
-    const scope = (parsed.searchParams.get("scope") || "all").toLowerCase();
-    const result = await window.bastionAPI.privacy.clearData(scope);
-    if (result && result.ok) {
-      if (scope === "downloads" || scope === "all") {
-        await refreshDownloads();
-      }
-      if (scope === "history" || scope === "all") {
-        await refreshHistory();
-      }
-      await refreshPrivacyStats();
-      showToast("Data cleared.");
-      refreshOpenLocalPages();
-    } else {
-      showToast(result && result.error ? result.error : "Unable to clear data.", true);
+  if (key === "psl/reset") {
+    const result = await window.bastionAPI.privacy.resetPublicSuffixList();
+    if (!result || !result.ok) {
+      showToast(result && result.error ? result.error : "Unable to restore the bundled list.", true);
     }
+    await refreshPublicSuffixList();
+    refreshLocalPage(tab);
     return;
   }
 
@@ -1617,32 +2917,50 @@ async function handleLocalAction(url, tab) {
     return;
   }
 
-  if (key === "downloads/open") {
-    const id = parsed.searchParams.get("id") || "";
-    const result = await window.bastionAPI.downloads.openFile(id);
-    if (!result.ok) {
-      showToast(result.error || "Unable to open file.", true);
+  if (key === "downloads/verify") {
+    const result = await window.bastionAPI.downloads.verifyHash(
+      parsed.searchParams.get("id") || "",
+      parsed.searchParams.get("hash") || ""
+    );
+    if (!result || !result.ok) {
+      showToast((result && result.error) || "Unable to verify download.", true);
+    } else if (result.match) {
+      showToast("SHA-256 matches. The file is the one you expected.");
+    } else {
+      showToast("SHA-256 does not match. Do not open this file.", true);
     }
     return;
   }
 
-  if (key === "downloads/folder") {
-    const id = parsed.searchParams.get("id") || "";
-    const result = await window.bastionAPI.downloads.showInFolder(id);
-    if (!result.ok) {
-      showToast(result.error || "Unable to show file in folder.", true);
-    }
+  if (key.startsWith("downloads/")) {
+    await runDownloadAction(parsed.pathname.replace(/^\/+/, ""), parsed.searchParams.get("id") || "");
     return;
   }
 
   if (key === "history/clear") {
     await window.bastionAPI.history.clear();
     await refreshHistory();
+    await refreshHistorySearch();
     showToast("History cleared.");
     refreshLocalPage(tab);
     return;
   }
 
+  if (key === "history/search") {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const from = parsed.searchParams.get("from") || "";
+    const to = parsed.searchParams.get("to") || "";
+    state.historyQuery = {
+      text: (parsed.searchParams.get("text") || "").trim(),
+      from: datePattern.test(from) ? from : "",
+      to: datePattern.test(to) ? to : "",
+      groupBy: parsed.searchParams.get("groupBy") === "url" ? "url" : "visit"
+    };
+    await refreshHistorySearch();
+    refreshLocalPage(tab);
+    return;
+  }
+
   if (key === "tabs/reopen") {
     reopenLastClosedTab();
     refreshLocalPage(tab);
@@ -1672,7 +2990,7 @@ function refreshLocalPage(tab) {
 
 function refreshOpenLocalPages() {
   for (const tab of state.tabs) {
-    if (tab.localPage === "settings" || tab.localPage === "downloads" || tab.localPage === "history") {
+    if (tab.localPage === "settings" || tab.localPage === "downloads") {
       refreshLocalPage(tab);
     }
   }
@@ -1717,6 +3035,9 @@ function buildLocalPage(title, bodyHtml, script = "") {
     .row { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
     .row label { display: flex; align-items: center; gap: 8px; }
     .muted { color: #9cb2c8; font-size: 13px; }
+    .warning { color: #fbbf24; }
+    .log { margin: 0 0 10px; padding-left: 18px; }
+    .log li { margin-bottom: 6px; word-break: break-all; }
     a, button {
       border: 1px solid #3d5d7f;
       background: #1b2a3c;
@@ -1733,7 +3054,7 @@ function buildLocalPage(title, bodyHtml, script = "") {
     }
     a:hover, button:hover { background: #23364e; }
     input[type='checkbox'] { width: 18px; height: 18px; accent-color: #4ca6ff; }
-    input[type='url'] {
+    input[type='url'], input[type='text'], input[type='date'] {
       border: 1px solid #3d5d7f;
       background: #111a27;
       color: #e6edf6;
@@ -1750,6 +3071,22 @@ function buildLocalPage(title, bodyHtml, script = "") {
       overflow: hidden;
     }
     .bar > span { display: block; height: 100%; background: #4ca6ff; }
+    .notes a {
+      display: inline;
+      min-height: 0;
+      padding: 0;
+      border: 0;
+      background: none;
+      color: #7cc4ff;
+      text-decoration: underline;
+    }
+    .notes pre {
+      overflow-x: auto;
+      padding: 8px;
+      background: #0a1018;
+      border: 1px solid #2a3e56;
+    }
+    .notes blockquote { margin: 0 0 10px; padding-left: 12px; border-left: 3px solid #3d5d7f; }
     canvas {
       width: 100%;
       max-width: 720px;
@@ -1986,6 +3323,81 @@ function buildSettingsPage() {
   const updaterError = updateStatus.error
     ? `<div class="muted">Error: ${escapeHtml(updateStatus.error)}</div>`
     : "";
+  const updateProgress = updateStatus.status === "downloading"
+    ? `<div class="muted">Progress: <progress max="100" value="${Number(updateStatus.progressPercent || 0)}"></progress> ${Number(updateStatus.progressPercent || 0)}%</div>`
+    : "";
+
+  const channelOptions = Object.entries(UPDATE_CHANNEL_LABELS).map(([value, label]) => {
+    return `<option value="${value}" ${update.channel === value ? "selected" : ""}>${escapeHtml(label)}</option>`;
+  }).join("");
+  const downloadConfig = state.downloadConfig || { directory: "", defaultDirectory: "", alwaysAsk: false, conflictAction: "rename", rules: [] };
+  const conflictOptions = Object.entries(DOWNLOAD_CONFLICT_LABELS).map(([value, label]) => {
+    return `<option value="${value}" ${downloadConfig.conflictAction === value ? "selected" : ""}>${escapeHtml(label)}</option>`;
+  }).join("");
+  const ruleTypeOptions = Object.entries(DOWNLOAD_RULE_LABELS).map(([value, label]) => {
+    return `<option value="${value}">${escapeHtml(label)}</option>`;
+  }).join("");
+  const downloadRuleItems = downloadConfig.rules.length
+    ? downloadConfig.rules.map((rule) => {
+        const removeUrl = `bastion-action://download-rules/remove?id=${encodeURIComponent(rule.id)}`;
+        return `<div class="row"><span>${escapeHtml(DOWNLOAD_RULE_LABELS[rule.type] || rule.type)}: ${escapeHtml(rule.pattern)}</span><span class="muted">-> ${escapeHtml(rule.folder)}</span><a href="${removeUrl}">Remove</a></div>`;
+      }).join("")
+    : '<div class="muted">No rules yet. Every download goes to the download folder.</div>';
+  const rollback = state.rollbackInfo || { builds: [], pendingBoots: 0, lastKnownGoodVersion: "", skippedVersion: "" };
+  const retainedBuilds = rollback.builds.length
+    ? rollback.builds.map((build) => {
+        const kindLabel = build.kind === "package" ? "update package" : build.kind === "appimage" ? "AppImage" : "app folder";
+        const action = build.isCurrent
+          ? '<span class="muted">Running</span>'
+          : `<a href="bastion-action://updates/rollback?version=${encodeURIComponent(build.version)}">Roll Back</a>`;
+        return `<div class="row"><span>${escapeHtml(build.version)}</span><span class="muted">${escapeHtml(kindLabel)}, kept ${escapeHtml(formatDateTime(build.retainedAt))}</span>${action}</div>`;
+      }).join("")
+    : '<div class="muted">No retained builds yet. Bastion keeps builds as updates are applied.</div>';
+  const rollbackSkipped = rollback.skippedVersion
+    ? `<div class="muted">Version ${escapeHtml(rollback.skippedVersion)} was rolled back and will not be auto-applied again.</div>`
+    : "";
+
+  const filterSnapshot = state.filterLists || { directory: "", totalRules: 0, lists: [] };
+  const permissionOrigins = Object.entries(state.permissionDecisions || {});
+  const permissionItems = permissionOrigins.length
+    ? permissionOrigins.map(([origin, decisions]) => {
+        const rows = Object.entries(decisions).map(([permission, decision]) => {
+          const revokeUrl = `bastion-action://permissions/revoke?origin=${encodeURIComponent(origin)}&permission=${encodeURIComponent(permission)}`;
+          return `<div class="row"><span class="muted">${escapeHtml(permission)}: ${escapeHtml(decision === "allow" ? "Allowed" : "Blocked")}</span><a href="${revokeUrl}">Revoke</a></div>`;
+        }).join("");
+        return `<div class="card"><h3>${escapeHtml(origin)}</h3>${rows}<div class="row"><a href="bastion-action://permissions/revoke?origin=${encodeURIComponent(origin)}">Revoke All</a></div></div>`;
+      }).join("")
+    : '<div class="card"><div class="muted">No saved permission decisions. Sites will ask before using these features.</div></div>';
+  const suffixSnapshot = state.publicSuffixList || { source: "bundled", path: "", ruleCount: 0 };
+  const suffixReset = suffixSnapshot.source === "user"
+    ? '<a href="bastion-action://psl/reset">Use Bundled List</a>'
+    : "";
+  const filterListItems = Array.isArray(filterSnapshot.lists) && filterSnapshot.lists.length
+    ? filterSnapshot.lists.map((list) => {
+        const id = encodeURIComponent(list.id);
+        const toggle = list.enabled
+          ? `<a href="bastion-action://filters/toggle?id=${id}&enabled=0">Disable</a>`
+          : `<a href="bastion-action://filters/toggle?id=${id}&enabled=1">Enable</a>`;
+        const remove = list.builtIn ? "" : `<a href="bastion-action://filters/remove?id=${id}">Remove</a>`;
+        const status = list.enabled ? `${list.ruleCount} rules` : "Disabled";
+        const error = list.error ? `<div class="muted">Error: ${escapeHtml(list.error)}</div>` : "";
+        return `<div class="card"><h3>${escapeHtml(list.name)}</h3><div class="muted">${escapeHtml(status)}${list.builtIn ? " - built in" : ""}</div>${error}<div class="row">${toggle}${remove}</div></div>`;
+      }).join("")
+    : '<div class="card"><div class="muted">No filter lists loaded.</div></div>';
+
+  const siteEntries = Object.entries(state.sitePrivacy || {});
+  const httpsExceptionHosts = Object.keys(state.httpsExceptions || {}).sort();
+  const httpsExceptionItems = httpsExceptionHosts.length
+    ? httpsExceptionHosts.map((host) => `<div class="row"><span class="muted">${escapeHtml(host)}</span><a href="bastion-action://https/remove-exception?host=${encodeURIComponent(host)}">Remove</a></div>`).join("")
+    : '<div class="muted">No sites are allowed to load over HTTP.</div>';
+  const siteExceptionItems = siteEntries.length
+    ? siteEntries.map(([siteKey, override]) => {
+        const changes = Object.entries(override)
+          .map(([name, value]) => `${SITE_PRIVACY_LABELS[name] || name}: ${value ? "on" : "off"}`)
+          .join(", ");
+        return `<div class="card"><h3>${escapeHtml(siteKey)}</h3><div class="muted">${escapeHtml(changes)}</div><div class="row"><a href="bastion-action://privacy/reset-site?site=${encodeURIComponent(siteKey)}">Reset Site</a></div></div>`;
+      }).join("")
+    : '<div class="card"><div class="muted">No site exceptions. Use the shield button in the toolbar to add one.</div></div>';
 
   const statsStartedAt = privacyStats.startedAt
     ? escapeHtml(formatDateTime(privacyStats.startedAt))
@@ -2009,28 +3421,69 @@ function buildSettingsPage() {
       </form>
     </div>
 
+    <h2>Downloads</h2>
+    <div class="card">
+      <h3>Save Location</h3>
+      <form id="downloadSettingsForm" class="grid">
+        <label class="grid">
+          <span>Download folder (empty uses ${escapeHtml(downloadConfig.defaultDirectory || "the system Downloads folder")})</span>
+          <input id="downloadDirectory" type="text" value="${escapeHtml(downloadConfig.directory || "")}" placeholder="${escapeHtml(downloadConfig.defaultDirectory || "")}" />
+        </label>
+        <label><input id="downloadAlwaysAsk" type="checkbox" ${checked(downloadConfig.alwaysAsk)} /> Always ask where to save each file</label>
+        <label class="grid">
+          <span>When a file with the same name exists</span>
+          <select id="downloadConflictAction">${conflictOptions}</select>
+        </label>
+        <div class="row">
+          <button type="submit">Save Download Settings</button>
+          <a href="bastion-action://download-rules/choose-folder">Choose Folder</a>
+        </div>
+      </form>
+    </div>
+    <div class="card">
+      <h3>Download Rules</h3>
+      <p class="muted">The first matching rule picks the folder. Folders can be absolute or relative to the download folder. MIME types accept a wildcard such as image/*, extensions a list such as pdf, docx, and sites also match their subdomains.</p>
+      <div class="grid">${downloadRuleItems}</div>
+      <form id="downloadRuleForm" class="row">
+        <select id="downloadRuleType">${ruleTypeOptions}</select>
+        <input id="downloadRulePattern" type="text" placeholder="pdf, docx" />
+        <input id="downloadRuleFolder" type="text" placeholder="Documents" />
+        <button type="submit">Add Rule</button>
+      </form>
+    </div>
+
     <h2>Updates</h2>
     <div class="card">
       <h3>Chromium/Electron Auto Update</h3>
       <form id="updatesForm" class="grid">
         <label><input id="useGithubReleaseZip" type="checkbox" ${checked(update.useGithubReleaseZip)} /> Use GitHub release ZIP updater at launch (downloads latest update.zip)</label>
-        <label><input id="autoApplyGithubZip" type="checkbox" ${checked(update.autoApplyGithubZip)} /> Auto-apply downloaded update.zip on launch (Windows packaged app)</label>
-        <label><input id="autoUpdateUblockOrigin" type="checkbox" ${checked(update.autoUpdateUblockOrigin)} /> Auto-check and update managed uBlock Origin on launch</label>
+        <label><input id="autoApplyGithubZip" type="checkbox" ${checked(update.autoApplyGithubZip)} /> Auto-apply downloaded update.zip on launch (packaged app)</label>
+        <label><input id="autoRollback" type="checkbox" ${checked(update.autoRollback)} /> Roll back automatically after 3 failed launches (otherwise ask)</label>
+        <label><input id="autoUpdateManagedExtensions" type="checkbox" ${checked(update.autoUpdateManagedExtensions)} /> Auto-check and update managed extensions (uBlock Origin and managed-extensions.json) on launch</label>
         <label><input id="autoCheck" type="checkbox" ${checked(update.autoCheck)} /> Auto check for updates</label>
         <label><input id="autoDownload" type="checkbox" ${checked(update.autoDownload)} /> Auto download updates</label>
-        <label><input id="allowPrerelease" type="checkbox" ${checked(update.allowPrerelease)} /> Allow prerelease builds</label>
+        <label class="grid">
+          <span>Update channel</span>
+          <select id="updateChannel">${channelOptions}</select>
+        </label>
         <label class="grid">
           <span>Update feed URL (optional)</span>
           <input id="feedURL" type="url" value="${escapeHtml(update.feedURL || "")}" placeholder="https://updates.example.com/bastion/win/" />
         </label>
+        <label class="grid">
+          <span>Update download limit in KB/s (0 = unlimited)</span>
+          <input id="downloadLimitKbps" type="number" min="0" step="1" value="${Number(update.downloadLimitKbps || 0)}" />
+        </label>
         <div class="row">
           <button type="submit">Save Update Settings</button>
           <a href="bastion-action://updates/check">Check Now</a>
           <a href="bastion-action://updates/download">Download Update</a>
           <a href="bastion-action://updates/install">Install Downloaded Update</a>
+          <a href="about:whatsnew">Release Notes</a>
         </div>
       </form>
       <div class="muted">Status: ${escapeHtml(updateStatusText)} (${updateMessage})</div>
+      ${updateProgress}
       <div class="muted">Updater source: ${updateSource}</div>
       <div class="muted">Current version: ${currentVersion}</div>
       <div class="muted">Available version: ${availableVersion}</div>
@@ -2039,13 +3492,21 @@ function buildSettingsPage() {
       ${updateReleasePage}
       ${updaterError}
     </div>
+    <div class="card">
+      <h3>Rollback</h3>
+      <div class="muted">Last known good version: ${escapeHtml(rollback.lastKnownGoodVersion || "none yet")}</div>
+      <div class="muted">Unconfirmed launches of this version: ${Number(rollback.pendingBoots || 0)}</div>
+      ${rollbackSkipped}
+      ${retainedBuilds}
+    </div>
 
     <h2>Privacy</h2>
     <div class="card">
       <h3>Privacy Controls</h3>
       <form id="privacyForm" class="grid">
         <label><input id="blockTrackers" type="checkbox" ${checked(privacy.blockTrackers)} /> Block known third-party trackers</label>
-        <label><input id="upgradeHttps" type="checkbox" ${checked(privacy.upgradeHttps)} /> Upgrade HTTP requests to HTTPS</label>
+        <label><input id="upgradeHttps" type="checkbox" ${checked(privacy.upgradeHttps)} /> HTTPS-only mode (upgrade HTTP requests to HTTPS)</label>
+        <label><input id="httpsOnlyStrict" type="checkbox" ${checked(privacy.httpsOnlyStrict)} /> Strict HTTPS-only: never fall back to HTTP, ignore exceptions</label>
         <label><input id="sendDoNotTrack" type="checkbox" ${checked(privacy.sendDoNotTrack)} /> Send Do Not Track header</label>
         <label><input id="sendGlobalPrivacyControl" type="checkbox" ${checked(privacy.sendGlobalPrivacyControl)} /> Send Global Privacy Control header</label>
         <label><input id="blockThirdPartyCookies" type="checkbox" ${checked(privacy.blockThirdPartyCookies)} /> Strip third-party cookie headers</label>
@@ -2065,6 +3526,43 @@ function buildSettingsPage() {
       </div>
     </div>
 
+    <div class="card">
+      <h3>HTTP Exceptions</h3>
+      <p class="muted">Sites allowed to load over HTTP from the HTTPS-only interstitial. Ignored in strict mode.</p>
+      <div class="grid">${httpsExceptionItems}</div>
+    </div>
+
+    <div class="card">
+      <h3>Site Exceptions</h3>
+      <p class="muted">Per-site overrides of the privacy controls above, edited from the toolbar shield.</p>
+      <div class="grid">${siteExceptionItems}</div>
+    </div>
+
+    <div class="card">
+      <h3>Site Permissions</h3>
+      <p class="muted">Allow and Block choices made from permission prompts. Allow Once grants last until the tab navigates away.</p>
+      <div class="grid">${permissionItems}</div>
+    </div>
+
+    <div class="card">
+      <h3>Filter Lists</h3>
+      <p class="muted">EasyList / Adblock Plus network rules used for tracker blocking (${escapeHtml(String(filterSnapshot.totalRules || 0))} active rules). Lists are read from <code>${escapeHtml(filterSnapshot.directory || "filter-lists")}</code>.</p>
+      <div class="row">
+        <a href="bastion-action://filters/import">Import Filter List</a>
+        <a href="bastion-action://filters/reload">Reload Lists From Disk</a>
+      </div>
+      <div class="grid">${filterListItems}</div>
+    </div>
+
+    <div class="card">
+      <h3>Public Suffix List</h3>
+      <p class="muted">Decides which hosts belong to the same site for third-party checks (${escapeHtml(String(suffixSnapshot.ruleCount || 0))} rules, ${suffixSnapshot.source === "user" ? "imported" : "bundled"}). Read from <code>${escapeHtml(suffixSnapshot.path || "public_suffix_list.dat")}</code>.</p>
+      <div class="row">
+        <a href="bastion-action://psl/import">Import Public Suffix List</a>
+        ${suffixReset}
+      </div>
+    </div>
+
     <div class="card">
       <h3>Privacy Stats</h3>
       <div class="muted">Blocked tracker requests: ${escapeHtml(String(privacyStats.blockedRequests || 0))}</div>
@@ -2076,9 +3574,11 @@ function buildSettingsPage() {
     </div>
 
     <h2>Extensions</h2>
-    <p class="muted">Load unpacked Chrome extensions from a folder.</p>
+    <p class="muted">Load unpacked Chrome extensions from a folder, or install a signed .crx package. You can also drop a .crx file onto the browser window.</p>
     <div class="row">
       <a href="bastion-action://settings/load-extension">Load Extension Folder</a>
+      <a href="bastion-action://settings/install-crx">Install .crx Package</a>
+      <a href="about:extensions">Manage Extensions</a>
     </div>
     <div class="grid">${extensionItems}</div>
 
@@ -2087,6 +3587,8 @@ function buildSettingsPage() {
       <a href="about:newtab">Open New Tab Page</a>
       <a href="about:downloads">Open Downloads Page</a>
       <a href="about:history">Open History Page</a>
+      <a href="about:privacy">Open Privacy Report</a>
+      <a href="about:cookies">Manage Cookies and Site Data</a>
       <a href="about:game">Open Offline Game</a>
       <a href="bastion-action://tabs/reopen">Reopen Closed Tab</a>
     </div>
@@ -2107,17 +3609,39 @@ function buildSettingsPage() {
       location.href = 'bastion-action://settings/save?' + q.toString();
     });
 
+    const downloadSettingsForm = document.getElementById('downloadSettingsForm');
+    downloadSettingsForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const q = new URLSearchParams();
+      q.set('directory', document.getElementById('downloadDirectory').value.trim());
+      q.set('alwaysAsk', document.getElementById('downloadAlwaysAsk').checked ? '1' : '0');
+      q.set('conflictAction', document.getElementById('downloadConflictAction').value);
+      location.href = 'bastion-action://download-rules/save?' + q.toString();
+    });
+
+    const downloadRuleForm = document.getElementById('downloadRuleForm');
+    downloadRuleForm.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const q = new URLSearchParams();
+      q.set('type', document.getElementById('downloadRuleType').value);
+      q.set('pattern', document.getElementById('downloadRulePattern').value.trim());
+      q.set('folder', document.getElementById('downloadRuleFolder').value.trim());
+      location.href = 'bastion-action://download-rules/add?' + q.toString();
+    });
+
     const updatesForm = document.getElementById('updatesForm');
     updatesForm.addEventListener('submit', (event) => {
       event.preventDefault();
       const q = new URLSearchParams();
       q.set('useGithubReleaseZip', document.getElementById('useGithubReleaseZip').checked ? '1' : '0');
       q.set('autoApplyGithubZip', document.getElementById('autoApplyGithubZip').checked ? '1' : '0');
-      q.set('autoUpdateUblockOrigin', document.getElementById('autoUpdateUblockOrigin').checked ? '1' : '0');
+      q.set('autoRollback', document.getElementById('autoRollback').checked ? '1' : '0');
+      q.set('autoUpdateManagedExtensions', document.getElementById('autoUpdateManagedExtensions').checked ? '1' : '0');
       q.set('autoCheck', document.getElementById('autoCheck').checked ? '1' : '0');
       q.set('autoDownload', document.getElementById('autoDownload').checked ? '1' : '0');
-      q.set('allowPrerelease', document.getElementById('allowPrerelease').checked ? '1' : '0');
+      q.set('channel', document.getElementById('updateChannel').value);
       q.set('feedURL', document.getElementById('feedURL').value.trim());
+      q.set('downloadLimitKbps', document.getElementById('downloadLimitKbps').value || '0');
       location.href = 'bastion-action://updates/save?' + q.toString();
     });
 
@@ -2127,6 +3651,7 @@ function buildSettingsPage() {
       const q = new URLSearchParams();
       q.set('blockTrackers', document.getElementById('blockTrackers').checked ? '1' : '0');
       q.set('upgradeHttps', document.getElementById('upgradeHttps').checked ? '1' : '0');
+      q.set('httpsOnlyStrict', document.getElementById('httpsOnlyStrict').checked ? '1' : '0');
       q.set('sendDoNotTrack', document.getElementById('sendDoNotTrack').checked ? '1' : '0');
       q.set('sendGlobalPrivacyControl', document.getElementById('sendGlobalPrivacyControl').checked ? '1' : '0');
       q.set('blockThirdPartyCookies', document.getElementById('blockThirdPartyCookies').checked ? '1' : '0');
@@ -2144,17 +3669,21 @@ function buildDownloadsPage() {
   const items = state.downloads.length
     ? state.downloads.map((item) => {
         const progress = getDownloadProgress(item);
-        const actions = item.savePath
-          ? `<div class="row"><a href="bastion-action://downloads/open?id=${encodeURIComponent(item.id)}">Open</a><a href="bastion-action://downloads/folder?id=${encodeURIComponent(item.id)}">Show Folder</a></div>`
-          : "";
-
-        return `<div class="card"><h3>${escapeHtml(item.filename || 'Unknown file')}</h3><div class="muted">${escapeHtml(humanDownloadState(item.state))}</div><div class="bar"><span style="width:${progress}%"></span></div><div class="muted">${escapeHtml(formatBytes(item.receivedBytes))} / ${escapeHtml(formatBytes(item.totalBytes))}</div>${actions}</div>`;
+        const links = getDownloadActions(item)
+          .map(([action, label]) => `<a href="bastion-action://downloads/${action}?id=${encodeURIComponent(item.id)}">${escapeHtml(label)}</a>`)
+          .join("");
+        const actions = links ? `<div class="row">${links}</div>` : "";
+        const warnings = getDownloadWarnings(item)
+          .map((warning) => `<div class="muted warning">${escapeHtml(warning)}</div>`)
+          .join("");
+
+        return `<div class="card"><h3>${escapeHtml(item.filename || 'Unknown file')}</h3><div class="muted">${escapeHtml(humanDownloadState(item.paused ? "paused" : item.state))}</div>${warnings}<div class="bar"><span style="width:${progress}%"></span></div><div class="muted">${escapeHtml(describeDownloadProgress(item))}</div>${buildDownloadHashSection(item)}${actions}</div>`;
       }).join("")
     : '<div class="card"><div class="muted">No downloads yet.</div></div>';
 
   const body = `
     <h1>Downloads</h1>
-    <p>These download entries are saved to disk and restored on app launch.</p>
+    <p>These download entries are saved to disk and restored on app launch. Downloads cut off by a crash or restart can be resumed from here.</p>
     <div class="row">
       <a href="bastion-action://downloads/clear">Clear Completed</a>
       <a href="about:settings">Back to Settings</a>
@@ -2162,25 +3691,243 @@ function buildDownloadsPage() {
     <div class="table">${items}</div>
   `;
 
-  return buildLocalPage("Bastion Downloads", body);
+  const script = `
+    document.addEventListener('submit', (event) => {
+      const form = event.target;
+      if (!form.classList.contains('hash-form')) {
+        return;
+      }
+      event.preventDefault();
+      const q = new URLSearchParams();
+      q.set('id', form.getAttribute('data-id'));
+      q.set('hash', form.querySelector('input').value.trim());
+      location.href = 'bastion-action://downloads/verify?' + q.toString();
+    });
+  `;
+
+  return buildLocalPage("Bastion Downloads", body, script);
+}
+
+function buildReleaseNotesCard(heading, notes) {
+  const title = notes.name && notes.name !== notes.tag ? `${notes.tag} - ${notes.name}` : notes.tag;
+  const published = notes.publishedAt ? `Published ${formatDateTime(notes.publishedAt)}` : "";
+  const releaseLink = notes.releasePage
+    ? `<div class="row"><a href="${escapeHtml(notes.releasePage)}">Open Release Page</a></div>`
+    : "";
+  // notes.html comes from the main process Markdown renderer, which escapes everything it does not emit itself.
+  const content = notes.html || '<p class="muted">This release has no notes.</p>';
+  return `<div class="card"><h2>${escapeHtml(heading)}: ${escapeHtml(title)}</h2><div class="muted">${escapeHtml(published)}</div><div class="notes">${content}</div>${releaseLink}</div>`;
+}
+
+function buildWhatsNewPage() {
+  const notes = state.releaseNotes;
+  const cards = [];
+  if (notes && notes.pending) {
+    cards.push(buildReleaseNotesCard("Available update", notes.pending));
+  }
+  if (notes && notes.applied) {
+    cards.push(buildReleaseNotesCard("Installed", notes.applied));
+  }
+  if (cards.length === 0) {
+    cards.push(`<div class="card"><div class="muted">${notes ? "No release notes yet. They appear here after Bastion finds a new release." : "Loading release notes..."}</div></div>`);
+  }
+
+  const currentVersion = notes && notes.currentVersion ? notes.currentVersion : "unknown";
+  const body = `
+    <h1>What's New</h1>
+    <p>Release notes from GitHub for Bastion updates. You are running version ${escapeHtml(currentVersion)}.</p>
+    <div class="row">
+      <a href="bastion-action://updates/check">Check for Updates</a>
+      <a href="about:settings">Back to Settings</a>
+    </div>
+    ${cards.join("")}
+  `;
+
+  return buildLocalPage("What's New in Bastion", body);
+}
+
+function buildExtensionCard(ext) {
+  const keyParam = encodeURIComponent(ext.key);
+  const status = !ext.enabled ? "Disabled" : ext.loaded ? "Enabled" : "Failed to load";
+  const idText = ext.id ? ` | ID: ${ext.id}` : "";
+  const permissions = [...ext.permissions, ...ext.hostPermissions];
+  const errorLine = ext.error ? `<div class="muted">Load error: ${escapeHtml(ext.error)}</div>` : "";
+  const description = ext.description ? `<div class="muted">${escapeHtml(ext.description)}</div>` : "";
+  const toggleLink = ext.enabled
+    ? `<a href="bastion-action://extensions/enable?key=${keyParam}&enabled=0">Disable</a>`
+    : `<a href="bastion-action://extensions/enable?key=${keyParam}&enabled=1">Enable</a>`;
+  const reloadLink = ext.enabled ? `<a href="bastion-action://extensions/reload?key=${keyParam}">Reload</a>` : "";
+  const removeLink = ext.removable ? `<a href="bastion-action://extensions/remove?key=${keyParam}">Remove</a>` : "";
+  return `<div class="card"><h3>${escapeHtml(ext.name)} <span class="muted">v${escapeHtml(ext.version)}</span></h3>${description}<div class="muted">${escapeHtml(`${status} | ${ext.source}${idText}`)}</div><div class="muted">Permissions: ${escapeHtml(permissions.join(", ") || "none")}</div><div class="muted"><code>${escapeHtml(ext.path)}</code></div>${errorLine}<div class="row">${toggleLink}${reloadLink}<a href="bastion-action://extensions/open-folder?key=${keyParam}">Open Folder</a>${removeLink}</div></div>`;
+}
+
+function buildExtensionsPage() {
+  const catalog = state.extensionCatalog;
+  const cards = catalog && catalog.length
+    ? catalog.map(buildExtensionCard).join("")
+    : `<div class="card"><div class="muted">${catalog ? "No extensions installed." : "Loading extensions..."}</div></div>`;
+
+  const body = `
+    <h1>Extensions</h1>
+    <p>Bundled and managed extensions can be disabled. Extensions you added can also be removed. Reload reads an extension from disk again after you edit its files.</p>
+    <div class="row">
+      <a href="bastion-action://settings/load-extension">Load Extension Folder</a>
+      <a href="bastion-action://settings/install-crx">Install .crx Package</a>
+      <a href="about:settings">Back to Settings</a>
+    </div>
+    <div class="table">${cards}</div>
+  `;
+
+  return buildLocalPage("Bastion Extensions", body);
+}
+
+function buildHistoryRow(entry, groupByUrl) {
+  const visits = `${entry.visitCount} visit${entry.visitCount === 1 ? "" : "s"}`;
+  const details = groupByUrl
+    ? `Last visit ${formatDateTime(entry.lastVisitAt)} | ${visits} | Score ${entry.frecency}`
+    : `${formatDateTime(entry.visitedAt)} | ${HISTORY_TRANSITION_LABELS[entry.transition] || entry.transition} | ${visits}`;
+  return `<div class="card"><h3>${escapeHtml(entry.title || entry.url)}</h3><div class="muted">${escapeHtml(entry.url)}</div><div class="muted">${escapeHtml(details)}</div><div class="row"><a href="${escapeHtml(entry.url)}">Open</a></div></div>`;
 }
 
 function buildHistoryPage() {
-  const rows = state.history.length
-    ? state.history.slice(0, 500).map((entry) => `<div class="card"><h3>${escapeHtml(entry.title || entry.url)}</h3><div class="muted">${escapeHtml(formatDateTime(entry.visitedAt))}</div><div class="row"><a href="${escapeHtml(entry.url)}">Open</a></div></div>`).join("")
-    : '<div class="card"><div class="muted">History is empty.</div></div>';
+  const query = state.historyQuery;
+  const results = state.historyResults;
+  const groupByUrl = query.groupBy === "url";
+  const isFiltered = Boolean(query.text || query.from || query.to);
+  let rows;
+  if (!results) {
+    rows = '<div class="card"><div class="muted">Loading history...</div></div>';
+  } else if (results.items.length === 0) {
+    rows = `<div class="card"><div class="muted">${isFiltered ? "No history matches this search." : "History is empty."}</div></div>`;
+  } else {
+    rows = results.items.map((entry) => buildHistoryRow(entry, groupByUrl)).join("");
+  }
+  const countText = results && results.total > results.items.length
+    ? `<p class="muted">Showing ${results.items.length} of ${results.total}. Narrow the search to see older entries.</p>`
+    : "";
 
   const body = `
     <h1>History</h1>
-    <p>Browsing history is persisted to disk.</p>
+    <p>Browsing history is persisted to disk. Search matches words in page titles and addresses.</p>
+    <form id="historySearchForm" class="row">
+      <input id="historyText" type="text" value="${escapeHtml(query.text)}" placeholder="Search history" />
+      <label>From <input id="historyFrom" type="date" value="${escapeHtml(query.from)}" /></label>
+      <label>To <input id="historyTo" type="date" value="${escapeHtml(query.to)}" /></label>
+      <select id="historyGroupBy">
+        <option value="visit" ${groupByUrl ? "" : "selected"}>Recent visits</option>
+        <option value="url" ${groupByUrl ? "selected" : ""}>Most visited</option>
+      </select>
+      <button type="submit">Search</button>
+      ${isFiltered ? '<a href="bastion-action://history/search">Reset</a>' : ""}
+    </form>
     <div class="row">
       <a href="bastion-action://history/clear">Clear History</a>
       <a href="about:settings">Back to Settings</a>
     </div>
+    ${countText}
     <div class="table">${rows}</div>
   `;
 
-  return buildLocalPage("Bastion History", body);
+  const script = `
+    document.getElementById('historySearchForm').addEventListener('submit', (event) => {
+      event.preventDefault();
+      const q = new URLSearchParams();
+      q.set('text', document.getElementById('historyText').value.trim());
+      q.set('from', document.getElementById('historyFrom').value);
+      q.set('to', document.getElementById('historyTo').value);
+      q.set('groupBy', document.getElementById('historyGroupBy').value);
+      location.href = 'bastion-action://history/search?' + q.toString();
+    });
+  `;
+
+  return buildLocalPage("Bastion History", body, script);
+}
+
+function buildSiteDataPage() {
+  const snapshot = state.siteData || { sites: [], allowlist: [], httpCacheBytes: 0 };
+  const clearOnExit = state.privacyConfig.clearDataOnExit;
+  const cards = snapshot.sites.length
+    ? snapshot.sites.map((site) => {
+        const siteParam = encodeURIComponent(site.siteKey);
+        const keepLink = site.keepOnExit
+          ? `<a href="bastion-action://sitedata/keep?site=${siteParam}&keep=0">Stop Keeping on Exit</a>`
+          : `<a href="bastion-action://sitedata/keep?site=${siteParam}&keep=1">Keep on Exit</a>`;
+        const details = [
+          `Cookies: ${site.cookies} (${formatBytes(site.cookieBytes)})`,
+          `Local storage: ${site.localStorage ? "yes" : "no"}`,
+          `IndexedDB: ${formatBytes(site.indexedDBBytes)}`,
+          `Cache storage: ${formatBytes(site.cacheStorageBytes)}`
+        ].join(" | ");
+        const keepNote = site.keepOnExit ? '<div class="muted">Kept when data is cleared on exit.</div>' : "";
+        return `<div class="card"><h3>${escapeHtml(site.siteKey)}</h3><div class="muted">${escapeHtml(details)}</div><div class="muted">${escapeHtml(site.origins.join(", "))}</div>${keepNote}<div class="row"><a href="bastion-action://sitedata/clear?site=${siteParam}">Delete Site Data</a>${keepLink}</div></div>`;
+      }).join("")
+    : `<div class="card"><div class="muted">${state.siteData ? "No sites have stored data." : "Loading site data..."}</div></div>`;
+
+  const body = `
+    <h1>Cookies and Site Data</h1>
+    <p>Cookies, local storage, IndexedDB and cache storage held by websites in the tab session. Sizes are approximate.</p>
+    <p class="muted">Clear data on exit is ${clearOnExit ? "on" : "off"}. Sites marked "Keep on Exit" survive it. The HTTP cache (${escapeHtml(formatBytes(snapshot.httpCacheBytes))}) is shared by all sites and is always cleared.</p>
+    <div class="row">
+      <a href="bastion-action://sitedata/refresh">Refresh</a>
+      <a href="bastion-action://privacy/clear-data?scope=cache">Clear HTTP Cache</a>
+      <a href="about:settings">Back to Settings</a>
+    </div>
+    <div class="table">${cards}</div>
+  `;
+
+  return buildLocalPage("Bastion Site Data", body);
+}
+
+function getTabTitleByWebContentsId(webContentsId) {
+  const tab = state.tabs.find((item) => getTabWebContentsId(item) === webContentsId);
+  if (!tab) {
+    return webContentsId ? `Closed tab #${webContentsId}` : "Browser";
+  }
+  return tab.title || tab.displayAddress || "Untitled tab";
+}
+
+function buildPrivacyReportPage() {
+  const sites = new Map();
+  for (const entry of state.privacyLog) {
+    const siteKey = entry.siteKey || "(unknown site)";
+    if (!sites.has(siteKey)) {
+      sites.set(siteKey, new Map());
+    }
+    const tabs = sites.get(siteKey);
+    const webContentsId = Number(entry.webContentsId || 0);
+    if (!tabs.has(webContentsId)) {
+      tabs.set(webContentsId, []);
+    }
+    tabs.get(webContentsId).push(entry);
+  }
+
+  const siteCards = sites.size
+    ? [...sites.entries()].map(([siteKey, tabs]) => {
+        const total = [...tabs.values()].reduce((sum, entries) => sum + entries.length, 0);
+        const tabSections = [...tabs.entries()].map(([webContentsId, entries]) => {
+          const rows = entries.map((entry) => {
+            const kind = PRIVACY_LOG_KIND_LABELS[entry.kind] || entry.kind;
+            const rule = entry.rule ? ` - ${entry.rule}` : "";
+            return `<li><span class="muted">${escapeHtml(formatDateTime(entry.at))} | ${escapeHtml(kind)} | ${escapeHtml(entry.resourceType)}${escapeHtml(rule)}</span><br /><code>${escapeHtml(entry.url)}</code></li>`;
+          }).join("");
+          return `<h3>${escapeHtml(getTabTitleByWebContentsId(webContentsId))} (${escapeHtml(String(entries.length))})</h3><ul class="log">${rows}</ul>`;
+        }).join("");
+        return `<div class="card"><h2>${escapeHtml(siteKey)}</h2><div class="muted">${escapeHtml(String(total))} logged requests</div>${tabSections}</div>`;
+      }).join("")
+    : '<div class="card"><div class="muted">Nothing has been blocked, upgraded or stripped yet.</div></div>';
+
+  const body = `
+    <h1>Privacy Report</h1>
+    <p>The most recent ${escapeHtml(String(MAX_PRIVACY_REPORT_ENTRIES))} blocked, upgraded and header-stripped requests, grouped by site and tab. The log is kept in memory only.</p>
+    <div class="row">
+      <a href="bastion-action://privacy/refresh-log">Refresh</a>
+      <a href="bastion-action://privacy/clear-log">Clear Log</a>
+      <a href="about:settings">Back to Settings</a>
+    </div>
+    <div class="table">${siteCards}</div>
+  `;
+
+  return buildLocalPage("Bastion Privacy Report", body);
 }
 
 function buildGamePage() {
@@ -2296,11 +4043,118 @@ function getDownloadProgress(download) {
   return Math.max(0, Math.min(100, Math.round((received / total) * 100)));
 }
 
+// [action, label] pairs offered for a download, shared by about:downloads and the toolbar popover.
+function getDownloadActions(item) {
+  if (item.state === "progressing") {
+    return item.paused
+      ? [["resume", "Resume"], ["cancel", "Cancel"]]
+      : [["pause", "Pause"], ["cancel", "Cancel"]];
+  }
+  if (item.state === "interrupted") {
+    return [["resume", "Resume"], ["retry", "Retry"], ["cancel", "Cancel"]];
+  }
+  if (item.state === "cancelled") {
+    return [["retry", "Retry"]];
+  }
+  if (item.state === "completed" && item.quarantined) {
+    return [["release", "Keep File"], ["discard", "Delete File"]];
+  }
+  if (item.state === "completed" && item.savePath) {
+    return [["open", "Open"], ["folder", "Show Folder"]];
+  }
+  return [];
+}
+
+function getDownloadWarnings(item) {
+  const warnings = [];
+  if (item.danger === "executable") {
+    warnings.push("Program file: Bastion asks before opening it.");
+  } else if (item.danger === "script") {
+    warnings.push("Script file: Bastion asks before opening it.");
+  }
+  if (item.quarantined) {
+    warnings.push("Downloaded over plain HTTP and quarantined. Keep the file to use it.");
+  }
+  if (item.expectedSha256 && item.sha256 && item.expectedSha256 !== item.sha256) {
+    warnings.push("SHA-256 does not match the expected hash.");
+  }
+  return warnings;
+}
+
+function buildDownloadHashSection(item) {
+  if (item.state !== "completed") {
+    return "";
+  }
+
+  const hashLine = `<div class="muted">SHA-256: <code>${escapeHtml(item.sha256 || "computing...")}</code></div>`;
+  let verifyLine = "";
+  if (item.expectedSha256 && item.sha256) {
+    verifyLine = item.expectedSha256 === item.sha256
+      ? '<div class="muted">Verified: matches the expected hash.</div>'
+      : `<div class="muted warning">Expected <code>${escapeHtml(item.expectedSha256)}</code></div>`;
+  }
+  const form = `<form class="row hash-form" data-id="${escapeHtml(item.id)}"><input type="text" placeholder="Paste expected SHA-256" value="${escapeHtml(item.expectedSha256 || "")}" /><button type="submit">Verify</button></form>`;
+  return `${hashLine}${verifyLine}${form}`;
+}
+
+async function runDownloadAction(action, id) {
+  const api = window.bastionAPI.downloads;
+  const handlers = {
+    open: [api.openFile, "Unable to open file."],
+    folder: [api.showInFolder, "Unable to show file in folder."],
+    pause: [api.pause, "Unable to pause download."],
+    resume: [api.resume, "Unable to resume download."],
+    cancel: [api.cancel, "Unable to cancel download."],
+    retry: [api.retry, "Unable to retry download."],
+    release: [api.release, "Unable to keep download."],
+    discard: [api.discard, "Unable to delete download."]
+  };
+  const handler = handlers[action];
+  if (!handler) {
+    return;
+  }
+
+  const result = await handler[0](id);
+  if (!result || (!result.ok && !result.canceled)) {
+    showToast((result && result.error) || handler[1], true);
+  }
+}
+
+function describeDownloadProgress(item) {
+  const sizeText = item.totalBytes > 0
+    ? `${formatBytes(item.receivedBytes)} / ${formatBytes(item.totalBytes)}`
+    : formatBytes(item.receivedBytes);
+  if (item.state !== "progressing" || item.paused) {
+    return `${humanDownloadState(item.paused ? "paused" : item.state)} - ${sizeText}`;
+  }
+
+  const speed = Number(item.bytesPerSecond || 0);
+  const parts = [sizeText, speed > 0 ? `${formatBytes(speed)}/s` : "Starting..."];
+  if (item.etaSeconds !== null && item.etaSeconds !== undefined) {
+    parts.push(`${formatDuration(item.etaSeconds)} left`);
+  }
+  return parts.join(" - ");
+}
+
+function formatDuration(seconds) {
+  const value = Math.max(0, Math.round(Number(seconds) || 0));
+  if (value < 60) {
+    return `${value}s`;
+  }
+  if (value < 3600) {
+    return `${Math.floor(value / 60)}m ${value % 60}s`;
+  }
+  return `${Math.floor(value / 3600)}h ${Math.floor((value % 3600) / 60)}m`;
+}
+
 function humanDownloadState(stateValue) {
   const value = String(stateValue || "progressing");
   if (value === "progressing") {
     return "Downloading";
   }
+  if (value === "paused") {
+    return "Paused";
+  }
   if (value === "completed") {
     return "Completed";
   }